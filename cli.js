@@ -0,0 +1,600 @@
+#!/usr/bin/env node
+/**
+ * SMS Balance Monitor CLI
+ *
+ * One-off operations for cron jobs, Nagios-style checks and troubleshooting.
+ * Reuses the monitor's configuration, provider registry and state file.
+ *
+ * Usage: node cli.js <command> [options]
+ *
+ * Exit codes follow the Nagios plugin convention:
+ * 0 OK, 1 WARNING, 2 CRITICAL, 3 UNKNOWN
+ */
+
+const EXIT_CODES = { OK: 0, WARNING: 1, CRITICAL: 2, UNKNOWN: 3 };
+const STATUS_NAMES = ['OK', 'WARNING', 'CRITICAL', 'UNKNOWN'];
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  check                 Query the provider for the current balance (state is not changed)
+  status                Report the last balance and check times from the state file
+  reset-state           Reset notification counters and tracking state
+  send-test-alert       Send a test alert through a tier's alert channels
+  ack                   Acknowledge low-balance alerts: no more are sent until the
+                        balance recovers
+  report                Summarize balance usage since the last daily or weekly report
+  validate-config       Validate the configuration and exit
+  providers list        List the registered SMS providers
+  simulate              Run an account's alert rules against a scripted balance on a
+                        simulated clock, without sending anything
+
+Options:
+  --account <name>      Only act on this account (default: all accounts)
+  --tier <name>         Tier whose channels send-test-alert uses (default: least severe)
+  --by <name>           ack: who acknowledges (default: the current user)
+  --note <text>         ack: note kept with the acknowledgement, e.g. "top-up ordered"
+  --period <period>     report: daily or weekly (default: daily)
+  --csv                 report: print CSV instead of text
+  --balances <list>     simulate: balances read one per check, e.g. 900,500,timeout,480
+  --start-balance <n>   simulate: first balance, without --balances...
+  --rate <n>            simulate: ...falling by this much per hour (default: 0)
+  --duration <time>     simulate: simulated time to run, e.g. 6h (default: one check per
+                        balance, or 1d)
+  --json                Print machine-readable JSON instead of text
+  --verbose             Echo log messages to stderr
+  -h, --help            Show this help
+
+Exit codes: 0 OK, 1 WARNING, 2 CRITICAL, 3 UNKNOWN`;
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+/**
+ * Parse command-line arguments into a command and options
+ */
+function parseArgs(argv) {
+  const args = {
+    command: [],
+    account: null,
+    tier: null,
+    by: null,
+    note: null,
+    period: 'daily',
+    balances: null,
+    startBalance: null,
+    rate: null,
+    duration: null,
+    json: false,
+    csv: false,
+    verbose: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--account':
+      case '--tier':
+      case '--by':
+      case '--note':
+      case '--period':
+      case '--balances':
+      case '--start-balance':
+      case '--rate':
+      case '--duration':
+        if (!argv[i + 1] || argv[i + 1].startsWith('--')) {
+          throw new Error(`${arg} requires a value`);
+        }
+        // --start-balance sets args.startBalance
+        args[arg.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase())] = argv[++i];
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      case '--csv':
+        args.csv = true;
+        break;
+      case '--verbose':
+        args.verbose = true;
+        break;
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        args.command.push(arg);
+    }
+  }
+
+  return args;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Map a balance to a Nagios status code using the account's tiers.
+ * With several tiers the least severe one is a warning and the rest are
+ * critical; a single tier is always critical.
+ */
+function getBalanceCode(monitor, account, balance) {
+  const tier = monitor.getTier(account, balance);
+  if (!tier) {
+    return EXIT_CODES.OK;
+  }
+  return account.monitor.tiers.length > 1 && monitor.getTierRank(account, tier.name) === 0
+    ? EXIT_CODES.WARNING
+    : EXIT_CODES.CRITICAL;
+}
+
+/**
+ * Build Nagios performance data for a balance: 'label'=value;warn;crit
+ */
+function formatPerfData(account, balance) {
+  const { tiers } = account.monitor;
+  const warn = tiers.length > 1 ? tiers[0].threshold : '';
+  const crit = tiers.length > 1 ? tiers[1].threshold : tiers[0].threshold;
+  return `'${account.name}'=${balance};${warn};${crit}`;
+}
+
+/**
+ * Select the accounts a command acts on
+ */
+function selectAccounts(accounts, name) {
+  if (!name) {
+    return accounts;
+  }
+  const account = accounts.find(candidate => candidate.name === name);
+  if (!account) {
+    throw new Error(`Unknown account '${name}'. Accounts: ${accounts.map(candidate => candidate.name).join(', ')}`);
+  }
+  return [account];
+}
+
+/**
+ * Print results as JSON or as one Nagios-style line with performance data,
+ * and return the worst account's exit code
+ */
+function report(args, label, results, perfData = []) {
+  const code = Math.max(EXIT_CODES.OK, ...results.map(result => result.code));
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      status: STATUS_NAMES[code],
+      code,
+      accounts: results.map(({ code: resultCode, ...result }) => ({ ...result, status: STATUS_NAMES[resultCode] }))
+    }, null, 2));
+  } else {
+    const summary = results.map(result => `${result.account}: ${result.summary}`).join(', ');
+    const perf = perfData.length > 0 ? `|${perfData.join(' ')}` : '';
+    console.log(`${label} ${STATUS_NAMES[code]} - ${summary}${perf}`);
+  }
+
+  return code;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * check: read the live balance from each account's provider
+ */
+async function checkCommand(args, { monitor, redact }) {
+  const accounts = selectAccounts(monitor.initializeAccounts(), args.account);
+  const perfData = [];
+
+  const results = await Promise.all(accounts.map(async account => {
+    try {
+      const balance = await account.provider.checkBalance();
+      const tier = monitor.getTier(account, balance);
+      perfData.push(formatPerfData(account, balance));
+      return {
+        account: account.name,
+        code: getBalanceCode(monitor, account, balance),
+        provider: account.provider.getName(),
+        balance,
+        threshold: account.monitor.threshold,
+        tier: tier ? tier.name : null,
+        summary: tier ? `${balance} (tier ${tier.name} <= ${tier.threshold})` : `${balance}`
+      };
+    } catch (error) {
+      return {
+        account: account.name,
+        code: EXIT_CODES.UNKNOWN,
+        provider: account.provider.getName(),
+        error: redact(error.message),
+        errorType: monitor.getErrorType(error),
+        summary: redact(error.message)
+      };
+    }
+  }));
+
+  return report(args, 'SMS BALANCE', results, perfData);
+}
+
+/**
+ * status: report each account from the state file without calling the provider
+ */
+async function statusCommand(args, { monitor }) {
+  const accounts = selectAccounts(monitor.initializeAccounts(), args.account);
+  const perfData = [];
+
+  const results = await Promise.all(accounts.map(async account => {
+    // The circuit breaker lives in the running monitor, not in this process
+    const { circuit, ...status } = await monitor.getAccountStatus(account);
+    const health = await monitor.getAccountHealth(account);
+    const result = { account: account.name, ...status, healthy: health.ok };
+
+    if (status.balance === null) {
+      return { ...result, code: EXIT_CODES.UNKNOWN, summary: 'no successful check recorded' };
+    }
+
+    perfData.push(formatPerfData(account, status.balance));
+    if (!health.ok) {
+      const minutes = Math.round(health.lastSuccessfulCheckAge / 1000 / 60);
+      return { ...result, code: EXIT_CODES.UNKNOWN, summary: `${status.balance} (stale, last successful check ${minutes} minutes ago)` };
+    }
+
+    return {
+      ...result,
+      code: getBalanceCode(monitor, account, status.balance),
+      summary: status.tier ? `${status.balance} (tier ${status.tier})` : `${status.balance}`
+    };
+  }));
+
+  return report(args, 'SMS BALANCE', results, perfData);
+}
+
+/**
+ * reset-state: clear notification counters so alerting starts over
+ */
+async function resetStateCommand(args, { monitor, state, log }) {
+  const accounts = selectAccounts(monitor.initializeAccounts(), args.account);
+
+  const results = [];
+  for (const account of accounts) {
+    await state.resetState(account);
+    log('State reset from the command line', 'INFO', account, { event: 'state-reset' });
+    results.push({ account: account.name, code: EXIT_CODES.OK, summary: 'state reset' });
+  }
+
+  return report(args, 'RESET STATE', results);
+}
+
+/**
+ * send-test-alert: deliver a test message through a tier's channels.
+ * Test alerts are not counted in the account's notification state.
+ */
+async function sendTestAlertCommand(args, { monitor, log }) {
+  const accounts = selectAccounts(monitor.initializeAccounts(), args.account);
+
+  const results = [];
+  for (const account of accounts) {
+    const tier = args.tier
+      ? account.monitor.tiers.find(candidate => candidate.name === args.tier)
+      : account.monitor.tiers[0];
+
+    if (!tier) {
+      results.push({
+        account: account.name,
+        code: EXIT_CODES.UNKNOWN,
+        summary: `unknown tier '${args.tier}' (tiers: ${account.monitor.tiers.map(candidate => candidate.name).join(', ')})`
+      });
+      continue;
+    }
+
+    const now = Date.now();
+    const delivery = await monitor.deliverAlert(account, account.tierNotifiers[tier.name], {
+      account: account.name,
+      type: 'test',
+      tier: tier.name,
+      balance: null,
+      threshold: tier.threshold,
+      notificationNumber: 0,
+      forecast: null,
+      timestamp: now
+    });
+
+    const delivered = delivery.channels.length > 0;
+    log(`Test alert ${delivered ? `sent via ${delivery.channels.join(', ')} (${delivery.path})` : 'failed on every channel'}`, delivered ? 'INFO' : 'ERROR', account, { event: 'test-alert', channels: delivery.channels });
+    results.push({
+      account: account.name,
+      code: delivered ? EXIT_CODES.OK : EXIT_CODES.CRITICAL,
+      tier: tier.name,
+      delivery,
+      summary: delivered ? `sent via ${delivery.channels.join(', ')}` : 'no channel delivered the test alert'
+    });
+  }
+
+  return report(args, 'TEST ALERT', results);
+}
+
+/**
+ * ack: acknowledge low-balance alerts, silencing them until the balance
+ * recovers. Accounts with no alert outstanding are a warning.
+ */
+async function ackCommand(args, { monitor }) {
+  const accounts = selectAccounts(monitor.initializeAccounts(), args.account);
+  const by = args.by || require('os').userInfo().username;
+
+  const results = [];
+  for (const account of accounts) {
+    const acknowledgement = await monitor.acknowledgeAlert(account, { by, via: 'cli', note: args.note });
+    results.push(acknowledgement
+      ? { account: account.name, code: EXIT_CODES.OK, acknowledgement, summary: `acknowledged by ${acknowledgement.by} (tier ${acknowledgement.tier})` }
+      : { account: account.name, code: EXIT_CODES.WARNING, acknowledgement: null, summary: 'no low-balance alert to acknowledge' });
+  }
+
+  return report(args, 'ACKNOWLEDGE', results);
+}
+
+/**
+ * report: summarize each account's balance usage since its last scheduled
+ * report of the period (or over the period's length), as the report would
+ * be sent now. Accounts without recorded readings are unknown.
+ */
+async function reportCommand(args, { monitor }) {
+  const accounts = selectAccounts(monitor.initializeAccounts(), args.account);
+
+  const reports = [];
+  for (const account of accounts) {
+    reports.push(await monitor.getBalanceReport(account, args.period));
+  }
+
+  if (args.csv) {
+    process.stdout.write(require('./history').formatReportCsv(reports));
+    return EXIT_CODES.OK;
+  }
+
+  const results = reports.map(({ account, ...balanceReport }) => balanceReport.closingBalance === null
+    ? { account, code: EXIT_CODES.UNKNOWN, ...balanceReport, summary: 'no readings recorded' }
+    : {
+      account,
+      code: EXIT_CODES.OK,
+      ...balanceReport,
+      summary: `${balanceReport.openingBalance} -> ${balanceReport.closingBalance}, consumed ${balanceReport.consumed}` +
+        (balanceReport.daysRemaining !== null ? `, ${balanceReport.daysRemaining} days left` : '')
+    });
+  return report(args, `${args.period.toUpperCase()} REPORT`, results);
+}
+
+/**
+ * validate-config: load and validate the configuration, including provider
+ * and alert channel construction and the state store. Every error and
+ * warning is listed; warnings exit with WARNING.
+ */
+async function validateConfigCommand(args) {
+  try {
+    const { validateConfig } = require('./config');
+    const { formatReport } = require('./lib/config-schema');
+    const { warnings } = validateConfig();
+    require('./lib/logger').configureLogger({ console: args.verbose ? process.stderr : null });
+    const accounts = require('./lib/monitor').initializeAccounts();
+
+    // Opening the state store also checks its driver, connection and schema version
+    const { openState, closeState } = require('./lib/state');
+    try {
+      await openState();
+    } finally {
+      await closeState();
+    }
+
+    // Warnings about an account start with its name in brackets; the rest concern the whole process
+    const accountWarnings = name => warnings.filter(warning => warning.startsWith(`[${name}] `));
+    const globalWarnings = warnings.filter(warning => !accounts.some(account => accountWarnings(account.name).includes(warning)));
+    const results = accounts.map(account => {
+      const own = accountWarnings(account.name);
+      return {
+        account: account.name,
+        code: own.length > 0 ? EXIT_CODES.WARNING : EXIT_CODES.OK,
+        provider: account.provider.getName(),
+        warnings: own,
+        summary: `valid (${account.provider.getName()})${own.length > 0 ? ` with ${own.length} warning(s)` : ''}`
+      };
+    });
+    if (globalWarnings.length > 0) {
+      results.push({ account: 'config', code: EXIT_CODES.WARNING, warnings: globalWarnings, summary: `${globalWarnings.length} warning(s)` });
+    }
+
+    const code = report(args, 'CONFIG', results);
+    if (!args.json && warnings.length > 0) {
+      console.log(formatReport({ errors: [], warnings }));
+    }
+    return code;
+  } catch (error) {
+    const { errors = [error.message], warnings = [] } = error.report || {};
+    const summary = `${errors.length} error(s)${warnings.length > 0 ? `, ${warnings.length} warning(s)` : ''}`;
+    const code = report(args, 'CONFIG', [{ account: 'config', code: EXIT_CODES.CRITICAL, error: error.message, errors, warnings, summary }]);
+    if (!args.json) {
+      console.log(error.report ? error.message : `  - ${error.message}`);
+    }
+    return code;
+  }
+}
+
+/**
+ * providers list: list the provider names the registry knows, with the
+ * plugin each one not bundled here comes from
+ */
+async function providersCommand(args) {
+  if (args.command[1] !== 'list') {
+    throw new Error(`Unknown providers subcommand: ${args.command[1] || '(none)'}. Try 'providers list'`);
+  }
+
+  // Loading the configuration loads the provider plugins; without it only the built-in ones are listed
+  let pluginErrors;
+  try {
+    pluginErrors = require('./config').PROVIDER_PLUGINS.errors;
+  } catch (error) {
+    pluginErrors = [`Provider plugins not loaded, the configuration failed to load: ${error.message}`];
+  }
+  const providerRegistry = require('./providers/provider-registry');
+  const providers = providerRegistry.getAvailableProviders();
+  if (args.json) {
+    console.log(JSON.stringify({
+      providers,
+      sources: Object.fromEntries(providers.map(name => [name, providerRegistry.getProviderSource(name)])),
+      pluginErrors
+    }, null, 2));
+  } else {
+    providers.forEach(name => {
+      const source = providerRegistry.getProviderSource(name);
+      console.log(source === 'built-in' ? name : `${name} (plugin: ${source})`);
+    });
+    pluginErrors.forEach(error => console.error(error));
+  }
+  return pluginErrors.length > 0 ? EXIT_CODES.WARNING : EXIT_CODES.OK;
+}
+
+/**
+ * Format a simulated time for the simulate timeline
+ */
+function formatSimulatedTime(time) {
+  return new Date(time).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Describe a simulation event in one line
+ */
+function describeSimulatedEvent(entry) {
+  switch (entry.event) {
+    case 'check':
+      return `check        ${entry.balance}${entry.tier ? ` (tier ${entry.tier})` : ''}`;
+    case 'alert-sent':
+      return `alert-sent   tier ${entry.tier}, #${entry.notificationNumber}`;
+    case 'alert-skipped':
+      return `alert-skip   ${entry.reason}`;
+    case 'alert-failed':
+      return `alert-failed ${entry.error}`;
+    case 'recovered':
+      return `recovered    from tier ${entry.tier}`;
+    case 'report':
+      return `report       ${entry.period}, consumed ${entry.consumed}`;
+    case 'error':
+      return `check-failed ${entry.errorType}: ${entry.error}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * simulate: run an account's alert rules against a scripted balance on a
+ * simulated clock. Nothing is sent and neither state nor history is touched.
+ */
+async function simulateCommand(args) {
+  const { configureLogger } = require('./lib/logger');
+  const { formatDuration } = require('./history');
+  const { parseDuration } = require('./lib/config-schema');
+  const { simulate } = require('./lib/simulator');
+  const { ACCOUNTS } = require('./config');
+
+  if (args.balances === null && args.startBalance === null) {
+    throw new Error('simulate needs --balances or --start-balance');
+  }
+  const duration = args.duration !== null ? parseDuration(args.duration) : null;
+  if (Number.isNaN(duration)) {
+    throw new Error(`Invalid --duration '${args.duration}' (expected e.g. 30m, 6h or 2d)`);
+  }
+
+  // Simulated checks are not real events, so they stay out of the log file
+  configureLogger({ console: args.verbose ? process.stderr : null, file: false });
+  const [account] = selectAccounts(ACCOUNTS, args.account);
+  const result = await simulate({
+    account,
+    provider: {
+      balances: args.balances,
+      startBalance: args.startBalance !== null ? Number(args.startBalance) : null,
+      consumptionRate: args.rate !== null ? Number(args.rate) : 0
+    },
+    duration
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return EXIT_CODES.OK;
+  }
+
+  const failed = result.events.filter(entry => entry.event === 'alert-failed').length;
+  console.log(`SIMULATION ${result.account}: ${result.checks} check(s) over ${formatDuration(result.end - result.start)}, ${result.messages.length} alert(s) sent${failed > 0 ? `, ${failed} failed` : ''}`);
+  result.events.forEach(entry => {
+    const line = describeSimulatedEvent(entry);
+    if (line) {
+      console.log(`  ${formatSimulatedTime(entry.time)}  ${line}`);
+    }
+  });
+  result.messages.forEach(message => {
+    console.log(`\nSMS at ${formatSimulatedTime(message.time)} to ${message.destinations.join(', ')}:\n${message.message}`);
+  });
+  return EXIT_CODES.OK;
+}
+
+const COMMANDS = {
+  check: checkCommand,
+  status: statusCommand,
+  'reset-state': resetStateCommand,
+  'send-test-alert': sendTestAlertCommand,
+  ack: ackCommand,
+  report: reportCommand,
+  'validate-config': validateConfigCommand,
+  providers: providersCommand,
+  simulate: simulateCommand
+};
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.UNKNOWN;
+  }
+
+  const command = COMMANDS[args.command[0]];
+  if (args.help || !command) {
+    if (!args.help) {
+      console.error(args.command[0] ? `Unknown command: ${args.command[0]}\n` : 'No command given\n');
+    }
+    console.error(USAGE);
+    return args.help ? EXIT_CODES.OK : EXIT_CODES.UNKNOWN;
+  }
+
+  try {
+    // These commands must work even when the configuration cannot be loaded
+    if (args.command[0] === 'validate-config' || args.command[0] === 'providers') {
+      return await command(args);
+    }
+
+    // Log messages would corrupt the command's output, so they go to stderr on request only
+    const { configureLogger, log, redact } = require('./lib/logger');
+    configureLogger({ console: args.verbose ? process.stderr : null });
+
+    const state = require('./lib/state');
+    try {
+      return await command(args, { monitor: require('./lib/monitor'), state, log, redact });
+    } finally {
+      await state.closeState();
+    }
+  } catch (error) {
+    if (args.json) {
+      console.log(JSON.stringify({ status: 'UNKNOWN', code: EXIT_CODES.UNKNOWN, error: error.message }, null, 2));
+    } else {
+      console.log(`UNKNOWN - ${error.message}`);
+    }
+    return EXIT_CODES.UNKNOWN;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -1,5 +1,19 @@
+const fs = require('fs');
 const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '.env') });
+const { execSync } = require('child_process');
+const { getAvailableLocales } = require('./messages');
+const { parseWindows, parseTimeSlot } = require('./lib/schedule');
+const { coerce, readEnv, applySchema, validateSchema, formatReport } = require('./lib/config-schema');
+const providerRegistry = require('./providers/provider-registry');
+const { loadProviderPlugins } = require('./providers/plugin-loader');
+const { formatDuration } = require('./history');
+
+// Variables set by the process environment, before any env file is applied.
+// Variables the env files add are recorded in ENV_FILE_KEYS so a reload can
+// drop them and read the edited files with the same precedence.
+const PROCESS_ENV_KEYS = new Set(Object.keys(process.env));
+const ENV_FILE = path.join(__dirname, '.env');
+require('dotenv').config({ path: ENV_FILE });
 
 /**
  * SMS Balance Monitor Configuration
@@ -8,93 +22,1081 @@ require('dotenv').config({ path: path.join(__dirname, '.env') });
  * Modify these values to customize the monitor for your needs.
  */
 
+// ============================================================================
+// SECRET SOURCES
+// ============================================================================
+
+// Optional env file holding only credentials, e.g. outside the app directory
+// with stricter permissions. Values already set in the environment win.
+if (process.env.SMS_SECRETS_ENV_FILE) {
+  const result = require('dotenv').config({ path: path.resolve(__dirname, process.env.SMS_SECRETS_ENV_FILE) });
+  if (result.error) {
+    throw new Error(`Failed to read SMS_SECRETS_ENV_FILE: ${result.error.message}`);
+  }
+}
+
+const ENV_FILE_KEYS = Object.keys(process.env).filter(key => !PROCESS_ENV_KEYS.has(key));
+
+// A secret value may reference where to read it from instead of holding it:
+// "file:/run/secrets/sms_password", "env:OTHER_VAR" or "cmd:pass show sms/password"
+const SECRET_SOURCES = {
+  file: ref => fs.readFileSync(path.resolve(__dirname, ref), 'utf8').trim(),
+  env: ref => process.env[ref],
+  cmd: ref => execSync(ref, { encoding: 'utf8', timeout: 10000, stdio: ['ignore', 'pipe', 'pipe'] }).trim()
+};
+
+/**
+ * Resolve a file:, env: or cmd: secret reference; other values are returned as-is
+ */
+function resolveSecret(value) {
+  const match = typeof value === 'string' && value.match(/^(file|env|cmd):([\s\S]+)$/);
+  if (!match) {
+    return value;
+  }
+
+  const [, source, ref] = match;
+  try {
+    return SECRET_SOURCES[source](ref);
+  } catch (error) {
+    // The reference is a path, variable name or command, never the secret itself
+    throw new Error(`Failed to resolve secret from ${source}:${source === 'cmd' ? ' command' : ref}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve secret references in every string of a config object (e.g. an
+ * account's providerConfig or an alert channel from the accounts file)
+ */
+function resolveSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(resolveSecrets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveSecrets(item)]));
+  }
+  return resolveSecret(value);
+}
+
+/**
+ * Read a secret from the environment. NAME_FILE (a path to a file holding
+ * the value, as used by Docker and Kubernetes secrets) takes precedence over
+ * NAME, and NAME may itself be a secret reference.
+ */
+function getSecret(name) {
+  if (process.env[`${name}_FILE`]) {
+    return resolveSecret(`file:${process.env[`${name}_FILE`]}`);
+  }
+  return resolveSecret(process.env[name]);
+}
+
 // ============================================================================
 // SMS PROVIDER CONFIGURATION
 // ============================================================================
 
-// Available providers: 'deywuro'
+// Available providers: 'deywuro', 'twilio', 'vonage' (alias 'nexmo'), 'generic-http', 'mock',
+// and those of provider plugins (see PROVIDER PLUGINS below)
 const SMS_PROVIDER = process.env.SMS_PROVIDER || 'deywuro';
 
+/**
+ * Parse SMS_HTTP_PROXY: a proxy URL, "none" to ignore HTTP(S)_PROXY, or unset to honor them
+ */
+function parseProxySetting(value) {
+  if (!value) return null;
+  return value === 'none' ? false : value;
+}
+
+// HTTP client settings shared by all providers (see providers/http-client.js).
+// An account can override any of them with providerConfig.http.
+const PROVIDER_HTTP_CONFIG = {
+  timeout: readEnv('SMS_HTTP_TIMEOUT', 30000, 'duration'), // 30 seconds per attempt
+  retries: readEnv('SMS_HTTP_RETRIES', 2, 'integer'),
+  retryDelay: readEnv('SMS_HTTP_RETRY_DELAY', 1000, 'duration'), // Backoff base, doubled per retry with jitter
+  maxRetryDelay: readEnv('SMS_HTTP_MAX_RETRY_DELAY', 10000, 'duration'),
+  circuitBreaker: {
+    // Consecutive failed requests that open the circuit (0 disables it)
+    failureThreshold: readEnv('SMS_HTTP_CIRCUIT_THRESHOLD', 5, 'integer'),
+    resetTimeout: readEnv('SMS_HTTP_CIRCUIT_RESET', 60000, 'duration') // 1 minute
+  },
+  proxy: parseProxySetting(getSecret('SMS_HTTP_PROXY'))
+};
+
 // Deywuro Provider Configuration
 const DEYWURO_CONFIG = {
   balanceUrl: process.env.SMS_URL || process.env.SMS_BALANCE_URL,
   sendUrl: process.env.SMS_SEND_URL || 'https://deywuro.com/api/sms',
-  username: process.env.SMS_USERNAME,
-  password: process.env.SMS_PASSWORD,
+  balanceMethod: (process.env.SMS_BALANCE_METHOD || 'get').toLowerCase(),
+  username: getSecret('SMS_USERNAME'),
+  password: getSecret('SMS_PASSWORD'),
   source: process.env.SMS_SOURCE || 'ZIPPY'
 };
 
+// Twilio Provider Configuration
+const TWILIO_CONFIG = {
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: getSecret('TWILIO_AUTH_TOKEN'),
+  from: process.env.TWILIO_FROM_NUMBER,
+  messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+  baseUrl: process.env.TWILIO_BASE_URL || 'https://api.twilio.com',
+  // Where Twilio posts delivery status updates, e.g. the status API's receipt webhook
+  statusCallback: process.env.TWILIO_STATUS_CALLBACK_URL
+};
+
+// Vonage (Nexmo) Provider Configuration
+const VONAGE_CONFIG = {
+  apiKey: getSecret('VONAGE_API_KEY'),
+  apiSecret: getSecret('VONAGE_API_SECRET'),
+  from: process.env.VONAGE_FROM || process.env.SMS_SOURCE,
+  baseUrl: process.env.VONAGE_BASE_URL || 'https://rest.nexmo.com'
+};
+
+// Generic HTTP Provider Configuration
+// Request templates are nested, so they are read from a JSON file
+// (see providers/generic-http.js for the format)
+const GENERIC_HTTP_CONFIG_FILE = process.env.SMS_HTTP_PROVIDER_CONFIG;
+const GENERIC_HTTP_CONFIG = GENERIC_HTTP_CONFIG_FILE
+  ? resolveSecrets(JSON.parse(fs.readFileSync(path.resolve(__dirname, GENERIC_HTTP_CONFIG_FILE), 'utf8')))
+  : {};
+
+// Mock Provider Configuration
+// A scripted or steadily falling balance without a network, for trying out
+// the alert settings (see providers/mock.js)
+const MOCK_CONFIG = {
+  balances: process.env.MOCK_BALANCES ? parseList(process.env.MOCK_BALANCES) : null,
+  startBalance: readEnv('MOCK_START_BALANCE', null),
+  consumptionRate: readEnv('MOCK_CONSUMPTION_RATE', 0), // Per hour
+  sendFailures: readEnv('MOCK_SEND_FAILURES', 0, 'integer'),
+  deliveryStatus: process.env.MOCK_DELIVERY_STATUS || 'delivered'
+};
+
+// ============================================================================
+// PROVIDER PLUGINS
+// ============================================================================
+
+// Providers kept outside this repository (see providers/plugin-loader.js): every
+// module in the plugin directory, every installed sms-balance-monitor-provider-*
+// package, and the packages or paths listed in SMS_PROVIDER_PLUGINS
+const PROVIDER_PLUGIN_CONFIG = {
+  directory: path.resolve(__dirname, process.env.SMS_PROVIDER_PLUGIN_DIR || 'providers.d'),
+  modules: parseList(process.env.SMS_PROVIDER_PLUGINS)
+};
+
+const PROVIDER_PLUGINS = loadProviderPlugins({ ...PROVIDER_PLUGIN_CONFIG, baseDir: __dirname });
+
 // ============================================================================
 // MONITORING CONFIGURATION
 // ============================================================================
 
+/**
+ * Parse threshold tiers from SMS_THRESHOLD_TIERS, e.g. "warning:1000,critical:300,empty:0".
+ * Each tier can be tuned with SMS_TIER_<NAME>_RECIPIENTS, _COOLDOWN,
+ * _MAX_NOTIFICATIONS, _MESSAGE and _CRITICAL.
+ */
+function parseTiers(value) {
+  if (!value) {
+    return null;
+  }
+
+  return parseList(value).map(entry => {
+    const [name, threshold] = entry.split(':').map(part => part.trim());
+    const envPrefix = `SMS_TIER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const tier = { name, threshold: threshold === undefined ? threshold : coerce(threshold, 'number') };
+
+    if (process.env[`${envPrefix}_RECIPIENTS`]) {
+      tier.recipients = parseList(process.env[`${envPrefix}_RECIPIENTS`]);
+    }
+    if (process.env[`${envPrefix}_COOLDOWN`]) {
+      tier.notificationCooldown = readEnv(`${envPrefix}_COOLDOWN`, null, 'duration');
+    }
+    if (process.env[`${envPrefix}_MAX_NOTIFICATIONS`]) {
+      tier.maxConsecutiveNotifications = readEnv(`${envPrefix}_MAX_NOTIFICATIONS`, null, 'integer');
+    }
+    if (process.env[`${envPrefix}_MESSAGE`]) {
+      tier.message = process.env[`${envPrefix}_MESSAGE`];
+    }
+    if (process.env[`${envPrefix}_CRITICAL`]) {
+      tier.critical = process.env[`${envPrefix}_CRITICAL`] === 'true';
+    }
+    return tier;
+  });
+}
+
 const MONITOR_CONFIG = {
   // Balance threshold - alerts will be sent when balance falls below this
-  threshold: parseInt(process.env.SMS_BAL_THRESHOLD) || 700,
+  threshold: readEnv('SMS_BAL_THRESHOLD', 700),
   
-  // How often to check the balance (in milliseconds)
-  checkInterval: parseInt(process.env.SMS_CHECK_INTERVAL) || (5 * 60 * 1000), // 5 minutes
+  // How often to check the balance (in milliseconds, or a duration such as "5m")
+  checkInterval: readEnv('SMS_CHECK_INTERVAL', 5 * 60 * 1000, 'duration'), // 5 minutes
   
   // Cooldown period between notifications (in milliseconds)
-  notificationCooldown: parseInt(process.env.SMS_NOTIFICATION_COOLDOWN) || (30 * 60 * 1000), // 30 minutes
+  notificationCooldown: readEnv('SMS_NOTIFICATION_COOLDOWN', 30 * 60 * 1000, 'duration'), // 30 minutes
   
   // Maximum consecutive notifications before stopping
-  maxConsecutiveNotifications: parseInt(process.env.SMS_MAX_CONSECUTIVE_NOTIFICATIONS) || 4,
+  maxConsecutiveNotifications: readEnv('SMS_MAX_CONSECUTIVE_NOTIFICATIONS', 4, 'integer'),
   
   // Minimum balance change required to send subsequent notifications (in units)
-  balanceChangeThreshold: parseInt(process.env.SMS_BALANCE_CHANGE_THRESHOLD) || 10
+  balanceChangeThreshold: readEnv('SMS_BALANCE_CHANGE_THRESHOLD', 10),
+
+  // Optional severity tiers, each with its own threshold, message, cooldown,
+  // max notifications and recipients. Without tiers, `threshold` acts as a
+  // single "low" tier.
+  tiers: parseTiers(process.env.SMS_THRESHOLD_TIERS),
+
+  // Rolling window used to compute the consumption rate for forecasts (in milliseconds)
+  forecastWindow: readEnv('SMS_FORECAST_WINDOW', 6 * 60 * 60 * 1000, 'duration'), // 6 hours
+
+  // Additional windows whose consumption rates are logged (in milliseconds)
+  forecastWindows: [60 * 60 * 1000, 24 * 60 * 60 * 1000], // 1 hour, 24 hours
+
+  // Alert when the balance is projected to run out within this time, even while
+  // it is still above the threshold (in milliseconds, 0 disables forecast alerts)
+  forecastHorizon: readEnv('SMS_FORECAST_HORIZON', 0, 'duration'),
+
+  // Alert that monitoring is degraded after this many consecutive failed balance checks
+  // (0 disables), or once no reading has succeeded for this long (in milliseconds, 0 disables)
+  degradedAfterFailures: readEnv('SMS_DEGRADED_AFTER_FAILURES', 3, 'integer'),
+  degradedAfterTime: readEnv('SMS_DEGRADED_AFTER_TIME', 30 * 60 * 1000, 'duration'), // 30 minutes
+
+  // Cooldown and maximum for repeated degraded alerts while checks keep failing
+  degradedCooldown: readEnv('SMS_DEGRADED_COOLDOWN', 60 * 60 * 1000, 'duration'), // 1 hour
+  degradedMaxNotifications: readEnv('SMS_DEGRADED_MAX_NOTIFICATIONS', 3, 'integer'),
+
+  // Minimum time between "monitoring recovered" notices, so a flapping provider does not spam
+  recoveryNoticeCooldown: readEnv('SMS_RECOVERY_NOTICE_COOLDOWN', 30 * 60 * 1000, 'duration'), // 30 minutes
+
+  // Notify the last alerted tier's recipients when the balance goes back above the threshold
+  notifyOnRecovery: process.env.SMS_NOTIFY_ON_RECOVERY !== 'false',
+
+  // A rise of at least this much between two readings is recorded as a top-up (in units, 0 disables)
+  topUpThreshold: readEnv('SMS_TOPUP_THRESHOLD', 100),
+
+  // Send a notification (e.g. to finance) when a top-up is detected
+  notifyOnTopUp: process.env.SMS_NOTIFY_ON_TOPUP === 'true',
+
+  // Time zone of the schedule windows below (IANA name, default: SMS_ALERT_TIMEZONE or system)
+  scheduleTimeZone: process.env.SMS_SCHEDULE_TIMEZONE || process.env.SMS_ALERT_TIMEZONE || undefined,
+
+  // Windows (see lib/schedule.js) in which alerts from non-critical tiers and other
+  // notices are held back and sent as one summary once they end, e.g. "22:00-07:00"
+  quietHours: process.env.SMS_QUIET_HOURS || null,
+
+  // Windows counted as business hours, e.g. "mon-fri 08:00-18:00". Outside them the
+  // balance is checked every offHoursCheckInterval (in milliseconds) instead of checkInterval.
+  businessHours: process.env.SMS_BUSINESS_HOURS || null,
+  offHoursCheckInterval: readEnv('SMS_OFF_HOURS_CHECK_INTERVAL', null, 'duration'),
+
+  // Windows in which alerts are suppressed while readings are still recorded,
+  // e.g. "sun 02:00-04:00;2026-11-02T22:00Z/2026-11-03T02:00Z". More can be added through the status API.
+  maintenanceWindows: process.env.SMS_MAINTENANCE_WINDOWS || null,
+
+  // When the daily and weekly balance reports go out, in the schedule time zone,
+  // e.g. "08:00" and "mon 08:00". Each covers the time since the previous one.
+  dailyReport: process.env.SMS_REPORT_DAILY || null,
+  weeklyReport: process.env.SMS_REPORT_WEEKLY || null
+};
+
+// Env vars of the schedule settings, for error messages
+const SCHEDULE_ENV = {
+  quietHours: 'SMS_QUIET_HOURS',
+  businessHours: 'SMS_BUSINESS_HOURS',
+  maintenanceWindows: 'SMS_MAINTENANCE_WINDOWS',
+  dailyReport: 'SMS_REPORT_DAILY',
+  weeklyReport: 'SMS_REPORT_WEEKLY'
 };
 
 // ============================================================================
 // ALERT CONFIGURATION
 // ============================================================================
 
+/**
+ * Split a comma-separated env var into a trimmed list
+ */
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Build the alert channels enabled through environment variables.
+ * The SMS channel is on unless SMS_ALERT_SMS_ENABLED=false; every other
+ * channel is enabled by setting its destination.
+ */
+function buildAlertChannels() {
+  const channels = [];
+
+  if (process.env.SMS_ALERT_SMS_ENABLED !== 'false') {
+    // Recipients default to ALERT_CONFIG.recipients (or the account's own)
+    channels.push({ type: 'sms' });
+  }
+
+  if (process.env.ALERT_EMAIL_TO) {
+    channels.push({
+      type: 'email',
+      host: process.env.SMTP_HOST,
+      port: readEnv('SMTP_PORT', 587, 'integer'),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: getSecret('SMTP_PASS'),
+      from: process.env.ALERT_EMAIL_FROM,
+      to: parseList(process.env.ALERT_EMAIL_TO)
+    });
+  }
+
+  if (process.env.ALERT_SLACK_WEBHOOK_URL || process.env.ALERT_SLACK_WEBHOOK_URL_FILE) {
+    channels.push({ type: 'slack', webhookUrl: getSecret('ALERT_SLACK_WEBHOOK_URL') });
+  }
+
+  if (process.env.ALERT_TEAMS_WEBHOOK_URL || process.env.ALERT_TEAMS_WEBHOOK_URL_FILE) {
+    channels.push({ type: 'teams', webhookUrl: getSecret('ALERT_TEAMS_WEBHOOK_URL') });
+  }
+
+  if (process.env.ALERT_WEBHOOK_URL) {
+    channels.push({ type: 'webhook', url: process.env.ALERT_WEBHOOK_URL });
+  }
+
+  if (process.env.ALERT_TELEGRAM_BOT_TOKEN || process.env.ALERT_TELEGRAM_BOT_TOKEN_FILE) {
+    channels.push({
+      type: 'telegram',
+      botToken: getSecret('ALERT_TELEGRAM_BOT_TOKEN'),
+      chatIds: parseList(process.env.ALERT_TELEGRAM_CHAT_IDS)
+    });
+  }
+
+  // ALERT_<TYPE>_LOCALE sends a channel its alerts in another language
+  return channels.map(channel => {
+    const locale = process.env[`ALERT_${channel.type.toUpperCase()}_LOCALE`];
+    return locale ? { ...channel, locale } : channel;
+  });
+}
+
+/**
+ * Load custom message templates from a JSON file (relative to this directory)
+ */
+function loadTemplates(file) {
+  if (!file) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read SMS_ALERT_TEMPLATES_FILE ${file}: ${error.message}`);
+  }
+}
+
+// Channel types listed here are held back from normal delivery and only
+// used, in this order, when every primary channel has failed
+const FALLBACK_CHANNEL_TYPES = parseList(process.env.SMS_ALERT_FALLBACK_CHANNELS);
+
+/**
+ * Build the ordered fallback chain: a secondary SMS provider first (when
+ * SMS_FALLBACK_PROVIDER is set), then the channels named in SMS_ALERT_FALLBACK_CHANNELS
+ */
+function buildFallbackChannels(channels) {
+  const fallback = [];
+
+  if (process.env.SMS_FALLBACK_PROVIDER) {
+    fallback.push({ type: 'sms', provider: process.env.SMS_FALLBACK_PROVIDER });
+  }
+
+  FALLBACK_CHANNEL_TYPES.forEach(type => {
+    fallback.push(...channels.filter(channel => channel.type === type));
+  });
+
+  return fallback;
+}
+
+/**
+ * Build the channels balance reports go through from SMS_REPORT_CHANNELS, a
+ * list of the channel types enabled above (default: the least severe tier's channels)
+ */
+function buildReportChannels(channels) {
+  const types = parseList(process.env.SMS_REPORT_CHANNELS);
+  if (types.length === 0) {
+    return null;
+  }
+  return types.map(type => channels.find(channel => channel.type === type)).filter(Boolean);
+}
+
+const ENV_ALERT_CHANNELS = buildAlertChannels();
+
+const SMS_ENCODINGS = ['auto', 'gsm7', 'unicode'];
+
 const ALERT_CONFIG = {
   // Phone numbers to send alerts to
-  recipients: process.env.SMS_ALERT_RECIPIENTS 
-    ? process.env.SMS_ALERT_RECIPIENTS.split(',').map(r => r.trim())
-    : ['']
+  recipients: parseList(process.env.SMS_ALERT_RECIPIENTS),
+
+  // Channels alerts are delivered through (sms, email, slack, teams, webhook, telegram)
+  channels: ENV_ALERT_CHANNELS.filter(channel => !FALLBACK_CHANNEL_TYPES.includes(channel.type)),
+
+  // Channels tried in order, until one succeeds, when all primary channels fail
+  fallbackChannels: buildFallbackChannels(ENV_ALERT_CHANNELS),
+
+  // Phone numbers for top-up notifications (e.g. finance), defaulting to the least severe tier's.
+  // In an accounts file, `topUpChannels` can also send them through other channels.
+  topUpRecipients: process.env.SMS_TOPUP_RECIPIENTS ? parseList(process.env.SMS_TOPUP_RECIPIENTS) : null,
+
+  // Phone numbers and channels for balance reports (e.g. management), defaulting to the
+  // least severe tier's. SMS gets the short form, other channels the full one.
+  reportRecipients: process.env.SMS_REPORT_RECIPIENTS ? parseList(process.env.SMS_REPORT_RECIPIENTS) : null,
+  reportChannels: buildReportChannels(ENV_ALERT_CHANNELS),
+
+  // Retries per channel before moving on, with exponential backoff from retryDelay (ms)
+  retryAttempts: readEnv('SMS_ALERT_RETRY_ATTEMPTS', 2, 'integer'),
+  retryDelay: readEnv('SMS_ALERT_RETRY_DELAY', 2000, 'duration'),
+
+  // Language of alert messages: en, fr, tw, or a locale defined in the templates file.
+  // A channel's own `locale` (ALERT_<TYPE>_LOCALE for env channels) takes precedence.
+  locale: process.env.SMS_ALERT_LOCALE || 'en',
+
+  // Custom message templates by locale, shaped like messages/locales/en.js
+  templates: loadTemplates(process.env.SMS_ALERT_TEMPLATES_FILE),
+
+  // Time zone of {{timestamp}} in messages (IANA name such as Africa/Accra, default: system)
+  timeZone: process.env.SMS_ALERT_TIMEZONE || undefined,
+
+  // SMS alert text: GSM-7 handling (auto, gsm7 or unicode) and the most segments to send
+  smsEncoding: process.env.SMS_ALERT_SMS_ENCODING || 'auto',
+  smsMaxSegments: readEnv('SMS_ALERT_SMS_MAX_SEGMENTS', 2, 'integer')
 };
 
+// ============================================================================
+// ACCOUNTS CONFIGURATION
+// ============================================================================
+
+// Optional JSON file defining several accounts to monitor from one process.
+// When unset, a single "default" account is built from the settings above.
+const ACCOUNTS_FILE = process.env.SMS_ACCOUNTS_FILE;
+
+// Settings an account definition may have, besides those of MONITOR_CONFIG and ALERT_CONFIG
+const ACCOUNT_KEYS = ['name', 'provider', 'providerConfig', 'monitor', 'alert'];
+
+// Problems found while building accounts that are reported as warnings by validateConfig
+const ACCOUNT_WARNINGS = [];
+
+/**
+ * Warn about settings of an account definition that nothing reads, such as a misspelt key
+ */
+function warnUnknownKeys(name, raw, warnings) {
+  const sections = {
+    '': ACCOUNT_KEYS,
+    monitor: Object.keys(MONITOR_CONFIG),
+    alert: [...Object.keys(ALERT_CONFIG), 'topUpChannels']
+  };
+  Object.entries(sections).forEach(([section, keys]) => {
+    const values = section ? raw[section] : raw;
+    Object.keys(values || {}).filter(key => !keys.includes(key)).forEach(key => {
+      warnings.push(`[${name}] Unknown setting ${section ? `${section}.${key}` : key} in the accounts file is ignored`);
+    });
+  });
+}
+
+/**
+ * Build a fully-populated account from a raw account definition.
+ * Anything the account does not set falls back to the env-based defaults above.
+ *
+ * Example accounts file:
+ * {
+ *   "accounts": [
+ *     {
+ *       "name": "marketing",
+ *       "provider": "deywuro",
+ *       "providerConfig": { "username": "mkt_user", "password": "mkt_pass" },
+ *       "monitor": { "threshold": 1000, "checkInterval": 600000 },
+ *       "alert": { "recipients": ["0240000000"] }
+ *     }
+ *   ]
+ * }
+ *
+ * @param {Object} raw - Account definition, as in an accounts file
+ * @param {number} [index] - Position of the definition, for a default name
+ * @param {string[]} [warnings] - Where to add warnings about unknown keys
+ *   (default: those validateConfig reports)
+ * @returns {Object} Account configuration
+ */
+function buildAccount(raw, index = 0, warnings = ACCOUNT_WARNINGS) {
+  const name = raw.name || `account-${index + 1}`;
+  const provider = raw.provider || SMS_PROVIDER;
+  warnUnknownKeys(name, raw, warnings);
+
+  // Values from the file may be strings such as "5m", converted like env values
+  const alert = applySchema({ ...ALERT_CONFIG, ...raw.alert }, ALERT_SCHEMA);
+  const monitor = applySchema({ ...MONITOR_CONFIG, ...raw.monitor }, MONITOR_SCHEMA);
+  monitor.tiers = buildTiers(monitor);
+  // The highest tier is the point where alerting starts
+  monitor.threshold = monitor.tiers[0].threshold;
+
+  return {
+    name,
+    provider,
+    providerConfig: applySchema(
+      withHttpConfig({ ...getProviderConfig(provider), ...resolveSecrets(raw.providerConfig) }),
+      getProviderSchema(provider)
+    ),
+    monitor,
+    alert: {
+      ...alert,
+      channels: (alert.channels || []).map(resolveChannelProvider),
+      fallbackChannels: (alert.fallbackChannels || []).map(resolveChannelProvider),
+      topUpChannels: alert.topUpChannels && alert.topUpChannels.map(resolveChannelProvider),
+      reportChannels: alert.reportChannels && alert.reportChannels.map(resolveChannelProvider)
+    }
+  };
+}
+
+/**
+ * Normalize an account's threshold tiers, ordered from least to most severe
+ * (highest threshold first). Tier settings fall back to the account's own.
+ */
+function buildTiers(monitor) {
+  const tiers = monitor.tiers && monitor.tiers.length > 0
+    ? monitor.tiers
+    : [{ name: 'low', threshold: monitor.threshold }];
+
+  return tiers
+    .map(tier => applySchema({
+      notificationCooldown: monitor.notificationCooldown,
+      maxConsecutiveNotifications: monitor.maxConsecutiveNotifications,
+      ...tier,
+      channels: tier.channels && tier.channels.map(resolveChannelProvider)
+    }, TIER_SCHEMA))
+    .sort((a, b) => b.threshold - a.threshold);
+}
+
+/**
+ * Resolve a channel's secret references, and fill in the provider config for
+ * SMS channels that send through another registered provider than the account's own
+ */
+function resolveChannelProvider(rawChannel) {
+  const channel = resolveSecrets(rawChannel);
+  if (channel.type !== 'sms' || !channel.provider) {
+    return channel;
+  }
+  return { ...channel, providerConfig: withHttpConfig({ ...getProviderConfig(channel.provider), ...channel.providerConfig }) };
+}
+
+/**
+ * Layer a provider config's own http settings over the shared ones
+ */
+function withHttpConfig(providerConfig) {
+  const http = providerConfig.http || {};
+  return {
+    ...providerConfig,
+    http: {
+      ...PROVIDER_HTTP_CONFIG,
+      ...http,
+      circuitBreaker: { ...PROVIDER_HTTP_CONFIG.circuitBreaker, ...http.circuitBreaker }
+    }
+  };
+}
+
+/**
+ * Load account definitions from SMS_ACCOUNTS_FILE, or fall back to a single
+ * account built from the environment
+ */
+function loadAccounts() {
+  if (!ACCOUNTS_FILE) {
+    return [buildAccount({ name: 'default' }, 0)];
+  }
+
+  const filePath = path.resolve(__dirname, ACCOUNTS_FILE);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read accounts file ${filePath}: ${error.message}`);
+  }
+
+  const accounts = Array.isArray(data) ? data : data.accounts;
+  if (!Array.isArray(accounts)) {
+    throw new Error(`Accounts file ${filePath} must contain an "accounts" array`);
+  }
+
+  return accounts.map((raw, index) => buildAccount(raw, index));
+}
+
 // ============================================================================
 // FILE PATHS
 // ============================================================================
 
 const FILE_PATHS = {
   stateFile: path.join(__dirname, 'sms_notification_state.json'),
-  logFile: path.join(__dirname, 'sms-balance-monitor.log')
+  logFile: path.join(__dirname, 'sms-balance-monitor.log'),
+  historyFile: path.join(__dirname, 'sms_balance_history.jsonl')
+};
+
+// ============================================================================
+// RELOAD CONFIGURATION
+// ============================================================================
+
+const RELOAD_CONFIG = {
+  // Reload the configuration when one of its files changes (SIGHUP always reloads)
+  watch: process.env.SMS_CONFIG_WATCH !== 'false',
+
+  // How often the files are checked for changes (in milliseconds)
+  watchInterval: readEnv('SMS_CONFIG_WATCH_INTERVAL', 2000, 'duration'),
+
+  // Files the configuration is read from
+  files: [
+    ENV_FILE,
+    process.env.SMS_SECRETS_ENV_FILE,
+    process.env.SMS_ACCOUNTS_FILE,
+    process.env.SMS_ALERT_TEMPLATES_FILE,
+    process.env.SMS_HTTP_PROVIDER_CONFIG
+  ].filter(Boolean).map(file => path.resolve(__dirname, file))
+};
+
+// ============================================================================
+// LOGGING CONFIGURATION
+// ============================================================================
+
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+const LOG_FORMATS = ['text', 'json'];
+const LOG_ROTATE_INTERVALS = ['none', 'hourly', 'daily'];
+
+const LOG_CONFIG = {
+  // Messages below this level are dropped: DEBUG, INFO, WARN or ERROR
+  level: (process.env.LOG_LEVEL || 'INFO').toUpperCase(),
+
+  // Line format on the console and in the log file: text or json (one JSON object per line)
+  consoleFormat: process.env.LOG_CONSOLE_FORMAT || 'text',
+  fileFormat: process.env.LOG_FILE_FORMAT || 'json',
+
+  // Rotate the log file once it exceeds this size (in bytes), and/or when the hour or day changes
+  maxFileSize: readEnv('LOG_MAX_FILE_SIZE', 10 * 1024 * 1024, 'integer'), // 10 MB
+  rotateInterval: process.env.LOG_ROTATE_INTERVAL || 'daily',
+
+  // Rotated files to keep, and the age (in days) after which they are deleted (0 = no age limit)
+  maxFiles: readEnv('LOG_MAX_FILES', 7, 'integer'),
+  retentionDays: readEnv('LOG_RETENTION_DAYS', 0)
+};
+
+// ============================================================================
+// STATE STORE CONFIGURATION
+// ============================================================================
+
+const STATE_STORE_TYPES = ['file', 'sqlite', 'redis', 'memory'];
+
+const STATE_STORE_CONFIG = {
+  // Where notification state is kept: file, sqlite, redis or memory (not kept across restarts)
+  type: process.env.SMS_STATE_STORE || 'file',
+
+  // File backend (also the source imported on first start of the other backends)
+  filePath: FILE_PATHS.stateFile,
+
+  // SQLite backend (requires better-sqlite3)
+  sqlitePath: path.resolve(__dirname, process.env.SMS_STATE_SQLITE_PATH || 'sms_notification_state.db'),
+
+  // Redis backend (requires redis); lets several instances share one state
+  redisUrl: getSecret('SMS_STATE_REDIS_URL') || 'redis://127.0.0.1:6379',
+  redisPrefix: process.env.SMS_STATE_REDIS_PREFIX || 'sms-balance-monitor:',
+
+  // How long an instance may hold an account's lock, and how long another waits for it (ms)
+  lockTtl: readEnv('SMS_STATE_LOCK_TTL', 120000, 'duration'), // 2 minutes
+  lockTimeout: readEnv('SMS_STATE_LOCK_TIMEOUT', 30000, 'duration') // 30 seconds
+};
+
+// ============================================================================
+// HISTORY CONFIGURATION
+// ============================================================================
+
+const HISTORY_CONFIG = {
+  // Record every balance reading to the history file
+  enabled: process.env.SMS_HISTORY_ENABLED !== 'false',
+
+  // Rotate the history file once it exceeds this size (in bytes)
+  maxFileSize: readEnv('SMS_HISTORY_MAX_FILE_SIZE', 5 * 1024 * 1024, 'integer'), // 5 MB
+
+  // Number of rotated history files to keep
+  maxFiles: readEnv('SMS_HISTORY_MAX_FILES', 5, 'integer')
+};
+
+const REPORT_CONFIG = {
+  // CSV file every scheduled balance report is appended to, one row per report (default: none)
+  csvFile: process.env.SMS_REPORT_CSV_FILE ? path.resolve(__dirname, process.env.SMS_REPORT_CSV_FILE) : null
+};
+
+// ============================================================================
+// STATUS API CONFIGURATION
+// ============================================================================
+
+const STATUS_API_CONFIG = {
+  // Start the built-in HTTP status API
+  enabled: process.env.STATUS_API_ENABLED === 'true',
+
+  // Address to listen on (localhost only by default)
+  host: process.env.STATUS_API_HOST || '127.0.0.1',
+  port: readEnv('STATUS_API_PORT', 3090, 'integer'),
+
+  // Token required by every endpoint except /health
+  token: getSecret('STATUS_API_TOKEN'),
+
+  // /health reports degraded when an account's last successful check is older
+  // than this (in milliseconds, defaults to 3 check intervals)
+  maxCheckAge: readEnv('STATUS_API_MAX_CHECK_AGE', null, 'duration'),
+
+  // Serve Prometheus metrics on /metrics
+  metricsEnabled: process.env.METRICS_ENABLED !== 'false',
+
+  // Let scrapers read /metrics without the token
+  metricsPublic: process.env.METRICS_PUBLIC === 'true'
+};
+
+// ============================================================================
+// DELIVERY RECEIPTS AND ACKNOWLEDGEMENT
+// ============================================================================
+
+// Webhooks and acknowledgement links are served by the status API
+const ACKNOWLEDGEMENT_CONFIG = {
+  // Secret the providers' webhook URLs carry (?key=), also signing acknowledgement links.
+  // The receipt and inbound SMS webhooks are off without it.
+  webhookSecret: getSecret('ALERT_WEBHOOK_SECRET'),
+
+  // An SMS reply starting with this word acknowledges an alert (empty disables replies)
+  keyword: (process.env.ALERT_ACK_KEYWORD !== undefined ? process.env.ALERT_ACK_KEYWORD : 'ACK').trim().toUpperCase(),
+
+  // Public URL of the status API; when set, alerts carry an acknowledgement link
+  linkBaseUrl: process.env.ALERT_ACK_BASE_URL || null
+};
+
+const DELIVERY_STATUS_CONFIG = {
+  // Ask the provider for the status of alert SMS still pending after each check,
+  // for this long after sending (in milliseconds, 0 disables polling)
+  pollFor: readEnv('SMS_DELIVERY_STATUS_POLL_FOR', 60 * 60 * 1000, 'duration') // 1 hour
 };
 
 // ============================================================================
 // VALIDATION
 // ============================================================================
 
-function validateConfig() {
-  const errors = [];
-  
-  // Validate SMS provider config based on selected provider
-  if (SMS_PROVIDER === 'deywuro') {
-    if (!DEYWURO_CONFIG.balanceUrl) {
-      errors.push('SMS_URL or SMS_BALANCE_URL is required for Deywuro provider');
+// Schemas of the account settings (see lib/config-schema.js). Provider
+// settings are checked against the configSchema of the provider's class.
+const MONITOR_SCHEMA = {
+  threshold: { type: 'number', min: 0, env: 'SMS_BAL_THRESHOLD' },
+  checkInterval: { type: 'duration', min: 1000, env: 'SMS_CHECK_INTERVAL' },
+  notificationCooldown: { type: 'duration', min: 0, env: 'SMS_NOTIFICATION_COOLDOWN' },
+  maxConsecutiveNotifications: { type: 'integer', min: 1, env: 'SMS_MAX_CONSECUTIVE_NOTIFICATIONS' },
+  balanceChangeThreshold: { type: 'number', min: 0, env: 'SMS_BALANCE_CHANGE_THRESHOLD' },
+  forecastWindow: { type: 'duration', min: 60 * 1000, env: 'SMS_FORECAST_WINDOW' },
+  forecastHorizon: { type: 'duration', min: 0, env: 'SMS_FORECAST_HORIZON' },
+  degradedAfterFailures: { type: 'integer', min: 0, env: 'SMS_DEGRADED_AFTER_FAILURES' },
+  degradedAfterTime: { type: 'duration', min: 0, env: 'SMS_DEGRADED_AFTER_TIME' },
+  degradedCooldown: { type: 'duration', min: 0, env: 'SMS_DEGRADED_COOLDOWN' },
+  degradedMaxNotifications: { type: 'integer', min: 1, env: 'SMS_DEGRADED_MAX_NOTIFICATIONS' },
+  recoveryNoticeCooldown: { type: 'duration', min: 0, env: 'SMS_RECOVERY_NOTICE_COOLDOWN' },
+  notifyOnRecovery: { type: 'boolean', env: 'SMS_NOTIFY_ON_RECOVERY' },
+  topUpThreshold: { type: 'number', min: 0, env: 'SMS_TOPUP_THRESHOLD' },
+  notifyOnTopUp: { type: 'boolean', env: 'SMS_NOTIFY_ON_TOPUP' },
+  scheduleTimeZone: { type: 'timeZone', env: 'SMS_SCHEDULE_TIMEZONE' },
+  offHoursCheckInterval: { type: 'duration', min: 1000, env: 'SMS_OFF_HOURS_CHECK_INTERVAL' }
+};
+
+const TIER_SCHEMA = {
+  threshold: { type: 'number', required: true },
+  notificationCooldown: { type: 'duration', min: 0 },
+  maxConsecutiveNotifications: { type: 'integer', min: 1 },
+  recipients: { type: 'phones' }
+};
+
+const ALERT_SCHEMA = {
+  recipients: { type: 'phones', env: 'SMS_ALERT_RECIPIENTS' },
+  topUpRecipients: { type: 'phones', env: 'SMS_TOPUP_RECIPIENTS' },
+  reportRecipients: { type: 'phones', env: 'SMS_REPORT_RECIPIENTS' },
+  retryAttempts: { type: 'integer', min: 0, env: 'SMS_ALERT_RETRY_ATTEMPTS' },
+  retryDelay: { type: 'duration', min: 0, env: 'SMS_ALERT_RETRY_DELAY' },
+  smsEncoding: { type: 'enum', values: SMS_ENCODINGS, env: 'SMS_ALERT_SMS_ENCODING' },
+  smsMaxSegments: { type: 'integer', min: 1, env: 'SMS_ALERT_SMS_MAX_SEGMENTS' },
+  timeZone: { type: 'timeZone', env: 'SMS_ALERT_TIMEZONE' }
+};
+
+// Process-wide settings and their schemas
+const GLOBAL_SCHEMAS = [
+  [LOG_CONFIG, {
+    level: { type: 'enum', values: LOG_LEVELS, env: 'LOG_LEVEL' },
+    consoleFormat: { type: 'enum', values: LOG_FORMATS, env: 'LOG_CONSOLE_FORMAT' },
+    fileFormat: { type: 'enum', values: LOG_FORMATS, env: 'LOG_FILE_FORMAT' },
+    maxFileSize: { type: 'integer', min: 1, env: 'LOG_MAX_FILE_SIZE' },
+    rotateInterval: { type: 'enum', values: LOG_ROTATE_INTERVALS, env: 'LOG_ROTATE_INTERVAL' },
+    maxFiles: { type: 'integer', min: 1, env: 'LOG_MAX_FILES' },
+    retentionDays: { type: 'number', min: 0, env: 'LOG_RETENTION_DAYS' }
+  }],
+  [STATE_STORE_CONFIG, {
+    type: { type: 'enum', values: STATE_STORE_TYPES, env: 'SMS_STATE_STORE' },
+    redisUrl: { type: 'url', env: 'SMS_STATE_REDIS_URL' },
+    lockTtl: { type: 'duration', min: 1000, env: 'SMS_STATE_LOCK_TTL' },
+    lockTimeout: { type: 'duration', min: 0, env: 'SMS_STATE_LOCK_TIMEOUT' }
+  }],
+  [HISTORY_CONFIG, {
+    maxFileSize: { type: 'integer', min: 1, env: 'SMS_HISTORY_MAX_FILE_SIZE' },
+    maxFiles: { type: 'integer', min: 0, env: 'SMS_HISTORY_MAX_FILES' }
+  }],
+  [STATUS_API_CONFIG, {
+    port: { type: 'integer', min: 1, max: 65535, env: 'STATUS_API_PORT' },
+    maxCheckAge: { type: 'duration', min: 1000, env: 'STATUS_API_MAX_CHECK_AGE' }
+  }],
+  [RELOAD_CONFIG, {
+    watchInterval: { type: 'duration', min: 100, env: 'SMS_CONFIG_WATCH_INTERVAL' }
+  }],
+  [ACKNOWLEDGEMENT_CONFIG, {
+    linkBaseUrl: { type: 'url', env: 'ALERT_ACK_BASE_URL' }
+  }],
+  [DELIVERY_STATUS_CONFIG, {
+    pollFor: { type: 'duration', min: 0, env: 'SMS_DELIVERY_STATUS_POLL_FOR' }
+  }]
+];
+
+/**
+ * Name settings in messages by their env var, adding the key when an
+ * accounts file may have set them instead
+ * @param {string} [section] - Key of the settings in an account (monitor, alert)
+ */
+function settingLabel(section) {
+  return (key, field) => {
+    const fileKey = section ? `${section}.${key}` : key;
+    if (!field.env) {
+      return fileKey;
+    }
+    return ACCOUNTS_FILE ? `${field.env} (${fileKey})` : field.env;
+  };
+}
+
+/**
+ * Show a duration in messages, e.g. "30s" or "5m"
+ */
+function describeDuration(ms) {
+  return ms < 60 * 1000 ? `${ms / 1000}s` : formatDuration(ms);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
+
+/**
+ * Check an account's provider settings against the provider's schema
+ */
+function validateProviderConfig(providerName, providerConfig, prefix, errors) {
+  const ProviderClass = providerRegistry.getProviderClass(providerName);
+  if (!ProviderClass) {
+    errors.push(`${prefix} Unknown SMS provider: ${providerName}. Available providers: ${providerRegistry.getAvailableProviders().join(', ')}`);
+    return;
+  }
+  errors.push(...validateSchema(providerConfig, ProviderClass.configSchema, {
+    prefix,
+    suffix: `(${providerName} provider)`,
+    label: settingLabel(null)
+  }));
+}
+
+/**
+ * Warn about an account's settings that are valid but work against each
+ * other, such as a cooldown shorter than the check interval
+ */
+function checkAccountRanges(account, prefix, warnings) {
+  const { monitor } = account;
+  const interval = monitor.checkInterval;
+  if (!isNumber(interval)) {
+    return;
+  }
+  const shorter = (value, name, consequence) => {
+    if (isNumber(value) && value > 0 && value < interval) {
+      warnings.push(`${prefix} ${name} (${describeDuration(value)}) is shorter than SMS_CHECK_INTERVAL (${describeDuration(interval)}): ${consequence}`);
     }
-    if (!DEYWURO_CONFIG.username) {
-      errors.push('SMS_USERNAME is required for Deywuro provider');
+  };
+
+  shorter(monitor.notificationCooldown, 'SMS_NOTIFICATION_COOLDOWN', 'every check below the threshold can send an alert');
+  monitor.tiers
+    .filter(tier => tier.notificationCooldown !== monitor.notificationCooldown)
+    .forEach(tier => shorter(tier.notificationCooldown, `The cooldown of tier '${tier.name}'`, 'every check below its threshold can send an alert'));
+  if (monitor.degradedAfterFailures > 0 || monitor.degradedAfterTime > 0) {
+    shorter(monitor.degradedAfterTime, 'SMS_DEGRADED_AFTER_TIME', 'a single failed check marks monitoring degraded');
+    shorter(monitor.degradedCooldown, 'SMS_DEGRADED_COOLDOWN', 'every failed check can repeat the degraded alert');
+  }
+  shorter(monitor.offHoursCheckInterval, 'SMS_OFF_HOURS_CHECK_INTERVAL', 'the balance is checked more often outside business hours');
+  if (monitor.forecastHorizon > 0 && isNumber(monitor.forecastWindow) && monitor.forecastWindow < 2 * interval) {
+    warnings.push(`${prefix} SMS_FORECAST_WINDOW (${describeDuration(monitor.forecastWindow)}) holds fewer than 2 readings at SMS_CHECK_INTERVAL (${describeDuration(interval)}), so forecast alerts cannot be raised`);
+  }
+
+  const http = account.providerConfig.http;
+  if (isNumber(http.retryDelay) && isNumber(http.maxRetryDelay) && http.maxRetryDelay < http.retryDelay) {
+    warnings.push(`${prefix} SMS_HTTP_MAX_RETRY_DELAY (${describeDuration(http.maxRetryDelay)}) is shorter than SMS_HTTP_RETRY_DELAY (${describeDuration(http.retryDelay)}), so retries are not backed off`);
+  }
+  const longestCheck = http.timeout * (http.retries + 1);
+  if (isNumber(longestCheck) && longestCheck > interval) {
+    warnings.push(`${prefix} A failing balance check can take ${describeDuration(longestCheck)} (SMS_HTTP_TIMEOUT for each of SMS_HTTP_RETRIES + 1 attempts), longer than SMS_CHECK_INTERVAL (${describeDuration(interval)})`);
+  }
+}
+
+/**
+ * Validate a single account, prefixing every problem with the account name
+ */
+function validateAccount(account, { errors, warnings }) {
+  const prefix = `[${account.name}]`;
+
+  validateProviderConfig(account.provider, account.providerConfig, prefix, errors);
+  // The threshold is checked with the tiers, where it ends up (a single "low" tier without tiers)
+  const { threshold, ...monitorSchema } = MONITOR_SCHEMA;
+  errors.push(...validateSchema(account.monitor, monitorSchema, { prefix, label: settingLabel('monitor') }));
+  errors.push(...validateSchema(account.alert, ALERT_SCHEMA, { prefix, label: settingLabel('alert') }));
+
+  // Validate schedules
+  ['quietHours', 'businessHours', 'maintenanceWindows'].forEach(key => {
+    try {
+      parseWindows(account.monitor[key]);
+    } catch (error) {
+      errors.push(`${prefix} ${SCHEDULE_ENV[key]}: ${error.message}`);
+    }
+  });
+  if (account.monitor.offHoursCheckInterval && !account.monitor.businessHours) {
+    errors.push(`${prefix} SMS_OFF_HOURS_CHECK_INTERVAL requires SMS_BUSINESS_HOURS`);
+  }
+
+  // Validate balance reports
+  ['dailyReport', 'weeklyReport'].filter(key => account.monitor[key]).forEach(key => {
+    try {
+      const slot = parseTimeSlot(account.monitor[key]);
+      if (key === 'weeklyReport' && !slot.days) {
+        errors.push(`${prefix} ${SCHEDULE_ENV[key]} needs a day, e.g. "mon 08:00"`);
+      }
+    } catch (error) {
+      errors.push(`${prefix} ${SCHEDULE_ENV[key]}: ${error.message}`);
     }
-    if (!DEYWURO_CONFIG.password) {
-      errors.push('SMS_PASSWORD is required for Deywuro provider');
+    if (!HISTORY_CONFIG.enabled) {
+      errors.push(`${prefix} ${SCHEDULE_ENV[key]} requires the balance history (SMS_HISTORY_ENABLED is false)`);
     }
-  } else {
-    errors.push(`Unknown SMS provider: ${SMS_PROVIDER}. Available providers: deywuro`);
+  });
+
+  // Validate top-up detection
+  if (account.monitor.notifyOnTopUp && !(account.monitor.topUpThreshold > 0)) {
+    errors.push(`${prefix} SMS_NOTIFY_ON_TOPUP requires SMS_TOPUP_THRESHOLD to be more than 0`);
   }
-  
-  // Validate alert recipients
-  if (!ALERT_CONFIG.recipients || ALERT_CONFIG.recipients.length === 0) {
-    errors.push('At least one SMS_ALERT_RECIPIENTS is required');
+
+  // Validate threshold tiers
+  const tierNames = new Set();
+  account.monitor.tiers.forEach(tier => {
+    if (!tier.name) {
+      errors.push(`${prefix} Every threshold tier needs a name`);
+    } else if (tierNames.has(tier.name)) {
+      errors.push(`${prefix} Duplicate threshold tier: ${tier.name}`);
+    }
+    tierNames.add(tier.name);
+    errors.push(...validateSchema(tier, TIER_SCHEMA, { prefix: `${prefix} Threshold tier '${tier.name}':` }));
+  });
+
+  // Validate alert channels
+  const channels = account.alert.channels || [];
+  if (channels.length === 0) {
+    errors.push(`${prefix} At least one alert channel must be enabled`);
   }
-  
-  if (errors.length > 0) {
-    throw new Error(`Configuration errors:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+
+  channels.concat(account.alert.fallbackChannels || [], account.alert.topUpChannels || [], account.alert.reportChannels || []).forEach(channel => {
+    if (!channel.type) {
+      errors.push(`${prefix} Every alert channel needs a type`);
+    }
+    // SMS recipients are only required when the SMS channel is in use
+    const recipients = channel.recipients || account.alert.recipients;
+    if (channel.type === 'sms' && (!recipients || recipients.length === 0)) {
+      errors.push(`${prefix} At least one SMS_ALERT_RECIPIENTS is required`);
+    }
+    if (channel.type === 'sms' && channel.recipients) {
+      errors.push(...validateSchema(channel, { recipients: { type: 'phones' } }, { prefix: `${prefix} SMS channel` }));
+    }
+    // SMS channels through another provider, e.g. SMS_FALLBACK_PROVIDER
+    if (channel.type === 'sms' && channel.provider) {
+      validateProviderConfig(channel.provider, channel.providerConfig || {}, `${prefix} SMS channel:`, errors);
+    }
+  });
+
+  // Validate alert messages
+  const locales = getAvailableLocales(account.alert.templates);
+  const tierChannels = account.monitor.tiers.flatMap(tier => tier.channels || []);
+  [account.alert, ...channels, ...(account.alert.fallbackChannels || []), ...(account.alert.topUpChannels || []), ...(account.alert.reportChannels || []), ...tierChannels].forEach(({ locale }) => {
+    if (locale && !locales.includes(locale)) {
+      errors.push(`${prefix} Unknown alert locale: ${locale}. Available: ${locales.join(', ')}`);
+    }
+  });
+
+  checkAccountRanges(account, prefix, warnings);
+}
+
+/**
+ * Check a list of accounts, e.g. ones built with buildAccount
+ * @param {Object[]} accounts - Account configurations
+ * @param {Object} [report] - Report to add the problems to
+ * @returns {Object} The report: errors and warnings, as lists of messages
+ */
+function checkAccounts(accounts, report = { errors: [], warnings: [] }) {
+  const { errors, warnings } = report;
+
+  if (accounts.length === 0) {
+    errors.push('At least one account must be configured');
   }
+
+  const seen = new Set();
+  accounts.forEach(account => {
+    if (seen.has(account.name)) {
+      errors.push(`Duplicate account name: ${account.name}`);
+    }
+    seen.add(account.name);
+    validateAccount(account, report);
+
+    // /health would report the account degraded while it waits for its next check
+    const { checkInterval, offHoursCheckInterval } = account.monitor;
+    const longestInterval = Math.max(checkInterval, offHoursCheckInterval || 0);
+    if (STATUS_API_CONFIG.enabled && isNumber(STATUS_API_CONFIG.maxCheckAge) && STATUS_API_CONFIG.maxCheckAge < longestInterval) {
+      warnings.push(`[${account.name}] STATUS_API_MAX_CHECK_AGE (${describeDuration(STATUS_API_CONFIG.maxCheckAge)}) is shorter than the check interval (${describeDuration(longestInterval)}): /health reports degraded between checks`);
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Check the whole configuration, collecting every problem rather than
+ * stopping at the first
+ * @returns {Object} errors (the monitor cannot run) and warnings (it can,
+ *   but probably not as intended), as lists of messages
+ */
+function checkConfig() {
+  const report = { errors: [], warnings: [...ACCOUNT_WARNINGS] };
+  const { errors } = report;
+
+  GLOBAL_SCHEMAS.forEach(([values, schema]) => {
+    errors.push(...validateSchema(values, schema));
+  });
+
+  if (STATUS_API_CONFIG.enabled && !STATUS_API_CONFIG.token) {
+    errors.push('STATUS_API_TOKEN is required when STATUS_API_ENABLED=true');
+  }
+  if (ACKNOWLEDGEMENT_CONFIG.linkBaseUrl && !ACKNOWLEDGEMENT_CONFIG.webhookSecret) {
+    errors.push('ALERT_WEBHOOK_SECRET is required when ALERT_ACK_BASE_URL is set, to sign acknowledgement links');
+  }
+  if ((ACKNOWLEDGEMENT_CONFIG.linkBaseUrl || ACKNOWLEDGEMENT_CONFIG.webhookSecret) && !STATUS_API_CONFIG.enabled) {
+    report.warnings.push('ALERT_WEBHOOK_SECRET and ALERT_ACK_BASE_URL have no effect unless STATUS_API_ENABLED=true: the status API serves the webhooks and acknowledgement links');
+  }
+
+  const reportChannelTypes = ALERT_CONFIG.reportChannels ? ALERT_CONFIG.reportChannels.map(channel => channel.type) : [];
+  parseList(process.env.SMS_REPORT_CHANNELS).filter(type => !reportChannelTypes.includes(type)).forEach(type => {
+    errors.push(`SMS_REPORT_CHANNELS: '${type}' is not an enabled alert channel. Enabled: ${ENV_ALERT_CHANNELS.map(channel => channel.type).join(', ')}`);
+  });
+
+  if (process.env.SMS_PROVIDER_PLUGIN_DIR && !fs.existsSync(PROVIDER_PLUGIN_CONFIG.directory)) {
+    errors.push(`SMS_PROVIDER_PLUGIN_DIR not found: ${PROVIDER_PLUGIN_CONFIG.directory}`);
+  }
+  errors.push(...PROVIDER_PLUGINS.errors);
+
+  return checkAccounts(ACCOUNTS, report);
+}
+
+/**
+ * Validate the configuration
+ * @returns {Object} The report (see checkConfig), which may hold warnings
+ * @throws {Error} Listing every error and warning, with the report as `report`
+ */
+function validateConfig() {
+  const report = checkConfig();
+  if (report.errors.length > 0) {
+    const error = new Error(formatReport(report));
+    error.report = report;
+    throw error;
+  }
+  return report;
 }
 
 // ============================================================================
@@ -102,20 +1104,62 @@ function validateConfig() {
 // ============================================================================
 
 /**
- * Get provider configuration based on provider name
- * This allows easy addition of new providers
+ * Read the settings of a provider config.js has none of its own for, such as
+ * a plugin's, from the env vars the registry maps its config keys to. Secrets
+ * can be given as NAME_FILE or a reference, as for the built-in providers.
+ */
+function readProviderEnv(providerName) {
+  const mapping = providerRegistry.getEnvMapping(providerName);
+  if (!mapping) {
+    return undefined;
+  }
+
+  const config = {};
+  Object.entries(mapping).forEach(([key, envName]) => {
+    const value = getSecret(envName);
+    if (value === undefined || value === '') {
+      return;
+    }
+    // Dotted keys are nested, e.g. "balance.url"
+    const parts = key.split('.');
+    const last = parts.pop();
+    let target = config;
+    for (const part of parts) {
+      target[part] = target[part] || {};
+      target = target[part];
+    }
+    target[last] = value;
+  });
+  return config;
+}
+
+/**
+ * Get provider configuration based on provider name. Providers without an
+ * entry here, such as those of plugins, are read through readProviderEnv().
  */
 function getProviderConfig(providerName) {
   const configMap = {
-    deywuro: DEYWURO_CONFIG
-    // Add more providers here as needed
-    // twilio: TWILIO_CONFIG,
-    // nexmo: NEXMO_CONFIG,
+    deywuro: DEYWURO_CONFIG,
+    twilio: TWILIO_CONFIG,
+    vonage: VONAGE_CONFIG,
+    nexmo: VONAGE_CONFIG,
+    'generic-http': GENERIC_HTTP_CONFIG,
+    mock: MOCK_CONFIG
   };
 
-  return configMap[providerName];
+  return configMap[providerName] || readProviderEnv(providerName);
 }
 
+/**
+ * Get the configuration schema of a registered provider
+ */
+function getProviderSchema(providerName) {
+  const ProviderClass = providerRegistry.getProviderClass(providerName);
+  return ProviderClass ? ProviderClass.configSchema : {};
+}
+
+const ACCOUNTS = loadAccounts();
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -125,6 +1169,20 @@ module.exports = {
   getProviderConfig,
   MONITOR_CONFIG,
   ALERT_CONFIG,
+  ACCOUNTS,
   FILE_PATHS,
+  LOG_CONFIG,
+  STATE_STORE_CONFIG,
+  HISTORY_CONFIG,
+  REPORT_CONFIG,
+  STATUS_API_CONFIG,
+  ACKNOWLEDGEMENT_CONFIG,
+  DELIVERY_STATUS_CONFIG,
+  PROVIDER_PLUGINS,
+  RELOAD_CONFIG,
+  ENV_FILE_KEYS,
+  buildAccount,
+  checkAccounts,
+  checkConfig,
   validateConfig
 };
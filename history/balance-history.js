@@ -0,0 +1,134 @@
+const fs = require('fs');
+
+/**
+ * Balance History Store
+ * 
+ * Append-only JSONL store for balance readings. Each line is one reading:
+ * {"account":"default","balance":459.79,"time":1765810635926}
+ * 
+ * Detected top-ups are stored alongside readings with a type:
+ * {"account":"default","type":"top-up","amount":5000,"previousBalance":120,"balance":5120,"time":1765810935926}
+ * 
+ * When the active file grows past maxFileSize it is rotated to
+ * `<file>.1`, `<file>.2`, ... keeping at most maxFiles rotated files.
+ */
+class BalanceHistory {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Path of the active history file
+   * @param {number} [options.maxFileSize] - Rotate once the file exceeds this many bytes
+   * @param {number} [options.maxFiles] - Number of rotated files to keep
+   */
+  constructor({ filePath, maxFileSize = 5 * 1024 * 1024, maxFiles = 5 }) {
+    this.filePath = filePath;
+    this.maxFileSize = maxFileSize;
+    this.maxFiles = maxFiles;
+  }
+
+  /**
+   * Append a reading to the history
+   * @param {Object} reading - Reading to record
+   * @param {string} reading.account - Account name
+   * @param {number} reading.balance - Balance read from the provider
+   * @param {number} reading.time - When the reading was taken (ms since epoch)
+   */
+  record(reading) {
+    this.rotateIfNeeded();
+    fs.appendFileSync(this.filePath, JSON.stringify(reading) + '\n');
+  }
+
+  /**
+   * Record a detected top-up
+   * @param {Object} topUp - Top-up to record
+   * @param {string} topUp.account - Account name
+   * @param {number} topUp.amount - Balance added
+   * @param {number} topUp.previousBalance - Balance before the top-up
+   * @param {number} topUp.balance - Balance after the top-up
+   * @param {number} topUp.time - When the top-up was detected (ms since epoch)
+   */
+  recordTopUp(topUp) {
+    this.record({ account: topUp.account, type: 'top-up', amount: topUp.amount, previousBalance: topUp.previousBalance, balance: topUp.balance, time: topUp.time });
+  }
+
+  /**
+   * Get an account's readings, oldest first
+   * @param {string} account - Account name
+   * @param {number} [since] - Only return readings taken at or after this time
+   * @returns {Object[]} Readings
+   */
+  getReadings(account, since = 0) {
+    return this.readEntries(account, since).filter(entry => !entry.type);
+  }
+
+  /**
+   * Get an account's detected top-ups, oldest first
+   * @param {string} account - Account name
+   * @param {number} [since] - Only return top-ups detected at or after this time
+   * @returns {Object[]} Top-ups
+   */
+  getTopUps(account, since = 0) {
+    return this.readEntries(account, since).filter(entry => entry.type === 'top-up');
+  }
+
+  /**
+   * Read all of an account's entries, oldest first
+   * @private
+   */
+  readEntries(account, since) {
+    const entries = [];
+
+    // Oldest rotated file first, active file last
+    for (let index = this.maxFiles; index >= 0; index--) {
+      const file = index === 0 ? this.filePath : `${this.filePath}.${index}`;
+      if (!fs.existsSync(file)) {
+        continue;
+      }
+
+      fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+        if (!line) {
+          return;
+        }
+        try {
+          const entry = JSON.parse(line);
+          if (entry.account === account && entry.time >= since) {
+            entries.push(entry);
+          }
+        } catch (error) {
+          // Skip a partially written line rather than losing the whole history
+        }
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Rotate the active file once it exceeds maxFileSize
+   * @private
+   */
+  rotateIfNeeded() {
+    let size;
+    try {
+      size = fs.statSync(this.filePath).size;
+    } catch (error) {
+      return;
+    }
+    if (size < this.maxFileSize) {
+      return;
+    }
+
+    const oldest = `${this.filePath}.${this.maxFiles}`;
+    if (fs.existsSync(oldest)) {
+      fs.unlinkSync(oldest);
+    }
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const file = `${this.filePath}.${index}`;
+      if (fs.existsSync(file)) {
+        fs.renameSync(file, `${this.filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+  }
+}
+
+module.exports = BalanceHistory;
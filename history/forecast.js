@@ -0,0 +1,112 @@
+/**
+ * Balance Forecasting
+ * 
+ * Pure functions that turn balance readings into consumption rates and
+ * depletion forecasts. Top-ups (balance increases) are ignored, so a recharge
+ * does not make the account look like it stopped consuming.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Compute the consumption rate over a rolling window
+ * @param {Object[]} readings - Readings ({ balance, time }), oldest first
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {number} now - End of the window (ms since epoch)
+ * @returns {number|null} Units consumed per hour, or null with too little data
+ */
+function getConsumptionRate(readings, windowMs, now) {
+  const windowReadings = readings.filter(reading => reading.time >= now - windowMs && reading.time <= now);
+  if (windowReadings.length < 2) {
+    return null;
+  }
+
+  const elapsed = windowReadings[windowReadings.length - 1].time - windowReadings[0].time;
+  if (elapsed <= 0) {
+    return null;
+  }
+
+  let consumed = 0;
+  for (let index = 1; index < windowReadings.length; index++) {
+    const delta = windowReadings[index - 1].balance - windowReadings[index].balance;
+    if (delta > 0) {
+      consumed += delta;
+    }
+  }
+
+  return consumed / (elapsed / HOUR);
+}
+
+/**
+ * Milliseconds until the balance reaches a target at the given rate
+ * @returns {number|null} Time left, 0 if already there, null if never at this rate
+ */
+function getTimeUntil(balance, target, ratePerHour) {
+  if (balance <= target) {
+    return 0;
+  }
+  if (!ratePerHour || ratePerHour <= 0) {
+    return null;
+  }
+  return ((balance - target) / ratePerHour) * HOUR;
+}
+
+/**
+ * Forecast depletion for an account
+ * @param {Object[]} readings - Readings ({ balance, time }), oldest first
+ * @param {Object} options
+ * @param {number} options.balance - Current balance
+ * @param {number} options.threshold - Alert threshold
+ * @param {number} options.window - Window used for the prediction (ms)
+ * @param {number[]} [options.windows] - Additional windows to report rates for (ms)
+ * @param {number} options.now - Current time (ms since epoch)
+ * @returns {Object} Rates per window plus time/date to threshold and to zero (null when unknown)
+ */
+function forecast(readings, { balance, threshold, window, windows = [], now }) {
+  const rates = {};
+  [...new Set([...windows, window])].forEach(windowMs => {
+    rates[formatDuration(windowMs)] = getConsumptionRate(readings, windowMs, now);
+  });
+
+  const rate = rates[formatDuration(window)];
+  const timeToThreshold = getTimeUntil(balance, threshold, rate);
+  const timeToZero = getTimeUntil(balance, 0, rate);
+
+  return {
+    rate,
+    rates,
+    timeToThreshold,
+    timeToZero,
+    thresholdAt: timeToThreshold === null ? null : now + timeToThreshold,
+    zeroAt: timeToZero === null ? null : now + timeToZero
+  };
+}
+
+/**
+ * Format a duration compactly, e.g. "2d 4h", "3h 10m", "45m"
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return 'unknown';
+  }
+
+  const minutes = Math.round(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days > 0) {
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  }
+  if (hours > 0) {
+    return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+  }
+  return `${mins}m`;
+}
+
+module.exports = {
+  getConsumptionRate,
+  getTimeUntil,
+  forecast,
+  formatDuration
+};
@@ -0,0 +1,17 @@
+/**
+ * History Index
+ * 
+ * This file exports the balance history stores, forecasting and report helpers.
+ */
+
+const BalanceHistory = require('./balance-history');
+const MemoryHistory = require('./memory-history');
+const forecast = require('./forecast');
+const report = require('./report');
+
+module.exports = {
+  BalanceHistory,
+  MemoryHistory,
+  ...forecast,
+  ...report
+};
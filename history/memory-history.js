@@ -0,0 +1,27 @@
+const BalanceHistory = require('./balance-history');
+
+/**
+ * Memory Balance History
+ *
+ * Balance history kept in the process only, for tests and simulations that
+ * must not add to the real history file. Same interface as BalanceHistory.
+ */
+class MemoryHistory extends BalanceHistory {
+  constructor() {
+    super({ filePath: null });
+    this.entries = [];
+  }
+
+  record(reading) {
+    this.entries.push({ ...reading });
+  }
+
+  /**
+   * @private
+   */
+  readEntries(account, since) {
+    return this.entries.filter(entry => entry.account === account && entry.time >= since);
+  }
+}
+
+module.exports = MemoryHistory;
@@ -0,0 +1,98 @@
+/**
+ * Balance Reports
+ *
+ * Pure functions that summarize an account's readings and top-ups over a
+ * period, for the daily and weekly reports, and write reports as CSV.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// CSV columns, in order
+const REPORT_COLUMNS = [
+  'account', 'period', 'start', 'end', 'openingBalance', 'closingBalance', 'consumed',
+  'topUps', 'topUpAmount', 'averageDailyUsage', 'daysRemaining', 'alertsSent', 'checks'
+];
+
+/**
+ * Round to two decimals, keeping null
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Summarize the readings and top-ups of a period
+ * @param {Object[]} readings - Readings ({ balance, time }), oldest first. The last one
+ *   at or before the start of the period, when given, is its opening balance.
+ * @param {Object[]} topUps - Top-ups ({ amount, time }), oldest first
+ * @param {Object} period
+ * @param {number} period.start - Start of the period (ms since epoch)
+ * @param {number} period.end - End of the period (ms since epoch)
+ * @returns {Object} start, end, openingBalance, closingBalance, consumed (balance decreases,
+ *   top-ups excluded), topUps (count), topUpAmount, averageDailyUsage, daysRemaining (at
+ *   that usage) and readings (count in the period); values that cannot be known are null
+ */
+function summarizePeriod(readings, topUps, { start, end }) {
+  const before = readings.filter(reading => reading.time <= start);
+  const during = readings.filter(reading => reading.time > start && reading.time <= end);
+  // Consumption is counted from the opening balance, which may have been read before the period
+  const series = before.length > 0 ? [before[before.length - 1], ...during] : during;
+
+  let consumed = 0;
+  for (let index = 1; index < series.length; index++) {
+    const delta = series[index - 1].balance - series[index].balance;
+    if (delta > 0) {
+      consumed += delta;
+    }
+  }
+
+  const elapsed = series.length >= 2 ? series[series.length - 1].time - series[0].time : 0;
+  const averageDailyUsage = elapsed > 0 ? consumed / (elapsed / DAY) : null;
+  const closingBalance = series.length > 0 ? series[series.length - 1].balance : null;
+  const periodTopUps = topUps.filter(topUp => topUp.time >= start && topUp.time <= end);
+
+  return {
+    start,
+    end,
+    openingBalance: series.length > 0 ? series[0].balance : null,
+    closingBalance,
+    consumed: series.length >= 2 ? round(consumed) : null,
+    topUps: periodTopUps.length,
+    topUpAmount: round(periodTopUps.reduce((total, topUp) => total + topUp.amount, 0)),
+    averageDailyUsage: round(averageDailyUsage),
+    daysRemaining: averageDailyUsage > 0 && closingBalance !== null ? round(closingBalance / averageDailyUsage) : null,
+    readings: during.length
+  };
+}
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write reports as CSV, one row per report, times in ISO 8601
+ * @param {Object[]} reports - Reports with the REPORT_COLUMNS fields
+ * @param {Object} [options]
+ * @param {boolean} [options.header] - Start with a header row (default: true)
+ * @returns {string} CSV text, each row ending with a line break
+ */
+function formatReportCsv(reports, { header = true } = {}) {
+  const rows = reports.map(report => REPORT_COLUMNS.map(column => {
+    const value = report[column];
+    return formatCsvField((column === 'start' || column === 'end') && value !== null ? new Date(value).toISOString() : value);
+  }).join(','));
+  return (header ? [REPORT_COLUMNS.join(','), ...rows] : rows).map(row => `${row}\n`).join('');
+}
+
+module.exports = {
+  REPORT_COLUMNS,
+  summarizePeriod,
+  formatReportCsv
+};
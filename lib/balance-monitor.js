@@ -0,0 +1,312 @@
+const { EventEmitter } = require('events');
+
+const { ACCOUNTS, buildAccount, checkAccounts } = require('../config');
+const { formatReport } = require('./config-schema');
+const { initializeAccounts, getCheckInterval, runCheck, getAccountStatus, acknowledgeAlert, getBalanceReport } = require('./monitor');
+const { log } = require('./logger');
+const { openState, closeState } = require('./state');
+const { reloadConfig } = require('./reload');
+const { systemClock } = require('./clock');
+const { formatDuration } = require('../history');
+
+/**
+ * Balance Monitor
+ *
+ * Checks the balance of a set of accounts, each on its own interval, and
+ * alerts through their channels. sms-balance-monitor.js runs one for the
+ * configured accounts; it can also be embedded in another service:
+ *
+ *   const { BalanceMonitor } = require('./sms-balance-monitor');
+ *   const monitor = new BalanceMonitor();
+ *   monitor.on('low-balance', ({ account, balance, tier }) => { ... });
+ *   await monitor.start();
+ *
+ * Events, each with the account name as `account`:
+ *   check          A balance was read: balance, threshold, tier (null above every tier), time
+ *   low-balance    The balance is at or below a tier: balance, tier, threshold
+ *   alert-sent     A low-balance alert went out: balance, tier, notificationNumber, channels, deliveryPath
+ *   alert-skipped  A low-balance alert was held back by rate limits or maintenance: balance, reason
+ *   alert-failed   No channel delivered a low-balance alert: balance, tier, error
+ *   recovered      The balance went back above every tier: balance, tier (the last one alerted)
+ *   acknowledged   Someone acknowledged the low-balance alert, silencing it until the balance
+ *                  recovers: by, via (sms, link, api or cli), note, tier
+ *   delivery-status  An alert SMS was delivered or failed: messageId, to, status, error,
+ *                  channel, tier, notificationNumber
+ *   report         A daily or weekly balance report went out: period, start, end, openingBalance,
+ *                  closingBalance, consumed, topUps, topUpAmount, averageDailyUsage,
+ *                  daysRemaining, alertsSent, checks, channels
+ *   error          A check failed or was skipped, with the Error and { account, errorType }.
+ *                  Only emitted while something listens, so a failing provider does not
+ *                  end the embedding process.
+ */
+class BalanceMonitor extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.accounts] - Account definitions, as in an accounts file;
+   *   settings they leave out come from the environment (default: the configured accounts)
+   * @param {BaseSMSProvider} [options.provider] - Provider every account checks and
+   *   alerts through, instead of creating the configured one
+   * @param {BaseStateStore} [options.stateStore] - Store for the accounts' state, instead
+   *   of the configured one. It is initialized on first use and left open by stop().
+   * @param {BalanceHistory|null} [options.history] - History store for readings, top-ups
+   *   and forecasts (e.g. a MemoryHistory), or null to keep none (default: the configured one)
+   * @param {Object} [options.clock] - Clock checks are scheduled and timed by, e.g. a
+   *   SimulatedClock (see lib/clock.js; default: the system clock)
+   * @throws {Error} If the accounts are invalid or a provider or channel cannot be created
+   */
+  constructor({ accounts = null, provider = null, stateStore = null, history = undefined, clock = null } = {}) {
+    super();
+    this.provider = provider;
+    this.stateStore = stateStore;
+    this.history = history;
+    this.clock = clock || systemClock;
+    // Only a monitor of the configured accounts follows configuration reloads
+    this.configured = !accounts;
+    this.running = false;
+    this.reloadChain = Promise.resolve();
+
+    let accountConfigs = ACCOUNTS;
+    if (accounts) {
+      const report = { errors: [], warnings: [] };
+      accountConfigs = accounts.map((raw, index) => buildAccount(raw, index, report.warnings));
+      checkAccounts(accountConfigs, report);
+      if (report.errors.length > 0) {
+        const error = new Error(formatReport(report));
+        error.report = report;
+        throw error;
+      }
+      this.warnings = report.warnings;
+    } else {
+      this.warnings = [];
+    }
+
+    this.accounts = initializeAccounts(accountConfigs, { provider }).map(account => this.attach(account));
+  }
+
+  /**
+   * Route a runtime account's events and state to this monitor
+   * @private
+   */
+  attach(account) {
+    account.events = this;
+    account.stateStore = this.stateStore;
+    account.clock = this.clock;
+    if (this.history !== undefined) {
+      account.history = this.history;
+    }
+    return account;
+  }
+
+  /**
+   * Find an account by name
+   * @param {string} name - Account name
+   * @returns {Object|undefined} Runtime account
+   */
+  getAccount(name) {
+    return this.accounts.find(account => account.name === name);
+  }
+
+  /**
+   * Open the state store, then check every account and schedule its next checks
+   * @returns {Promise<void>} Resolves once every account's initial check is done
+   * @throws {Error} If the state store cannot be opened
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    const store = await openState(this.accounts[0]);
+    log(`State Store: ${store.getName()}`, 'INFO');
+
+    this.running = true;
+    // Accounts are monitored concurrently, each on its own interval
+    await Promise.all(this.accounts.map(account => this.startAccount(account)));
+  }
+
+  /**
+   * Stop scheduling checks and wait for those in progress. The configured
+   * state store is closed; a store given to the constructor is left open.
+   */
+  async stop() {
+    this.running = false;
+    this.accounts.forEach(account => {
+      account.stopped = true;
+      this.clock.clearTimeout(account.timer);
+    });
+    await Promise.all(this.accounts.map(account => account.pendingCheck));
+
+    if (!this.stateStore) {
+      await closeState().catch((error) => {
+        log(`Error closing state store: ${error.message}`, 'ERROR');
+      });
+    }
+  }
+
+  /**
+   * Check now, outside the schedule. Joins a check already in progress.
+   * @param {string} [name] - Account to check (default: every account)
+   * @returns {Promise<Object[]>} Each account's status after the check
+   *   (see getAccountStatus), with its name as `account`
+   * @throws {Error} If there is no account of that name
+   */
+  async checkOnce(name = null) {
+    const accounts = name ? [this.getAccount(name)] : this.accounts;
+    if (!accounts[0]) {
+      throw new Error(`Unknown account: ${name}`);
+    }
+    return Promise.all(accounts.map(async account => {
+      await runCheck(account);
+      return { account: account.name, ...(await getAccountStatus(account)) };
+    }));
+  }
+
+  /**
+   * Acknowledge an account's low-balance alert: no more low-balance alerts
+   * are sent for it until the balance recovers
+   * @param {string} name - Account name
+   * @param {Object} options
+   * @param {string} options.by - Who acknowledged
+   * @param {string} [options.via] - How, for the log (default: api)
+   * @param {string} [options.note] - Free text, e.g. "top-up ordered"
+   * @returns {Promise<Object|null>} The acknowledgement, or null when no
+   *   low-balance alert is outstanding
+   * @throws {Error} If there is no account of that name
+   */
+  async acknowledge(name, { by, via = 'api', note = null }) {
+    const account = this.getAccount(name);
+    if (!account) {
+      throw new Error(`Unknown account: ${name}`);
+    }
+    return acknowledgeAlert(account, { by, via, note });
+  }
+
+  /**
+   * Build an account's balance report for a period so far, as the scheduled
+   * report would be if it went out now
+   * @param {string} name - Account name
+   * @param {string} [period] - daily (default) or weekly
+   * @returns {Promise<Object>} The report (see getBalanceReport in lib/monitor.js)
+   * @throws {Error} If there is no account of that name, or for an unknown period
+   */
+  async getReport(name, period = 'daily') {
+    const account = this.getAccount(name);
+    if (!account) {
+      throw new Error(`Unknown account: ${name}`);
+    }
+    return getBalanceReport(account, period);
+  }
+
+  /**
+   * Log an account's settings, run its initial check and schedule the rest
+   * @private
+   */
+  async startAccount(account) {
+    const { checkInterval, threshold, notificationCooldown, maxConsecutiveNotifications, balanceChangeThreshold } = account.monitor;
+
+    log(`SMS Provider: ${account.provider.getName()}`, 'INFO', account);
+    log(`Check Interval: ${checkInterval / 1000 / 60} minutes`, 'INFO', account);
+    if (account.monitor.offHoursCheckInterval) {
+      log(`Off-Hours Check Interval: ${account.monitor.offHoursCheckInterval / 1000 / 60} minutes (business hours: ${account.monitor.businessHours})`, 'INFO', account);
+    }
+    if (account.monitor.quietHours) {
+      log(`Quiet Hours: ${account.monitor.quietHours}`, 'INFO', account);
+    }
+    if (account.monitor.dailyReport || account.monitor.weeklyReport) {
+      log(`Balance Reports: ${[account.monitor.dailyReport && `daily at ${account.monitor.dailyReport}`, account.monitor.weeklyReport && `weekly on ${account.monitor.weeklyReport}`].filter(Boolean).join(', ')}`, 'INFO', account);
+    }
+    log(`Threshold: ${threshold}`, 'INFO', account);
+    log(`Notification Cooldown: ${notificationCooldown / 1000 / 60} minutes`, 'INFO', account);
+    log(`Max Consecutive Notifications: ${maxConsecutiveNotifications}`, 'INFO', account);
+    log(`Balance Change Threshold: ${balanceChangeThreshold}`, 'INFO', account);
+    log(`Forecast Window: ${formatDuration(account.monitor.forecastWindow)}, Horizon: ${account.monitor.forecastHorizon > 0 ? formatDuration(account.monitor.forecastHorizon) : 'disabled'}`, 'INFO', account);
+    log(`Alert Recipients: ${account.alert.recipients.join(', ')}`, 'INFO', account);
+    account.monitor.tiers.forEach(tier => {
+      const { notifiers, fallbackNotifiers } = account.tierNotifiers[tier.name];
+      log(`Tier '${tier.name}': <= ${tier.threshold}, cooldown ${tier.notificationCooldown / 1000 / 60} minutes, max ${tier.maxConsecutiveNotifications}, recipients ${(tier.recipients || account.alert.recipients).join(', ')}`, 'INFO', account);
+      log(`Tier '${tier.name}' Alert Channels: ${notifiers.map(notifier => notifier.getName()).join(', ')}`, 'INFO', account);
+      if (fallbackNotifiers.length > 0) {
+        log(`Tier '${tier.name}' Fallback Channels: ${fallbackNotifiers.map(notifier => notifier.getName()).join(' -> ')}`, 'INFO', account);
+      }
+    });
+
+    account.stopped = false;
+
+    // Perform initial check immediately
+    await runCheck(account);
+
+    // Schedule subsequent checks
+    this.scheduleNextCheck(account);
+  }
+
+  /**
+   * Schedule an account's next check, using the interval for the current time
+   * of day (business or off hours)
+   * @private
+   */
+  scheduleNextCheck(account) {
+    // A stopped or removed account finishes its last check without scheduling another
+    if (account.stopped) {
+      return;
+    }
+
+    const interval = getCheckInterval(account);
+    if (account.checkInterval !== null && interval !== account.checkInterval) {
+      log(`Check interval changed to ${formatDuration(interval)}`, 'INFO', account, { event: 'check-interval-changed', interval });
+    }
+    account.checkInterval = interval;
+
+    account.timer = this.clock.setTimeout(async () => {
+      // No timer is pending while the check runs: this callback schedules the next one
+      account.timer = null;
+      await runCheck(account);
+      this.scheduleNextCheck(account);
+    }, interval);
+  }
+
+  /**
+   * Reload the configuration: apply changed accounts in place, start
+   * monitoring added accounts and stop removed ones. An invalid configuration
+   * is logged and the running one kept. Reloads run one after another.
+   * @param {string} [trigger] - What asked for the reload, for the log
+   * @returns {Promise<void>}
+   */
+  reload(trigger = 'reload()') {
+    if (!this.configured) {
+      return Promise.reject(new Error('Only a monitor of the configured accounts can reload the configuration'));
+    }
+
+    this.reloadChain = this.reloadChain.then(async () => {
+      log(`Reloading configuration (${trigger})`, 'INFO', null, { event: 'config-reload', trigger });
+      try {
+        const { added, removed, changes, restartRequired } = await reloadConfig(this.accounts, { provider: this.provider });
+
+        removed.forEach(account => {
+          account.stopped = true;
+          this.clock.clearTimeout(account.timer);
+          this.accounts.splice(this.accounts.indexOf(account), 1);
+        });
+
+        // Changed schedules take effect now rather than after the pending check. An
+        // account whose check is running picks up its interval when the check ends.
+        this.accounts.forEach(account => {
+          if (account.timer && getCheckInterval(account) !== account.checkInterval) {
+            this.clock.clearTimeout(account.timer);
+            this.scheduleNextCheck(account);
+          }
+        });
+
+        this.accounts.push(...added.map(account => this.attach(account)));
+        if (this.running) {
+          await Promise.all(added.map(account => this.startAccount(account)));
+        }
+
+        log(`Configuration reloaded: ${changes} change(s)${restartRequired > 0 ? `, ${restartRequired} needing a restart` : ''}`, 'INFO', null, { event: 'config-reloaded', changes });
+      } catch (error) {
+        log(`Configuration reload failed, keeping the running configuration: ${error.message}`, 'ERROR', null, { event: 'config-reload-failed' });
+      }
+    });
+    return this.reloadChain;
+  }
+}
+
+module.exports = BalanceMonitor;
@@ -0,0 +1,118 @@
+/**
+ * Clocks
+ *
+ * The monitor reads the time and waits through a clock, so a simulation can
+ * run days of checks, cooldowns and retries in a moment. Accounts use the
+ * system clock unless their BalanceMonitor was given another (account.clock).
+ *
+ *   const clock = new SimulatedClock(Date.parse('2026-01-05T08:00:00Z'));
+ *   const monitor = new BalanceMonitor({ ..., clock });
+ *   monitor.start();
+ *   await clock.advance(6 * 60 * 60 * 1000);  // runs every check due in the next 6 hours
+ */
+
+// Event loop turns given to work started by a timer before the next timer fires
+const SETTLE_TURNS = 5;
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: timer => clearTimeout(timer),
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/**
+ * Let pending promise chains run, e.g. a check started by a timer, until they
+ * wait for the clock again. Work waiting on real I/O (HTTP, a Redis store)
+ * may not have finished; simulations use MockProvider and MemoryStateStore.
+ */
+async function settle() {
+  for (let turn = 0; turn < SETTLE_TURNS; turn++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Clock whose time only moves when advanced. Timers and sleeps fire in time
+ * order as it passes them.
+ */
+class SimulatedClock {
+  /**
+   * @param {number} [start] - Initial time (ms since epoch, default: now)
+   */
+  constructor(start = Date.now()) {
+    this.time = start;
+    this.timers = [];
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(fn, ms) {
+    const timer = { id: this.nextTimerId++, due: this.time + Math.max(0, ms || 0), fn };
+    this.timers.push(timer);
+    return timer.id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  /**
+   * Whether any timer or sleep is waiting for the clock
+   */
+  hasTimers() {
+    return this.timers.length > 0;
+  }
+
+  /**
+   * Move time forward, firing every timer due on the way
+   * @param {number} ms - How far to advance
+   * @returns {Promise<void>} Resolves once the work the timers started has settled
+   */
+  advance(ms) {
+    return this.advanceTo(this.time + ms);
+  }
+
+  /**
+   * Move time forward to a point, firing every timer due by then
+   * @param {number} time - ms since epoch
+   * @returns {Promise<void>}
+   */
+  async advanceTo(time) {
+    await settle();
+    for (;;) {
+      const [next] = this.timers
+        .filter(timer => timer.due <= time)
+        .sort((a, b) => a.due - b.due || a.id - b.id);
+      if (!next) {
+        break;
+      }
+      this.clearTimeout(next.id);
+      this.time = next.due;
+      next.fn();
+      await settle();
+    }
+    this.time = Math.max(this.time, time);
+  }
+}
+
+/**
+ * Get the clock an account runs on
+ * @param {Object} [account] - Runtime account
+ */
+function getClock(account) {
+  return (account && account.clock) || systemClock;
+}
+
+module.exports = {
+  systemClock,
+  SimulatedClock,
+  getClock
+};
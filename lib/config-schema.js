@@ -0,0 +1,235 @@
+/**
+ * Configuration Schema
+ *
+ * Declarative checks for configuration values. A schema maps a key (dotted
+ * for nested values, e.g. "http.timeout") to a field:
+ *
+ *   type             number, integer, duration, boolean, string, enum, url, timeZone or phones
+ *   env              Environment variable the value is read from, used in messages
+ *   required         The value must be set
+ *   requiredWithout  ...unless this other key is set
+ *   min, max         Range of numbers and durations
+ *   values           Allowed values of an enum
+ *
+ * Durations are milliseconds, or numbers with a unit: "500ms", "30s", "5m",
+ * "1h", "1d", also combined as in "1h30m".
+ */
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Digits only, optionally in international format (+233...)
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+
+/**
+ * Parse a number given as a number or a numeric string
+ * @returns {number} The number, or NaN
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Parse a duration: milliseconds, or a number with a unit such as "5m" or "1h30m"
+ * @returns {number} Milliseconds, or NaN
+ */
+function parseDuration(value) {
+  const ms = parseNumber(value);
+  if (!Number.isNaN(ms) || typeof value !== 'string') {
+    return ms;
+  }
+
+  const text = value.trim().toLowerCase();
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)/g)];
+  if (parts.length === 0 || parts.map(part => part[0]).join('') !== text.replace(/\s+/g, '')) {
+    return NaN;
+  }
+  return Math.round(parts.reduce((total, [, amount, unit]) => total + Number(amount) * DURATION_UNITS[unit], 0));
+}
+
+/**
+ * Convert a value read from the environment or a JSON file to the field's
+ * type. A value that cannot be converted is returned as-is, so validation
+ * reports it as given.
+ */
+function coerce(value, type) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return value;
+  }
+
+  let parsed = value;
+  if (type === 'number' || type === 'integer') {
+    parsed = parseNumber(value);
+  } else if (type === 'duration') {
+    parsed = parseDuration(value);
+  } else if (type === 'boolean' && ['true', 'false'].includes(value)) {
+    parsed = value === 'true';
+  }
+  return typeof parsed === 'number' && Number.isNaN(parsed) ? value : parsed;
+}
+
+/**
+ * Read an environment variable as the given type
+ * @param {string} name - Variable name
+ * @param {*} defaultValue - Used when the variable is unset or empty
+ * @param {string} [type] - number, integer or duration (default: number)
+ */
+function readEnv(name, defaultValue, type = 'number') {
+  const value = process.env[name];
+  return value === undefined || value.trim() === '' ? defaultValue : coerce(value, type);
+}
+
+function getPath(values, key) {
+  return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), values);
+}
+
+/**
+ * Convert every string value of a schema's fields to the field's type,
+ * e.g. "5m" given for a duration in an accounts file
+ * @returns {Object} A copy of the values (nested objects on a field's path are copied too)
+ */
+function applySchema(values, schema) {
+  const result = { ...values };
+  Object.entries(schema).forEach(([key, field]) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let target = result;
+    for (const part of parts) {
+      if (!target[part] || typeof target[part] !== 'object') {
+        return;
+      }
+      target[part] = { ...target[part] };
+      target = target[part];
+    }
+    if (target[last] !== undefined) {
+      target[last] = coerce(target[last], field.type);
+    }
+  });
+  return result;
+}
+
+function isUnset(value) {
+  return value === undefined || value === null || value === '' || value === false;
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+/**
+ * Check a value against a field
+ * @returns {string|null} What is wrong with the value, or null
+ */
+function checkValue(value, field) {
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+    case 'duration': {
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return field.type === 'duration'
+          ? `must be a duration such as 30s, 5m or 1h, or milliseconds (got ${describe(value)})`
+          : `must be a${field.type === 'integer' ? 'n integer' : ' number'} (got ${describe(value)})`;
+      }
+      if (field.type === 'integer' && !Number.isInteger(value)) {
+        return `must be an integer (got ${value})`;
+      }
+      if (field.min !== undefined && value < field.min) {
+        return `must be ${field.min} or more (got ${value})`;
+      }
+      if (field.max !== undefined && value > field.max) {
+        return `must be ${field.max} or less (got ${value})`;
+      }
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false (got ${describe(value)})`;
+    case 'enum':
+      return field.values.includes(value) ? null : `must be one of: ${field.values.join(', ')} (got ${describe(value)})`;
+    case 'url':
+      try {
+        new URL(value);
+        return null;
+      } catch (error) {
+        return `must be a URL such as https://host/path (got ${describe(value)})`;
+      }
+    case 'timeZone':
+      try {
+        new Intl.DateTimeFormat('en', { timeZone: value });
+        return null;
+      } catch (error) {
+        return `must be an IANA time zone such as Africa/Accra (got ${describe(value)})`;
+      }
+    case 'phones': {
+      const list = Array.isArray(value) ? value : [value];
+      const invalid = list.filter(number => !PHONE_PATTERN.test(String(number)));
+      return invalid.length === 0
+        ? null
+        : `has invalid phone numbers: ${invalid.map(describe).join(', ')} (use 7 to 15 digits, optionally starting with +, without spaces)`;
+    }
+    case 'string':
+      return typeof value === 'string' ? null : `must be text (got ${describe(value)})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check values against a schema
+ * @param {Object} values - The values to check
+ * @param {Object} schema - Fields by key
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Put before every message, e.g. "[marketing]"
+ * @param {string} [options.suffix] - Put after every message, e.g. "(twilio provider)"
+ * @param {Function} [options.label] - Name of a setting in messages, given its key
+ *   and field (default: the env var, or the key)
+ * @returns {string[]} One message per problem
+ */
+function validateSchema(values, schema, { prefix = '', suffix = '', label = (key, field) => field.env || key } = {}) {
+  const errors = [];
+  Object.entries(schema).forEach(([key, field]) => {
+    const value = getPath(values, key);
+    const name = label(key, field);
+    let problem = null;
+
+    if (isUnset(value)) {
+      if (field.required || (field.requiredWithout && isUnset(getPath(values, field.requiredWithout)))) {
+        const other = field.requiredWithout && schema[field.requiredWithout];
+        problem = other ? `or ${label(field.requiredWithout, other)} is required` : 'is required';
+      }
+    } else {
+      problem = checkValue(value, field);
+    }
+
+    if (problem) {
+      errors.push([prefix, `${name} ${problem}`, suffix].filter(Boolean).join(' '));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Format a validation report as an indented list
+ */
+function formatReport({ errors, warnings }) {
+  const lines = [];
+  if (errors.length > 0) {
+    lines.push(`Configuration errors:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  if (warnings.length > 0) {
+    lines.push(`Configuration warnings:\n${warnings.map(warning => `  - ${warning}`).join('\n')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseNumber,
+  parseDuration,
+  coerce,
+  readEnv,
+  applySchema,
+  checkValue,
+  validateSchema,
+  formatReport
+};
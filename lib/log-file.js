@@ -0,0 +1,107 @@
+const fs = require('fs');
+
+/**
+ * Rotating Log File
+ *
+ * Appends lines to a log file, rotating it to `<file>.1`, `<file>.2`, ...
+ * when it grows past maxFileSize or when the hour/day it was last written in
+ * has passed. At most maxFiles rotated files are kept, and rotated files
+ * older than retentionDays are deleted.
+ *
+ * Writes are synchronous so lines keep their order and rotation never races
+ * with a pending write.
+ */
+class LogFile {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Path of the active log file
+   * @param {number} [options.maxFileSize] - Rotate once the file exceeds this many bytes
+   * @param {string} [options.rotateInterval] - Also rotate each 'hourly' or 'daily' period, or 'none'
+   * @param {number} [options.maxFiles] - Number of rotated files to keep
+   * @param {number} [options.retentionDays] - Delete rotated files older than this (0 = keep)
+   */
+  constructor({ filePath, maxFileSize = 10 * 1024 * 1024, rotateInterval = 'daily', maxFiles = 7, retentionDays = 0 }) {
+    this.filePath = filePath;
+    this.maxFileSize = maxFileSize;
+    this.rotateInterval = rotateInterval;
+    this.maxFiles = maxFiles;
+    this.retentionDays = retentionDays;
+  }
+
+  /**
+   * Append one line to the log file
+   * @param {string} line - Line without the trailing newline
+   */
+  write(line) {
+    this.rotateIfNeeded(Date.now());
+    fs.appendFileSync(this.filePath, line + '\n');
+  }
+
+  /**
+   * Identify the rotation period a time falls in (UTC hour or day)
+   * @private
+   */
+  getPeriod(time) {
+    const iso = new Date(time).toISOString();
+    if (this.rotateInterval === 'hourly') return iso.slice(0, 13);
+    if (this.rotateInterval === 'daily') return iso.slice(0, 10);
+    return null;
+  }
+
+  /**
+   * Rotate the active file once it is too large or its period has ended
+   * @private
+   */
+  rotateIfNeeded(now) {
+    let stats;
+    try {
+      stats = fs.statSync(this.filePath);
+    } catch (error) {
+      return;
+    }
+
+    const tooLarge = stats.size >= this.maxFileSize;
+    const periodEnded = this.getPeriod(stats.mtimeMs) !== this.getPeriod(now);
+    if (stats.size === 0 || (!tooLarge && !periodEnded)) {
+      return;
+    }
+
+    const oldest = `${this.filePath}.${this.maxFiles}`;
+    if (fs.existsSync(oldest)) {
+      fs.unlinkSync(oldest);
+    }
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const file = `${this.filePath}.${index}`;
+      if (fs.existsSync(file)) {
+        fs.renameSync(file, `${this.filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+
+    this.removeExpired(now);
+  }
+
+  /**
+   * Delete rotated files older than the retention period
+   * @private
+   */
+  removeExpired(now) {
+    if (!this.retentionDays) {
+      return;
+    }
+
+    const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+    for (let index = 1; index <= this.maxFiles; index++) {
+      const file = `${this.filePath}.${index}`;
+      try {
+        if (fs.statSync(file).mtimeMs < cutoff) {
+          fs.unlinkSync(file);
+        }
+      } catch (error) {
+        // Missing file, nothing to remove
+      }
+    }
+  }
+}
+
+module.exports = LogFile;
@@ -0,0 +1,137 @@
+const { Console } = require('console');
+
+const { ACCOUNTS, FILE_PATHS, LOG_CONFIG, STATUS_API_CONFIG, ACKNOWLEDGEMENT_CONFIG, STATE_STORE_CONFIG } = require('../config');
+const LogFile = require('./log-file');
+const { collectSecrets, createRedactor } = require('./redact');
+const { getClock } = require('./clock');
+
+const { logFile: LOG_FILE_PATH } = FILE_PATHS;
+
+const LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+
+const logFile = new LogFile({
+  filePath: LOG_FILE_PATH,
+  maxFileSize: LOG_CONFIG.maxFileSize,
+  rotateInterval: LOG_CONFIG.rotateInterval,
+  maxFiles: LOG_CONFIG.maxFiles,
+  retentionDays: LOG_CONFIG.retentionDays
+});
+
+// Credentials from every account, alert channel and API setting never reach the logs
+const secrets = collectSecrets({
+  accounts: ACCOUNTS,
+  statusApi: STATUS_API_CONFIG,
+  acknowledgement: ACKNOWLEDGEMENT_CONFIG,
+  stateStore: STATE_STORE_CONFIG
+});
+let redactSecrets = createRedactor(secrets);
+
+// Level from LOG_LEVEL, changed by a configuration reload
+let logLevel = LOG_CONFIG.level;
+
+// Where log lines are echoed besides the log file (null to only write the file).
+// A Console ignores write errors such as EPIPE, like the global console.
+let logConsole = console;
+
+// Whether lines are written to the log file
+let logToFile = true;
+
+/**
+ * Choose where log lines are echoed. The CLI sends them to stderr (or
+ * nowhere) so its own output stays machine-readable.
+ * @param {Object} options
+ * @param {stream.Writable|null} options.console - Stream to echo to, or null
+ * @param {boolean} [options.file] - Write the log file (default: true); off
+ *   for simulations, whose lines are not real events
+ */
+function configureLogger({ console: stream, file = true }) {
+  logConsole = stream ? new Console({ stdout: stream, stderr: stream }) : null;
+  logToFile = file;
+}
+
+/**
+ * Apply the parts of a reloaded configuration the logger uses: its
+ * credentials are redacted too (earlier ones stay redacted, as in-flight
+ * requests may still mention them) and LOG_LEVEL takes effect.
+ * @param {Object} config - Reloaded configuration module
+ */
+function reconfigureLogger(config) {
+  collectSecrets({
+    accounts: config.ACCOUNTS,
+    statusApi: config.STATUS_API_CONFIG,
+    acknowledgement: config.ACKNOWLEDGEMENT_CONFIG,
+    stateStore: config.STATE_STORE_CONFIG
+  }, secrets);
+  redactSecrets = createRedactor(secrets);
+  logLevel = config.LOG_CONFIG.level;
+}
+
+/**
+ * Mask known secrets and credential patterns in text
+ */
+function redact(text) {
+  return redactSecrets(text);
+}
+
+/**
+ * Format an entry as a text line or a JSON line
+ */
+function formatEntry(entry, format) {
+  if (format === 'json') {
+    return JSON.stringify(entry);
+  }
+  const prefix = entry.account ? `[${entry.account}] ` : '';
+  return `[${entry.timestamp}] [${entry.level}] ${prefix}${entry.message}`;
+}
+
+/**
+ * Logs a message to the console and the log file, if it is at or above the
+ * configured level. Messages about a specific account carry its name and
+ * provider; fields add structured data (e.g. event, balance) to JSON lines.
+ * Known secrets and credential patterns are redacted.
+ * @param {string} message - Log message
+ * @param {string} [level] - DEBUG, INFO, WARN or ERROR
+ * @param {Object} [account] - Runtime account the message is about
+ * @param {Object} [fields] - Extra fields, e.g. { event: 'check', balance: 450 }
+ */
+function log(message, level = 'INFO', account = null, fields = {}) {
+  if ((LEVELS[level] || LEVELS.INFO) < LEVELS[logLevel]) {
+    return;
+  }
+
+  // Lines about an account on a simulated clock carry the simulated time
+  const entry = {
+    timestamp: new Date(getClock(account).now()).toISOString(),
+    level,
+    message: redact(message)
+  };
+  if (account) {
+    entry.account = account.name;
+    if (account.provider) {
+      entry.provider = account.provider.getName();
+    }
+  }
+  Object.entries(fields).forEach(([key, value]) => {
+    entry[key] = typeof value === 'string' ? redact(value) : value;
+  });
+
+  if (logConsole) {
+    logConsole.log(formatEntry(entry, LOG_CONFIG.consoleFormat));
+  }
+
+  if (!logToFile) {
+    return;
+  }
+  try {
+    logFile.write(formatEntry(entry, LOG_CONFIG.fileFormat));
+  } catch (error) {
+    console.error('Failed to write to log file:', error.message);
+  }
+}
+
+module.exports = {
+  log,
+  redact,
+  configureLogger,
+  reconfigureLogger
+};
@@ -0,0 +1,1799 @@
+/**
+ * Monitor Core
+ * 
+ * Business logic shared by the long-running monitor and the CLI: account
+ * initialization, balance checks, rate-limited alerting, schedules, history
+ * and status.
+ * Requiring this module has no side effects beyond creating the history
+ * store and metrics registry.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Import configuration
+const { ACCOUNTS, FILE_PATHS, HISTORY_CONFIG, REPORT_CONFIG, STATUS_API_CONFIG, ACKNOWLEDGEMENT_CONFIG, DELIVERY_STATUS_CONFIG } = require('../config');
+
+// Import provider and notifier registries
+const providerRegistry = require('../providers/provider-registry');
+const notifierRegistry = require('../notifiers/notifier-registry');
+
+// Import balance history and forecasting
+const { BalanceHistory, forecast, formatDuration, summarizePeriod, formatReportCsv } = require('../history');
+
+// Import alert message templates
+const { formatAlert } = require('../messages');
+
+// Import metrics
+const { MetricsRegistry } = require('../server/metrics');
+
+// Import logging and state
+const { log, redact } = require('./logger');
+const { loadState, saveState, withStateLock } = require('./state');
+const { parseWindows, findActiveWindow, parseTimeSlot, getLastOccurrence } = require('./schedule');
+const { getClock } = require('./clock');
+
+const { historyFile: HISTORY_FILE_PATH } = FILE_PATHS;
+
+// Balance readings are shared by all accounts in one history file
+const history = HISTORY_CONFIG.enabled
+  ? new BalanceHistory({ filePath: HISTORY_FILE_PATH, maxFileSize: HISTORY_CONFIG.maxFileSize, maxFiles: HISTORY_CONFIG.maxFiles })
+  : null;
+
+// Metrics are always collected; they are only exposed through the status API
+const metrics = new MetricsRegistry();
+const balanceGauge = metrics.gauge('sms_balance', 'Last SMS balance read from the provider');
+const thresholdGauge = metrics.gauge('sms_balance_threshold', 'Alert threshold (highest tier)');
+const checksCounter = metrics.counter('sms_balance_checks_total', 'Balance checks performed (from state)');
+const notificationsCounter = metrics.counter('sms_balance_notifications_total', 'Alerts sent (from state)');
+const checkFailuresCounter = metrics.counter('sms_balance_check_failures_total', 'Failed balance checks by error type');
+const checkDuration = metrics.histogram(
+  'sms_balance_check_duration_seconds',
+  'Duration of provider balance checks',
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+const alertDeliveriesCounter = metrics.counter('sms_alert_deliveries_total', 'Alert delivery attempts by channel and result');
+const checkFailureStreakGauge = metrics.gauge('sms_balance_check_consecutive_failures', 'Balance checks failed in a row (from state)');
+const circuitOpenGauge = metrics.gauge('sms_provider_circuit_open', 'Whether the provider API circuit breaker is open or half-open (1) or closed (0)');
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Initialize one SMS provider and its alert channels per account through the registries
+ * @param {Object[]} [configAccounts] - Accounts from the configuration (default: as loaded at startup)
+ * @param {Object} [options]
+ * @param {BaseSMSProvider} [options.provider] - Provider instance used by every account
+ *   instead of creating the configured one
+ * @returns {Object[]} Runtime accounts
+ * @throws {Error} If a provider or notifier cannot be initialized
+ */
+function initializeAccounts(configAccounts = ACCOUNTS, { provider: givenProvider = null } = {}) {
+  return configAccounts.map(account => {
+    if (!givenProvider && !account.providerConfig) {
+      throw new Error(`No configuration found for provider '${account.provider}'. Available providers: ${providerRegistry.getAvailableProviders().join(', ')}`);
+    }
+    const provider = givenProvider || providerRegistry.getProvider(account.provider, account.providerConfig);
+
+    // Each tier alerts its own recipient group, defaulting to the account's
+    const tierNotifiers = {};
+    account.monitor.tiers.forEach(tier => {
+      const context = { provider, recipients: tier.recipients || account.alert.recipients };
+      tierNotifiers[tier.name] = {
+        notifiers: (tier.channels || account.alert.channels || []).map(channel =>
+          notifierRegistry.createNotifier(channel, context)
+        ),
+        fallbackNotifiers: (account.alert.fallbackChannels || []).map(channel =>
+          notifierRegistry.createNotifier(channel, context)
+        )
+      };
+    });
+
+    // Top-up notifications go to finance, defaulting to the least severe tier's recipients and channels
+    const firstTier = account.monitor.tiers[0];
+    const topUpContext = { provider, recipients: account.alert.topUpRecipients || firstTier.recipients || account.alert.recipients };
+    const topUpNotifiers = {
+      notifiers: account.monitor.notifyOnTopUp
+        ? (account.alert.topUpChannels || firstTier.channels || account.alert.channels || []).map(channel =>
+          notifierRegistry.createNotifier(channel, topUpContext)
+        )
+        : [],
+      fallbackNotifiers: []
+    };
+
+    // Balance reports go to management, defaulting to the least severe tier's recipients and channels
+    const { dailyReport, weeklyReport } = account.monitor;
+    const reportContext = { provider, recipients: account.alert.reportRecipients || firstTier.recipients || account.alert.recipients };
+    const reportNotifiers = {
+      notifiers: dailyReport || weeklyReport
+        ? (account.alert.reportChannels || firstTier.channels || account.alert.channels || []).map(channel =>
+          notifierRegistry.createNotifier(channel, reportContext)
+        )
+        : [],
+      fallbackNotifiers: []
+    };
+
+    return {
+      name: account.name,
+      provider,
+      tierNotifiers,
+      topUpNotifiers,
+      reportNotifiers,
+      monitor: account.monitor,
+      alert: account.alert,
+      schedule: {
+        timeZone: account.monitor.scheduleTimeZone,
+        quietHours: parseWindows(account.monitor.quietHours),
+        businessHours: parseWindows(account.monitor.businessHours),
+        maintenanceWindows: parseWindows(account.monitor.maintenanceWindows),
+        reports: {
+          daily: dailyReport ? parseTimeSlot(dailyReport) : null,
+          weekly: weeklyReport ? parseTimeSlot(weeklyReport) : null
+        }
+      },
+      timer: null,
+      checkInterval: null,
+      pendingCheck: null
+    };
+  });
+}
+
+/**
+ * Emit an event on the BalanceMonitor an account belongs to, with the
+ * account name added to the data. A listener that throws is logged rather
+ * than failing the check.
+ */
+function emitEvent(account, event, data) {
+  if (!account.events) {
+    return;
+  }
+  try {
+    account.events.emit(event, { account: account.name, ...data });
+  } catch (error) {
+    log(`Error in '${event}' event listener: ${error.message}`, 'ERROR', account, { event: 'listener-error' });
+  }
+}
+
+/**
+ * Emit a failed or skipped check as an 'error' event. Unlike other events it
+ * carries the Error itself, and it is only emitted when something listens,
+ * as an unhandled 'error' event would end the process.
+ */
+function emitError(account, error, errorType) {
+  if (!account.events || account.events.listenerCount('error') === 0) {
+    return;
+  }
+  try {
+    account.events.emit('error', error, { account: account.name, errorType });
+  } catch (listenerError) {
+    log(`Error in 'error' event listener: ${listenerError.message}`, 'ERROR', account, { event: 'listener-error' });
+  }
+}
+
+/**
+ * Categorize an error for metrics. Provider errors carry their own type
+ * (auth, rate_limited, network, timeout, http, parse, circuit_open); other
+ * errors are categorized by message.
+ */
+function getErrorType(error) {
+  if (error.type) return error.type;
+  const message = error.message || '';
+  if (/timeout/i.test(message)) return 'timeout';
+  if (/No response received/.test(message)) return 'network';
+  if (/: (401|403) /.test(message)) return 'auth';
+  if (/: 429 /.test(message)) return 'rate_limited';
+  if (/: \d{3} /.test(message)) return 'http';
+  if (/Invalid response format/.test(message)) return 'parse';
+  return 'other';
+}
+
+// ============================================================================
+// HISTORY AND FORECASTING
+// ============================================================================
+
+/**
+ * Get the history store of an account: the one its BalanceMonitor was given
+ * (account.history, null for none), or else the configured one
+ */
+function getHistory(account) {
+  return account.history !== undefined ? account.history : history;
+}
+
+/**
+ * Record a balance reading in the history store
+ */
+function recordReading(account, balance, time) {
+  const store = getHistory(account);
+  if (!store) {
+    return;
+  }
+  try {
+    store.record({ account: account.name, balance, time });
+  } catch (error) {
+    log(`Error recording balance history: ${error.message}`, 'ERROR', account, { event: 'history-error' });
+  }
+}
+
+/**
+ * Forecast depletion from the account's recorded readings
+ * @returns {Object|null} Forecast (see history/forecast.js), or null without history
+ */
+function getForecast(account, balance, now) {
+  const store = getHistory(account);
+  if (!store) {
+    return null;
+  }
+
+  const { forecastWindow, forecastWindows, threshold } = account.monitor;
+  const longestWindow = Math.max(forecastWindow, ...forecastWindows);
+
+  try {
+    const readings = store.getReadings(account.name, now - longestWindow);
+    return forecast(readings, { balance, threshold, window: forecastWindow, windows: forecastWindows, now });
+  } catch (error) {
+    log(`Error reading balance history: ${error.message}`, 'ERROR', account, { event: 'history-error' });
+    return null;
+  }
+}
+
+/**
+ * Summarize a forecast for logs and alert messages
+ */
+function describeForecast(prediction) {
+  if (!prediction || prediction.rate === null) {
+    return 'not enough history';
+  }
+  return `${prediction.rate.toFixed(2)}/h, threshold in ${formatDuration(prediction.timeToThreshold)}, zero in ${formatDuration(prediction.timeToZero)}`;
+}
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+// Alert types that are never held back during quiet hours
+const UNDEFERRED_ALERT_TYPES = ['test', 'quiet-hours-summary'];
+
+/**
+ * Get the check interval in effect: checkInterval during business hours (or
+ * always, without business hours), offHoursCheckInterval outside them
+ */
+function getCheckInterval(account, now = getClock(account).now()) {
+  const { checkInterval, offHoursCheckInterval } = account.monitor;
+  const { businessHours, timeZone } = account.schedule;
+  if (!offHoursCheckInterval || businessHours.length === 0) {
+    return checkInterval;
+  }
+  return findActiveWindow(businessHours, now, timeZone) ? checkInterval : offHoursCheckInterval;
+}
+
+/**
+ * Whether a time falls in the account's quiet hours
+ */
+function isQuietHours(account, now) {
+  return findActiveWindow(account.schedule.quietHours, now, account.schedule.timeZone) !== null;
+}
+
+/**
+ * Find the maintenance window in effect, from the configuration or added through the status API
+ * @param {Object} state - Account state, holding the windows added through the API
+ * @returns {Object|null} The window, or null outside maintenance
+ */
+function getActiveMaintenance(account, state, now) {
+  const added = state.maintenanceWindows.map(window => ({ ...window, recurring: false }));
+  return findActiveWindow([...account.schedule.maintenanceWindows, ...added], now, account.schedule.timeZone);
+}
+
+/**
+ * Describe a schedule window for logs and the status API
+ */
+function describeWindow(window) {
+  const text = window.recurring
+    ? window.spec
+    : `${new Date(window.start).toISOString()} - ${new Date(window.end).toISOString()}`;
+  return window.reason ? `${text}: ${window.reason}` : text;
+}
+
+/**
+ * List an account's maintenance windows and the one in effect
+ * @returns {Promise<Object>} active (description or null) and windows (source config or api)
+ */
+async function getMaintenanceWindows(account) {
+  const state = await loadState(account);
+  const active = getActiveMaintenance(account, state, getClock(account).now());
+
+  return {
+    active: active ? describeWindow(active) : null,
+    windows: [
+      ...account.schedule.maintenanceWindows.map(window => (window.recurring
+        ? { source: 'config', schedule: window.spec }
+        : { source: 'config', start: window.start, end: window.end, reason: window.reason })),
+      ...state.maintenanceWindows.map(window => ({ source: 'api', ...window }))
+    ]
+  };
+}
+
+/**
+ * Add a maintenance window to an account's state. Windows that have ended are dropped.
+ * @param {Object} window - start and end (ms since epoch) and an optional reason
+ * @returns {Promise<Object>} The added window, with its id
+ */
+function addMaintenanceWindow(account, { start, end, reason = null }) {
+  return withStateLock(account, async () => {
+    const now = getClock(account).now();
+    const state = await loadState(account);
+    const window = { id: crypto.randomBytes(4).toString('hex'), start, end, reason, createdAt: now };
+    state.maintenanceWindows = state.maintenanceWindows.filter(existing => existing.end > now).concat(window);
+    await saveState(account, state);
+
+    log(`Maintenance window added: ${describeWindow(window)}`, 'INFO', account, { event: 'maintenance-added', start, end, reason });
+    return window;
+  });
+}
+
+/**
+ * Remove maintenance windows added through the status API
+ * @param {string} [id] - Window to remove (default: all of them)
+ * @returns {Promise<number>} Number of windows removed
+ */
+function removeMaintenanceWindows(account, id = null) {
+  return withStateLock(account, async () => {
+    const state = await loadState(account);
+    const remaining = state.maintenanceWindows.filter(window => id !== null && window.id !== id);
+    const removed = state.maintenanceWindows.length - remaining.length;
+    state.maintenanceWindows = remaining;
+    await saveState(account, state);
+
+    if (removed > 0) {
+      log(`Maintenance window${id ? ` ${id}` : 's'} removed`, 'INFO', account, { event: 'maintenance-removed', count: removed });
+    }
+    return removed;
+  });
+}
+
+// ============================================================================
+// NOTIFICATION LOGIC
+// ============================================================================
+
+/**
+ * Get the most severe tier the balance has fallen into, or null when the
+ * balance is above every tier
+ */
+function getTier(account, balance) {
+  const tiers = account.monitor.tiers.filter(tier => balance <= tier.threshold);
+  return tiers.length > 0 ? tiers[tiers.length - 1] : null;
+}
+
+/**
+ * Get a tier's severity rank (higher is worse), or -1 for no tier
+ */
+function getTierRank(account, tierName) {
+  return account.monitor.tiers.findIndex(tier => tier.name === tierName);
+}
+
+/**
+ * Get the severity rank of the tier the current low-balance episode was last alerted at.
+ * State from before tiers existed has a count but no tier, and is treated as the current tier.
+ */
+function getPreviousTierRank(account, tier, state) {
+  if (state.currentTier) {
+    return getTierRank(account, state.currentTier);
+  }
+  return state.consecutiveNotificationCount > 0 ? getTierRank(account, tier.name) : -1;
+}
+
+/**
+ * Determine if a low-balance notification should be sent based on rate
+ * limiting rules. Reads nothing but its arguments, so it can be tested with
+ * a plain account ({ monitor: { tiers, balanceChangeThreshold } }) and state.
+ * @param {Object} account - Runtime account
+ * @param {number} now - Current time (ms since epoch)
+ * @param {number} balance - Balance just read
+ * @param {Object} state - The account's state
+ * @returns {boolean} Whether to send; false when the balance is above every tier
+ *   (recovery is handled by the check)
+ */
+function shouldSendNotification(account, now, balance, state) {
+  const tier = getTier(account, balance);
+  if (!tier || isAcknowledged(state)) {
+    return false;
+  }
+
+  const rank = getTierRank(account, tier.name);
+  const previousRank = getPreviousTierRank(account, tier, state);
+
+  // The first alert of a low-balance period, and any escalation to a worse tier, is sent immediately
+  if (rank > previousRank) {
+    return true;
+  }
+
+  // Counts only carry over while the balance stays in the same tier
+  const sameTier = rank === previousRank;
+  const count = sameTier ? state.consecutiveNotificationCount : 0;
+
+  // Don't send if we've reached the tier's max consecutive notifications
+  if (count >= tier.maxConsecutiveNotifications) {
+    return false;
+  }
+
+  // Don't send if we've sent one recently (within the tier's cooldown period)
+  if (state.lastNotificationTime && (now - state.lastNotificationTime) < tier.notificationCooldown) {
+    return false;
+  }
+
+  // For subsequent alerts, only send if balance changed significantly
+  if (sameTier && state.lastKnownBalance !== null &&
+      Math.abs(balance - state.lastKnownBalance) < account.monitor.balanceChangeThreshold) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get reason why notification was skipped
+ */
+function getSkipReason(account, now, balance, state) {
+  const tier = getTier(account, balance);
+
+  if (!tier) {
+    return 'Balance above threshold';
+  }
+  if (isAcknowledged(state)) {
+    return `Acknowledged by ${state.acknowledgement.by} via ${state.acknowledgement.via}`;
+  }
+
+  const rank = getTierRank(account, tier.name);
+  const previousRank = getPreviousTierRank(account, tier, state);
+  // First alert and escalations should always be sent
+  if (rank > previousRank) {
+    return 'Unknown (should not happen)';
+  }
+
+  const sameTier = rank === previousRank;
+  const count = sameTier ? state.consecutiveNotificationCount : 0;
+  if (count >= tier.maxConsecutiveNotifications) {
+    return `Max consecutive notifications reached for tier '${tier.name}' (${tier.maxConsecutiveNotifications})`;
+  }
+  if (state.lastNotificationTime && (now - state.lastNotificationTime) < tier.notificationCooldown) {
+    const minutesRemaining = Math.ceil((tier.notificationCooldown - (now - state.lastNotificationTime)) / 60000);
+    return `Within cooldown period for tier '${tier.name}' (${minutesRemaining} minutes remaining)`;
+  }
+  // For subsequent alerts, check balance change
+  if (sameTier && state.lastKnownBalance !== null &&
+      Math.abs(balance - state.lastKnownBalance) < account.monitor.balanceChangeThreshold) {
+    return `Balance change too small (< ${account.monitor.balanceChangeThreshold} units)`;
+  }
+  return 'Unknown';
+}
+
+/**
+ * Render an alert's subject and message for a notifier's channel type and
+ * locale (the channel's own locale, else the account's)
+ */
+function formatForChannel(account, notifier, alert) {
+  const channel = notifier.config || {};
+  return formatAlert(alert, {
+    channel: channel.type,
+    locale: channel.locale || account.alert.locale,
+    templates: account.alert.templates,
+    provider: account.provider.getName(),
+    timeZone: account.alert.timeZone,
+    sms: { encoding: account.alert.smsEncoding, maxSegments: account.alert.smsMaxSegments }
+  });
+}
+
+/**
+ * Send an alert through one channel, retrying with exponential backoff.
+ * When an attempt reaches only some recipients, the retries go to the rest,
+ * and the alert counts as delivered even if they never get it.
+ * @returns {Promise<Object|null>} The provider messages it was sent as ({ id, to,
+ *   channel }, SMS only), or null when the channel did not deliver the alert
+ */
+async function sendWithRetry(account, notifier, rawAlert) {
+  const { retryAttempts, retryDelay } = account.alert;
+  const channel = notifier.getName();
+  const alert = formatForChannel(account, notifier, rawAlert);
+
+  if (alert.sms) {
+    const { encoding, segments, transliterated, truncated } = alert.sms;
+    log(`Alert SMS for ${channel}: ${segments} segment(s), ${encoding}${transliterated ? ', transliterated' : ''}${truncated ? ', truncated' : ''}`, 'DEBUG', account, { event: 'alert-formatted', channel, locale: alert.locale, segments, encoding });
+  }
+
+  // After a send that reached some recipients: what it sent, and who is still missing the alert
+  const sentMessages = [];
+  let partial = false;
+  let recipients = null;
+
+  for (let attempt = 0; attempt <= retryAttempts; attempt++) {
+    try {
+      const response = await notifier.send(alert, recipients ? { recipients } : {});
+      alertDeliveriesCounter.inc({ account: account.name, channel, result: 'success' });
+      log(`Alert delivered via ${channel}${attempt > 0 ? ` after ${attempt} retries` : ''}`, 'INFO', account, { event: 'alert-delivered', channel, attempt });
+      return { messages: [...sentMessages, ...notifier.getMessageIds(response)].map(message => ({ ...message, channel })) };
+    } catch (error) {
+      alertDeliveriesCounter.inc({ account: account.name, channel, result: 'failure' });
+      if (error.sent && error.failedRecipients) {
+        sentMessages.push(...notifier.getMessageIds(error.sent));
+        partial = partial || error.sent.length > 0;
+        recipients = error.failedRecipients;
+      }
+      if (attempt < retryAttempts) {
+        const delay = retryDelay * Math.pow(2, attempt);
+        log(`Alert delivery via ${channel} failed: ${error.message}. Retrying in ${delay / 1000}s`, 'WARN', account, { event: 'alert-delivery-failed', channel, attempt });
+        await getClock(account).sleep(delay);
+      } else {
+        log(`Alert delivery via ${channel} failed: ${error.message}`, 'ERROR', account, { event: 'alert-delivery-failed', channel, attempt });
+      }
+    }
+  }
+
+  if (partial) {
+    log(`Alert delivered via ${channel} to some recipients only, not to ${recipients.join(', ')}`, 'WARN', account, { event: 'alert-partially-delivered', channel, failedRecipients: recipients });
+    return { messages: sentMessages.map(message => ({ ...message, channel })) };
+  }
+  return null;
+}
+
+/**
+ * Deliver an alert through every channel configured for the alert's tier.
+ * Channels are tried independently so one failing channel (e.g. SMS at zero
+ * balance) does not stop the others. If none of them delivers, the fallback
+ * chain is walked in order until one channel succeeds.
+ * @returns {Promise<Object>} Delivery path ("primary" or "fallback"), the channels that
+ *   delivered and the provider messages SMS channels sent (see sendWithRetry)
+ */
+async function deliverAlert(account, { notifiers, fallbackNotifiers }, alert) {
+  const results = await Promise.all(notifiers.map(notifier => sendWithRetry(account, notifier, alert)));
+  const delivered = notifiers.filter((notifier, index) => results[index]).map(notifier => notifier.getName());
+
+  if (delivered.length > 0) {
+    return { path: 'primary', channels: delivered, messages: results.filter(Boolean).flatMap(result => result.messages) };
+  }
+
+  if (fallbackNotifiers.length > 0) {
+    log('All primary alert channels failed, trying fallback chain', 'WARN', account, { event: 'alert-fallback' });
+  }
+
+  for (const notifier of fallbackNotifiers) {
+    const result = await sendWithRetry(account, notifier, alert);
+    if (result) {
+      return { path: 'fallback', channels: [notifier.getName()], messages: result.messages };
+    }
+  }
+
+  return { path: null, channels: [], messages: [] };
+}
+
+/**
+ * Get the notifiers of an alert route: a tier's name, or 'top-up'
+ */
+function getRouteNotifiers(account, route) {
+  if (route === 'top-up') {
+    return account.topUpNotifiers;
+  }
+  // The tier may no longer exist if the configuration changed since the alert was held back
+  return account.tierNotifiers[route] || account.tierNotifiers[account.monitor.tiers[0].name];
+}
+
+/**
+ * Whether an alert is held back for the quiet hours summary. Low-balance
+ * alerts from critical tiers, tests and summaries are always sent.
+ */
+function shouldDefer(account, alert) {
+  if (UNDEFERRED_ALERT_TYPES.includes(alert.type) || !isQuietHours(account, alert.timestamp)) {
+    return false;
+  }
+  const tier = alert.type === 'low-balance' && account.monitor.tiers.find(candidate => candidate.name === alert.tier);
+  return !(tier && tier.critical);
+}
+
+/**
+ * Deliver an alert through a route's channels, or hold it back during quiet hours
+ * @param {string} route - Tier whose channels to use, or 'top-up'
+ * @param {Object} alert - Alert to send (see BaseNotifier#send)
+ * @param {Object} state - Caller's account state, saved by the caller after delivery
+ * @returns {Promise<Object>} Delivery path and channels; path 'deferred' when held back
+ */
+async function dispatchAlert(account, route, alert, state) {
+  if (!shouldDefer(account, alert)) {
+    return deliverAlert(account, getRouteNotifiers(account, route), alert);
+  }
+
+  const { template, ...deferred } = alert;
+  state.deferredAlerts = [...state.deferredAlerts, { route, ...deferred }];
+  log(`Quiet hours: ${alert.type} alert held back for the summary`, 'INFO', account, { event: 'alert-deferred', type: alert.type, balance: alert.balance });
+  return { path: 'deferred', channels: ['quiet hours summary'], messages: [] };
+}
+
+/**
+ * Once quiet hours are over, send the alerts held back during them as one
+ * summary per route. Summaries wait while a maintenance window is active,
+ * and failed ones are retried after the next check.
+ */
+async function sendQuietHoursSummary(account) {
+  const now = getClock(account).now();
+  const state = await loadState(account);
+  if (state.deferredAlerts.length === 0 || isQuietHours(account, now) || getActiveMaintenance(account, state, now)) {
+    return;
+  }
+
+  const routes = [...new Set(state.deferredAlerts.map(entry => entry.route))];
+  for (const route of routes) {
+    const alerts = state.deferredAlerts.filter(entry => entry.route === route);
+
+    try {
+      const delivery = await deliverAlert(account, getRouteNotifiers(account, route), {
+        account: account.name,
+        type: 'quiet-hours-summary',
+        balance: state.lastBalance,
+        threshold: account.monitor.threshold,
+        details: { alerts },
+        timestamp: now
+      });
+
+      if (delivery.channels.length === 0) {
+        throw new Error('No alert channel delivered the notification, including fallbacks');
+      }
+
+      state.deferredAlerts = state.deferredAlerts.filter(entry => entry.route !== route);
+      state.totalNotifications++;
+      state.lastAlertDelivery = { ...delivery, time: now };
+
+      log(`Quiet hours summary of ${alerts.length} alert(s) sent via ${delivery.channels.join(', ')} (${delivery.path})`, 'INFO', account, {
+        event: 'summary-sent',
+        count: alerts.length,
+        channels: delivery.channels
+      });
+    } catch (error) {
+      log(`Failed to send quiet hours summary: ${error.message}`, 'ERROR', account, { event: 'summary-failed', count: alerts.length });
+    }
+  }
+
+  await saveState(account, state);
+}
+
+/**
+ * Send low SMS balance alert
+ */
+async function alertLowSMSBalance(account, balance, prediction = null) {
+  const now = getClock(account).now();
+  const state = await loadState(account);
+
+  // Check if we should send notification based on rate limiting
+  if (shouldSendNotification(account, now, balance, state)) {
+    const tier = getTier(account, balance);
+    const escalated = state.currentTier !== null &&
+      getTierRank(account, tier.name) > getTierRank(account, state.currentTier);
+    // The first alert starts a low-balance episode, which lasts until the balance recovers
+    const newEpisode = state.currentTier === null;
+    const since = newEpisode ? now : state.lowBalanceSince;
+
+    try {
+      // Counting restarts whenever the balance moves into another tier
+      const notificationNumber = (tier.name === state.currentTier || state.currentTier === null)
+        ? state.consecutiveNotificationCount + 1
+        : 1;
+      const delivery = await dispatchAlert(account, tier.name, {
+        account: account.name,
+        type: 'low-balance',
+        tier: tier.name,
+        // A tier's own message replaces the locale's low-balance template
+        template: tier.message,
+        balance,
+        threshold: tier.threshold,
+        notificationNumber,
+        forecast: prediction,
+        acknowledge: getAcknowledgeOptions(account, since),
+        timestamp: now
+      }, state);
+
+      if (delivery.channels.length === 0) {
+        throw new Error('No alert channel delivered the notification, including fallbacks');
+      }
+
+      // Update tracking state
+      state.lastNotificationTime = now;
+      state.consecutiveNotificationCount = notificationNumber;
+      state.currentTier = tier.name;
+      state.lowBalanceSince = since;
+      if (newEpisode) {
+        state.alertDeliveries = [];
+      }
+      trackAlertMessages(state, { time: now, tier: tier.name, notificationNumber }, delivery);
+      state.lastKnownBalance = balance;
+      state.totalNotifications++;
+      state.lastAlertDelivery = { ...delivery, time: now };
+
+      // Save updated state
+      await saveState(account, state);
+
+      if (escalated) {
+        log(`Balance escalated to tier '${tier.name}' (<= ${tier.threshold})`, 'WARN', account, { event: 'tier-escalated', tier: tier.name, balance });
+      }
+      log(`SMS notification sent via ${delivery.channels.join(', ')} (${delivery.path}). Tier: ${tier.name}, Count: ${notificationNumber}/${tier.maxConsecutiveNotifications}, Balance: ${balance}`, 'WARN', account, {
+        event: 'alert-sent',
+        balance,
+        tier: tier.name,
+        notificationNumber,
+        channels: delivery.channels,
+        deliveryPath: delivery.path
+      });
+      emitEvent(account, 'alert-sent', {
+        balance,
+        tier: tier.name,
+        notificationNumber,
+        channels: delivery.channels,
+        deliveryPath: delivery.path
+      });
+    } catch (error) {
+      if (error.type === 'state') {
+        throw error;
+      }
+      log(`Failed to send SMS notification: ${error.message}`, 'ERROR', account, { event: 'alert-failed', balance });
+      emitEvent(account, 'alert-failed', { balance, tier: tier.name, error: error.message });
+    }
+  } else {
+    const reason = getSkipReason(account, now, balance, state);
+    log(`SMS notification skipped. Balance: ${balance}, Reason: ${reason}`, 'INFO', account, { event: 'alert-skipped', balance, reason });
+    emitEvent(account, 'alert-skipped', { balance, reason });
+  }
+}
+
+/**
+ * Send a forecast alert when the balance is still above the threshold but is
+ * projected to run out within the configured horizon. Uses the least severe
+ * tier's channels and the account's cooldown and max notifications.
+ */
+async function alertForecastDepletion(account, balance, prediction) {
+  const now = getClock(account).now();
+  const state = await loadState(account);
+  const { notificationCooldown, maxConsecutiveNotifications } = account.monitor;
+
+  if (state.forecastNotificationCount >= maxConsecutiveNotifications) {
+    log(`Forecast notification skipped. Reason: Max consecutive notifications reached (${maxConsecutiveNotifications})`, 'INFO', account, { event: 'forecast-alert-skipped', balance });
+    return;
+  }
+  if (state.lastForecastNotificationTime && (now - state.lastForecastNotificationTime) < notificationCooldown) {
+    const minutesRemaining = Math.ceil((notificationCooldown - (now - state.lastForecastNotificationTime)) / 60000);
+    log(`Forecast notification skipped. Reason: Within cooldown period (${minutesRemaining} minutes remaining)`, 'INFO', account, { event: 'forecast-alert-skipped', balance });
+    return;
+  }
+
+  const tier = account.monitor.tiers[0];
+
+  try {
+    const delivery = await dispatchAlert(account, tier.name, {
+      account: account.name,
+      type: 'forecast',
+      balance,
+      threshold: tier.threshold,
+      notificationNumber: state.forecastNotificationCount + 1,
+      forecast: prediction,
+      timestamp: now
+    }, state);
+
+    if (delivery.channels.length === 0) {
+      throw new Error('No alert channel delivered the notification, including fallbacks');
+    }
+
+    state.forecastNotificationCount++;
+    state.lastForecastNotificationTime = now;
+    state.totalNotifications++;
+    state.lastAlertDelivery = { ...delivery, time: now };
+    await saveState(account, state);
+
+    log(`Forecast notification sent via ${delivery.channels.join(', ')} (${delivery.path}). Empty in ${formatDuration(prediction.timeToZero)}, Balance: ${balance}`, 'WARN', account, {
+      event: 'forecast-alert-sent',
+      balance,
+      timeToZero: prediction.timeToZero,
+      channels: delivery.channels
+    });
+  } catch (error) {
+    if (error.type === 'state') {
+      throw error;
+    }
+    log(`Failed to send forecast notification: ${error.message}`, 'ERROR', account, { event: 'forecast-alert-failed', balance });
+  }
+}
+
+// ============================================================================
+// DELIVERY RECEIPTS AND ACKNOWLEDGEMENT
+// ============================================================================
+
+// Low-balance alerts whose SMS delivery is tracked, per account (the latest of the episode)
+const TRACKED_ALERTS = 20;
+
+/**
+ * Whether the current low-balance episode was acknowledged, which silences
+ * its remaining alerts
+ */
+function isAcknowledged(state) {
+  return state.currentTier !== null && state.acknowledgement !== null &&
+    state.acknowledgement.since === state.lowBalanceSince;
+}
+
+/**
+ * Sign an acknowledgement link for a low-balance episode, so a link only
+ * works for the episode it was sent for
+ */
+function signAcknowledgement(account, since) {
+  return crypto.createHmac('sha256', ACKNOWLEDGEMENT_CONFIG.webhookSecret)
+    .update(`${account.name}:${since}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * How a low-balance alert can be acknowledged, for its message: the reply
+ * keyword and a signed link, when the status API serves them
+ * @returns {Object|null} keyword and url (either may be null), or null
+ */
+function getAcknowledgeOptions(account, since) {
+  const { webhookSecret, keyword, linkBaseUrl } = ACKNOWLEDGEMENT_CONFIG;
+  if (!STATUS_API_CONFIG.enabled || !webhookSecret || (!keyword && !linkBaseUrl)) {
+    return null;
+  }
+  const url = linkBaseUrl
+    ? `${linkBaseUrl.replace(/\/+$/, '')}/ack?account=${encodeURIComponent(account.name)}&sig=${signAcknowledgement(account, since)}`
+    : null;
+  return { keyword: keyword || null, url };
+}
+
+/**
+ * Check the signature of an acknowledgement link against the account's
+ * current low-balance episode
+ * @returns {Promise<boolean>}
+ */
+async function verifyAcknowledgementLink(account, signature) {
+  const state = await loadState(account);
+  if (state.currentTier === null || !ACKNOWLEDGEMENT_CONFIG.webhookSecret || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(signAcknowledgement(account, state.lowBalanceSince));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Acknowledge an account's low-balance alert: no more low-balance alerts are
+ * sent until the balance recovers and falls again
+ * @param {Object} account - Runtime account
+ * @param {Object} options
+ * @param {string} options.by - Who acknowledged (name or phone number)
+ * @param {string} options.via - How: sms, link, api or cli
+ * @param {string} [options.note] - Free text, e.g. "top-up ordered"
+ * @returns {Promise<Object|null>} The acknowledgement ({ by, via, note, time, tier,
+ *   since }; the earlier one if already acknowledged), or null when no low-balance
+ *   alert is outstanding
+ */
+async function acknowledgeAlert(account, { by, via, note = null }) {
+  return withStateLock(account, async () => {
+    const state = await loadState(account);
+    if (state.currentTier === null) {
+      return null;
+    }
+    if (isAcknowledged(state)) {
+      return state.acknowledgement;
+    }
+
+    state.acknowledgement = { by, via, note, time: getClock(account).now(), tier: state.currentTier, since: state.lowBalanceSince };
+    await saveState(account, state);
+
+    log(`Low-balance alert acknowledged by ${by} via ${via}${note ? ` (${note})` : ''}; no more are sent until the balance recovers`, 'INFO', account, {
+      event: 'alert-acknowledged',
+      by,
+      via,
+      tier: state.currentTier
+    });
+    emitEvent(account, 'acknowledged', { by, via, note, tier: state.currentTier });
+    return state.acknowledgement;
+  });
+}
+
+/**
+ * Every notifier of an account's tiers, fallbacks included
+ */
+function getTierNotifiers(account) {
+  return Object.values(account.tierNotifiers).flatMap(({ notifiers, fallbackNotifiers }) => [...notifiers, ...fallbackNotifiers]);
+}
+
+/**
+ * The SMS providers an account checks and alerts through
+ */
+function getSmsProviders(account) {
+  return [...new Set([account.provider, ...getTierNotifiers(account).map(notifier => notifier.provider).filter(Boolean)])];
+}
+
+/**
+ * The provider behind an SMS channel, by the channel's name
+ */
+function getChannelProvider(account, channel) {
+  const notifier = getTierNotifiers(account).find(candidate => candidate.provider && candidate.getName() === channel);
+  return notifier ? notifier.provider : account.provider;
+}
+
+/**
+ * Whether two phone numbers are the same, written locally (0240000000) or
+ * internationally (+233240000000)
+ */
+function isSamePhone(a, b) {
+  const digits = value => String(value).replace(/\D/g, '');
+  const [first, second] = [digits(a), digits(b)];
+  const length = Math.min(first.length, second.length, 9);
+  return length >= 7 && first.slice(-length) === second.slice(-length);
+}
+
+/**
+ * Whether a phone number receives an account's low-balance alerts
+ */
+function isAlertRecipient(account, phone) {
+  const recipients = [
+    ...account.alert.recipients,
+    ...account.monitor.tiers.flatMap(tier => tier.recipients || []),
+    ...getTierNotifiers(account).flatMap(notifier => (notifier.config && notifier.config.recipients) || [])
+  ];
+  return recipients.some(recipient => isSamePhone(recipient, phone));
+}
+
+/**
+ * Start tracking the SMS a low-balance alert was sent as
+ * @param {Object} state - Account state, saved by the caller
+ * @param {Object} alert - time, tier and notificationNumber
+ * @param {Object} delivery - See deliverAlert
+ */
+function trackAlertMessages(state, alert, delivery) {
+  if (delivery.messages.length === 0) {
+    return;
+  }
+  const messages = delivery.messages.map(message => ({ ...message, status: 'pending', statusTime: null, error: null }));
+  state.alertDeliveries = [...state.alertDeliveries, { ...alert, channels: delivery.channels, counted: true, messages }].slice(-TRACKED_ALERTS);
+}
+
+/**
+ * Record a tracked message's delivery status. An alert that reached no one,
+ * on any channel, stops counting toward its tier's max consecutive
+ * notifications, until a later receipt shows it was delivered after all.
+ * @param {Object} state - Account state, saved by the caller
+ */
+function applyDeliveryStatus(account, state, alert, message, { status, error = null }) {
+  Object.assign(message, { status, statusTime: getClock(account).now(), error });
+  const { id: messageId, to, channel } = message;
+  log(`Alert SMS ${messageId}${to ? ` to ${to}` : ''} ${status}${error ? `: ${error}` : ''}`, status === 'failed' ? 'WARN' : 'INFO', account, {
+    event: 'delivery-status',
+    messageId,
+    status,
+    channel
+  });
+  emitEvent(account, 'delivery-status', { messageId, to, status, error, channel, tier: alert.tier, notificationNumber: alert.notificationNumber });
+
+  const reachedNoOne = alert.messages.every(entry => entry.status === 'failed') &&
+    alert.channels.every(name => alert.messages.some(entry => entry.channel === name));
+  if (alert.counted && reachedNoOne) {
+    alert.counted = false;
+    if (alert.tier === state.currentTier && state.consecutiveNotificationCount > 0) {
+      state.consecutiveNotificationCount--;
+    }
+    log(`Alert #${alert.notificationNumber} (tier ${alert.tier}) reached no one; it no longer counts toward the max consecutive notifications`, 'WARN', account, {
+      event: 'alert-undelivered',
+      tier: alert.tier,
+      notificationNumber: alert.notificationNumber
+    });
+  } else if (!alert.counted && status === 'delivered') {
+    alert.counted = true;
+    if (alert.tier === state.currentTier) {
+      state.consecutiveNotificationCount++;
+    }
+  }
+}
+
+/**
+ * Ask the providers for the delivery status of alert SMS still pending that
+ * were sent within SMS_DELIVERY_STATUS_POLL_FOR
+ */
+async function pollDeliveryStatus(account) {
+  const { pollFor } = DELIVERY_STATUS_CONFIG;
+  const now = getClock(account).now();
+  const state = await loadState(account);
+  const pending = state.alertDeliveries
+    .filter(alert => now - alert.time <= pollFor)
+    .flatMap(alert => alert.messages.filter(message => message.status === 'pending').map(message => ({ alert, message })));
+
+  let changed = false;
+  for (const { alert, message } of pending) {
+    try {
+      const result = await getChannelProvider(account, message.channel).checkDeliveryStatus(message.id);
+      if (result && result.status !== 'pending') {
+        applyDeliveryStatus(account, state, alert, message, result);
+        changed = true;
+      }
+    } catch (error) {
+      log(`Delivery status of alert SMS ${message.id} unavailable: ${error.message}`, 'DEBUG', account, { event: 'delivery-status-failed', messageId: message.id });
+    }
+  }
+
+  if (changed) {
+    await saveState(account, state);
+  }
+}
+
+/**
+ * Apply a delivery receipt posted to the receipt webhook to the alert SMS
+ * it is about
+ * @param {Object[]} accounts - Runtime accounts
+ * @param {Object} params - Query and body parameters of the request
+ * @returns {Promise<Object|null>} account, messageId and status, or null when no
+ *   provider reads the request as a receipt of a tracked message
+ */
+async function recordDeliveryReceipt(accounts, params) {
+  for (const account of accounts) {
+    for (const provider of getSmsProviders(account)) {
+      const receipt = provider.parseDeliveryReceipt(params);
+      if (!receipt) {
+        continue;
+      }
+
+      const matched = await withStateLock(account, async () => {
+        const state = await loadState(account);
+        const alert = state.alertDeliveries.find(entry => entry.messages.some(message => message.id === receipt.messageId));
+        if (!alert) {
+          return false;
+        }
+        const message = alert.messages.find(entry => entry.id === receipt.messageId);
+        // Interim states (queued, sent) add nothing to pending
+        if (receipt.status !== 'pending' && receipt.status !== message.status) {
+          applyDeliveryStatus(account, state, alert, message, receipt);
+          await saveState(account, state);
+        }
+        return true;
+      });
+      if (matched) {
+        return { account: account.name, messageId: receipt.messageId, status: receipt.status };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Acknowledge alerts from an SMS reply posted to the inbound webhook: the
+ * keyword, optionally followed by an account name ("ACK marketing"), from
+ * one of the account's alert recipients
+ * @param {Object[]} accounts - Runtime accounts
+ * @param {Object} params - Query and body parameters of the request
+ * @returns {Promise<Object>} acknowledged (account names) and, when none was, the reason
+ */
+async function acknowledgeByReply(accounts, params) {
+  const { keyword } = ACKNOWLEDGEMENT_CONFIG;
+  const message = accounts.flatMap(getSmsProviders)
+    .map(provider => provider.parseInboundMessage(params))
+    .find(Boolean);
+  if (!message) {
+    return { acknowledged: [], reason: 'Not an inbound SMS of a configured provider' };
+  }
+
+  const [word = '', ...rest] = message.text.trim().split(/\s+/);
+  if (!keyword || word.toUpperCase() !== keyword) {
+    return { acknowledged: [], reason: 'Not an acknowledgement' };
+  }
+
+  const name = rest.join(' ').toLowerCase();
+  const candidates = accounts.filter(account =>
+    (!name || account.name.toLowerCase() === name) && isAlertRecipient(account, message.from)
+  );
+  if (candidates.length === 0) {
+    log(`Acknowledgement from ${message.from} ignored: not an alert recipient${name ? ` of account '${name}'` : ''}`, 'WARN', null, { event: 'ack-rejected', from: message.from });
+    return { acknowledged: [], reason: 'Sender is not an alert recipient' };
+  }
+
+  const acknowledged = [];
+  for (const account of candidates) {
+    if (await acknowledgeAlert(account, { by: message.from, via: 'sms' })) {
+      acknowledged.push(account.name);
+    }
+  }
+  return { acknowledged, reason: acknowledged.length > 0 ? null : 'No low-balance alert to acknowledge' };
+}
+
+// ============================================================================
+// CHECK FAILURE ALERTS
+// ============================================================================
+
+/**
+ * Whether an account's balance checks have failed for long enough to alert
+ * that monitoring is degraded
+ */
+function isDegraded(account, state, now) {
+  const { degradedAfterFailures, degradedAfterTime } = account.monitor;
+  const since = state.lastSuccessfulCheckTime || state.firstCheckFailureTime;
+
+  return (degradedAfterFailures > 0 && state.consecutiveCheckFailures >= degradedAfterFailures) ||
+    (degradedAfterTime > 0 && since !== null && now - since >= degradedAfterTime);
+}
+
+/**
+ * Record a failed balance check, and alert that monitoring is degraded once
+ * checks have failed too many times or for too long. Degraded alerts use the
+ * least severe tier's channels and their own cooldown and max notifications.
+ */
+async function recordCheckFailure(account, error) {
+  const now = getClock(account).now();
+  const state = await loadState(account);
+  state.consecutiveCheckFailures++;
+  state.firstCheckFailureTime = state.firstCheckFailureTime || now;
+  state.lastCheckError = { message: redact(error.message), type: getErrorType(error), time: now };
+  await saveState(account, state);
+
+  if (!isDegraded(account, state, now)) {
+    return;
+  }
+
+  const maintenance = getActiveMaintenance(account, state, now);
+  if (maintenance) {
+    log(`Degraded notification skipped. Reason: Maintenance window (${describeWindow(maintenance)})`, 'INFO', account, { event: 'degraded-alert-skipped', failures: state.consecutiveCheckFailures });
+    return;
+  }
+
+  const { degradedCooldown, degradedMaxNotifications } = account.monitor;
+  const failures = state.consecutiveCheckFailures;
+
+  if (state.degradedNotificationCount >= degradedMaxNotifications) {
+    log(`Degraded notification skipped. Reason: Max notifications reached (${degradedMaxNotifications})`, 'INFO', account, { event: 'degraded-alert-skipped', failures });
+    return;
+  }
+  if (state.lastDegradedNotificationTime && (now - state.lastDegradedNotificationTime) < degradedCooldown) {
+    const minutesRemaining = Math.ceil((degradedCooldown - (now - state.lastDegradedNotificationTime)) / 60000);
+    log(`Degraded notification skipped. Reason: Within cooldown period (${minutesRemaining} minutes remaining)`, 'INFO', account, { event: 'degraded-alert-skipped', failures });
+    return;
+  }
+
+  const tier = account.monitor.tiers[0];
+
+  try {
+    const delivery = await dispatchAlert(account, tier.name, {
+      account: account.name,
+      type: 'monitoring-degraded',
+      balance: state.lastBalance,
+      threshold: tier.threshold,
+      notificationNumber: state.degradedNotificationCount + 1,
+      details: {
+        failures,
+        error: state.lastCheckError.message,
+        lastReadingTime: state.lastSuccessfulCheckTime,
+        lastBalance: state.lastBalance
+      },
+      timestamp: now
+    }, state);
+
+    if (delivery.channels.length === 0) {
+      throw new Error('No alert channel delivered the notification, including fallbacks');
+    }
+
+    state.degradedNotificationCount++;
+    state.lastDegradedNotificationTime = now;
+    state.totalNotifications++;
+    state.lastAlertDelivery = { ...delivery, time: now };
+    await saveState(account, state);
+
+    log(`Degraded notification sent via ${delivery.channels.join(', ')} (${delivery.path}). Failed checks: ${failures}`, 'WARN', account, {
+      event: 'degraded-alert-sent',
+      failures,
+      errorType: state.lastCheckError.type,
+      channels: delivery.channels
+    });
+  } catch (deliveryError) {
+    if (deliveryError.type === 'state') {
+      throw deliveryError;
+    }
+    log(`Failed to send degraded notification: ${deliveryError.message}`, 'ERROR', account, { event: 'degraded-alert-failed', failures });
+  }
+}
+
+/**
+ * Clear the failure count after a successful check
+ * @param {Object} state - State of the check in progress, updated in place
+ * @returns {Object|null} The failure episode that ended (failures, since, alerted), or null
+ */
+function clearCheckFailures(state) {
+  if (state.consecutiveCheckFailures === 0) {
+    return null;
+  }
+
+  const episode = {
+    failures: state.consecutiveCheckFailures,
+    since: state.firstCheckFailureTime,
+    alerted: state.degradedNotificationCount > 0
+  };
+  state.consecutiveCheckFailures = 0;
+  state.firstCheckFailureTime = null;
+  state.degradedNotificationCount = 0;
+  return episode;
+}
+
+/**
+ * Let admins know checks are succeeding again after a degraded alert,
+ * at most once per recovery notice cooldown
+ */
+async function notifyMonitoringRecovered(account, balance, episode) {
+  const now = getClock(account).now();
+  const state = await loadState(account);
+  const { recoveryNoticeCooldown } = account.monitor;
+  const downtime = formatDuration(now - episode.since);
+
+  log(`Balance checks recovered after ${episode.failures} failures (${downtime})`, 'INFO', account, { event: 'checks-recovered', failures: episode.failures });
+
+  if (!episode.alerted) {
+    return;
+  }
+  if (state.lastRecoveryNotificationTime && (now - state.lastRecoveryNotificationTime) < recoveryNoticeCooldown) {
+    const minutesRemaining = Math.ceil((recoveryNoticeCooldown - (now - state.lastRecoveryNotificationTime)) / 60000);
+    log(`Recovery notification skipped. Reason: Within cooldown period (${minutesRemaining} minutes remaining)`, 'INFO', account, { event: 'recovery-notice-skipped', failures: episode.failures });
+    return;
+  }
+
+  const tier = account.monitor.tiers[0];
+
+  try {
+    const delivery = await dispatchAlert(account, tier.name, {
+      account: account.name,
+      type: 'monitoring-recovered',
+      balance,
+      threshold: tier.threshold,
+      details: { failures: episode.failures, downtime: now - episode.since },
+      timestamp: now
+    }, state);
+
+    if (delivery.channels.length === 0) {
+      throw new Error('No alert channel delivered the notification, including fallbacks');
+    }
+
+    state.lastRecoveryNotificationTime = now;
+    state.totalNotifications++;
+    state.lastAlertDelivery = { ...delivery, time: now };
+    await saveState(account, state);
+
+    log(`Recovery notification sent via ${delivery.channels.join(', ')} (${delivery.path})`, 'INFO', account, {
+      event: 'recovery-notice-sent',
+      failures: episode.failures,
+      channels: delivery.channels
+    });
+  } catch (error) {
+    if (error.type === 'state') {
+      throw error;
+    }
+    log(`Failed to send recovery notification: ${error.message}`, 'ERROR', account, { event: 'recovery-notice-failed', failures: episode.failures });
+  }
+}
+
+// ============================================================================
+// RECOVERY AND TOP-UPS
+// ============================================================================
+
+/**
+ * Let the recipients of the last low-balance alert know the balance is back
+ * above the threshold
+ * @param {string} tierName - Tier the low-balance episode was last alerted at
+ */
+async function notifyBalanceRecovered(account, balance, tierName) {
+  const now = getClock(account).now();
+  const state = await loadState(account);
+  // The tier may no longer exist if the configuration changed since the alert
+  const tier = account.monitor.tiers.find(candidate => candidate.name === tierName) || account.monitor.tiers[0];
+
+  try {
+    const delivery = await dispatchAlert(account, tier.name, {
+      account: account.name,
+      type: 'balance-recovered',
+      tier: tier.name,
+      balance,
+      threshold: account.monitor.threshold,
+      timestamp: now
+    }, state);
+
+    if (delivery.channels.length === 0) {
+      throw new Error('No alert channel delivered the notification, including fallbacks');
+    }
+
+    state.totalNotifications++;
+    state.lastAlertDelivery = { ...delivery, time: now };
+    await saveState(account, state);
+
+    log(`Balance recovered notification sent via ${delivery.channels.join(', ')} (${delivery.path}). Balance: ${balance}`, 'INFO', account, {
+      event: 'recovery-alert-sent',
+      balance,
+      channels: delivery.channels
+    });
+  } catch (error) {
+    if (error.type === 'state') {
+      throw error;
+    }
+    log(`Failed to send balance recovered notification: ${error.message}`, 'ERROR', account, { event: 'recovery-alert-failed', balance });
+  }
+}
+
+/**
+ * Detect a top-up: a rise of at least the top-up threshold since the previous reading
+ * @param {number|null} previousBalance - Balance read by the previous successful check
+ * @returns {Object|null} The top-up (amount, previousBalance, balance, time), or null
+ */
+function detectTopUp(account, previousBalance, balance, time) {
+  const { topUpThreshold } = account.monitor;
+  if (!(topUpThreshold > 0) || previousBalance === null || balance - previousBalance < topUpThreshold) {
+    return null;
+  }
+  return { amount: balance - previousBalance, previousBalance, balance, time };
+}
+
+/**
+ * Record a detected top-up in the history store
+ */
+function recordTopUp(account, topUp) {
+  log(`Top-up detected: +${topUp.amount} (${topUp.previousBalance} -> ${topUp.balance})`, 'INFO', account, {
+    event: 'top-up',
+    amount: topUp.amount,
+    previousBalance: topUp.previousBalance,
+    balance: topUp.balance
+  });
+
+  const store = getHistory(account);
+  if (!store) {
+    return;
+  }
+  try {
+    store.recordTopUp({ account: account.name, ...topUp });
+  } catch (error) {
+    log(`Error recording top-up: ${error.message}`, 'ERROR', account, { event: 'history-error' });
+  }
+}
+
+/**
+ * Let finance know a top-up landed
+ */
+async function notifyTopUp(account, topUp) {
+  const state = await loadState(account);
+
+  try {
+    const delivery = await dispatchAlert(account, 'top-up', {
+      account: account.name,
+      type: 'top-up',
+      balance: topUp.balance,
+      threshold: account.monitor.threshold,
+      details: { amount: topUp.amount, previousBalance: topUp.previousBalance },
+      timestamp: topUp.time
+    }, state);
+
+    if (delivery.channels.length === 0) {
+      throw new Error('No alert channel delivered the notification');
+    }
+
+    state.totalNotifications++;
+    state.lastAlertDelivery = { ...delivery, time: getClock(account).now() };
+    await saveState(account, state);
+
+    log(`Top-up notification sent via ${delivery.channels.join(', ')}. Amount: ${topUp.amount}`, 'INFO', account, {
+      event: 'top-up-notice-sent',
+      amount: topUp.amount,
+      channels: delivery.channels
+    });
+  } catch (error) {
+    if (error.type === 'state') {
+      throw error;
+    }
+    log(`Failed to send top-up notification: ${error.message}`, 'ERROR', account, { event: 'top-up-notice-failed', amount: topUp.amount });
+  }
+}
+
+// ============================================================================
+// BALANCE REPORTS
+// ============================================================================
+
+// How far a report of each period reaches back when there is no earlier one to follow on from
+const REPORT_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Build an account's balance report from its recorded readings and top-ups
+ * and its check and notification counters
+ * @param {Object} account - Runtime account
+ * @param {Object} state - Account state
+ * @param {string} period - daily or weekly
+ * @param {number} now - End of the report
+ * @returns {Object} account, period, the summary of the readings (see summarizePeriod),
+ *   alertsSent and checks (null without an earlier report to count from)
+ */
+function buildReport(account, state, period, now) {
+  const last = state.lastReports[period];
+  const length = REPORT_PERIODS[period];
+  const start = last ? last.time : now - length;
+  const store = getHistory(account);
+  // The last reading before the period is its opening balance
+  const readings = store ? store.getReadings(account.name, start - length) : [];
+  const topUps = store ? store.getTopUps(account.name, start) : [];
+
+  return {
+    account: account.name,
+    period,
+    ...summarizePeriod(readings, topUps, { start, end: now }),
+    alertsSent: last ? state.totalNotifications - last.totalNotifications : null,
+    checks: last ? state.totalChecks - last.totalChecks : null
+  };
+}
+
+/**
+ * Build an account's report for a period so far: since the last scheduled
+ * report of the period, or over the period's length without one
+ * @param {Object} account - Runtime account
+ * @param {string} [period] - daily (default) or weekly
+ * @returns {Promise<Object>} The report (see buildReport)
+ * @throws {Error} For an unknown period
+ */
+async function getBalanceReport(account, period = 'daily') {
+  if (!REPORT_PERIODS[period]) {
+    throw new Error(`Unknown report period '${period}' (expected: ${Object.keys(REPORT_PERIODS).join(', ')})`);
+  }
+  const state = await loadState(account);
+  return buildReport(account, state, period, getClock(account).now());
+}
+
+/**
+ * Append a sent report to SMS_REPORT_CSV_FILE, starting a new file with a header row
+ */
+function appendReportCsv(account, report) {
+  const { csvFile } = REPORT_CONFIG;
+  if (!csvFile) {
+    return;
+  }
+  try {
+    fs.appendFileSync(csvFile, formatReportCsv([report], { header: !fs.existsSync(csvFile) }));
+  } catch (error) {
+    log(`Error writing report CSV file: ${error.message}`, 'ERROR', account, { event: 'report-csv-failed' });
+  }
+}
+
+/**
+ * Send the daily and weekly reports whose time has come round since the
+ * previous one. The first time an account is reported on, its counters are
+ * only noted, so the first report covers the time since. Reports wait while
+ * a maintenance window is active, and failed ones are retried after the
+ * next check.
+ */
+async function sendScheduledReports(account) {
+  const periods = Object.keys(REPORT_PERIODS).filter(period => account.schedule.reports[period]);
+  if (periods.length === 0) {
+    return;
+  }
+
+  const now = getClock(account).now();
+  const state = await loadState(account);
+  const counters = { time: now, totalChecks: state.totalChecks, totalNotifications: state.totalNotifications };
+  let changed = false;
+
+  for (const period of periods) {
+    const last = state.lastReports[period];
+    if (!last) {
+      state.lastReports = { ...state.lastReports, [period]: counters };
+      changed = true;
+      continue;
+    }
+    const due = getLastOccurrence(account.schedule.reports[period], now, account.schedule.timeZone) > last.time;
+    if (!due || getActiveMaintenance(account, state, now)) {
+      continue;
+    }
+
+    try {
+      const report = buildReport(account, state, period, now);
+      const delivery = await deliverAlert(account, account.reportNotifiers, {
+        account: account.name,
+        type: 'report',
+        balance: report.closingBalance,
+        threshold: account.monitor.threshold,
+        details: { report },
+        timestamp: now
+      });
+
+      if (delivery.channels.length === 0) {
+        throw new Error('No alert channel delivered the report, including fallbacks');
+      }
+
+      state.lastReports = { ...state.lastReports, [period]: counters };
+      changed = true;
+      appendReportCsv(account, report);
+
+      log(`${period === 'daily' ? 'Daily' : 'Weekly'} report sent via ${delivery.channels.join(', ')}. Consumed: ${report.consumed}, Balance: ${report.closingBalance}`, 'INFO', account, {
+        event: 'report-sent',
+        period,
+        channels: delivery.channels
+      });
+      const { account: name, ...data } = report;
+      emitEvent(account, 'report', { ...data, channels: delivery.channels });
+    } catch (error) {
+      log(`Failed to send ${period} report: ${error.message}`, 'ERROR', account, { event: 'report-failed', period });
+    }
+  }
+
+  if (changed) {
+    await saveState(account, state);
+  }
+}
+
+// ============================================================================
+// MAIN MONITORING LOGIC
+// ============================================================================
+
+/**
+ * Check an account's SMS balance and handle alerts
+ */
+async function checkSMSBalance(account) {
+  const state = await loadState(account);
+  state.totalChecks++;
+  state.lastCheckTime = getClock(account).now();
+  await saveState(account, state);
+
+  const labels = { account: account.name, provider: account.provider.getName() };
+  const startedAt = process.hrtime.bigint();
+  const observeDuration = () => checkDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+
+  try {
+    // Use SMS provider to check balance
+    let balance;
+    try {
+      balance = await account.provider.checkBalance();
+    } finally {
+      observeDuration();
+    }
+    log(`Balance check: ${balance} (Threshold: ${account.monitor.threshold})`, 'INFO', account, { event: 'check', balance, threshold: account.monitor.threshold });
+
+    // A provider returning something other than a number (e.g. NaN) must not pass for a healthy balance
+    if (Number.isFinite(balance)) {
+      balanceGauge.set(labels, balance);
+      const tier = getTier(account, balance);
+      emitEvent(account, 'check', {
+        balance,
+        threshold: account.monitor.threshold,
+        tier: tier ? tier.name : null,
+        time: state.lastCheckTime
+      });
+
+      // Readings and state are kept up to date during maintenance, but nothing is sent
+      const maintenance = getActiveMaintenance(account, state, state.lastCheckTime);
+      if (maintenance) {
+        log(`Maintenance window active (${describeWindow(maintenance)}), alerts suppressed`, 'INFO', account, { event: 'maintenance-active', balance });
+      }
+      const topUp = detectTopUp(account, state.lastBalance, balance, state.lastCheckTime);
+      if (topUp) {
+        state.lastTopUp = topUp;
+      }
+      state.lastBalance = balance;
+      state.lastSuccessfulCheckTime = getClock(account).now();
+      const failureEpisode = clearCheckFailures(state);
+      await saveState(account, state);
+
+      recordReading(account, balance, state.lastCheckTime);
+      if (topUp) {
+        recordTopUp(account, topUp);
+      }
+      const prediction = getForecast(account, balance, state.lastCheckTime);
+      if (prediction) {
+        log(`Forecast: ${describeForecast(prediction)}`, 'INFO', account, {
+          event: 'forecast',
+          balance,
+          rate: prediction.rate,
+          timeToZero: prediction.timeToZero
+        });
+      }
+
+      const { forecastHorizon } = account.monitor;
+      const depletingSoon = forecastHorizon > 0 && prediction &&
+        prediction.timeToZero !== null && prediction.timeToZero <= forecastHorizon;
+
+      let recoveredFromTier = null;
+
+      if (balance <= account.monitor.threshold) {
+        emitEvent(account, 'low-balance', { balance, tier: tier.name, threshold: tier.threshold });
+        if (!maintenance) {
+          await alertLowSMSBalance(account, balance, prediction);
+        } else {
+          emitEvent(account, 'alert-skipped', { balance, reason: `Maintenance window (${describeWindow(maintenance)})` });
+        }
+      } else {
+        // Forecast alerts start over once the projection leaves the horizon
+        if (!depletingSoon) {
+          state.forecastNotificationCount = 0;
+        }
+
+        // Reset consecutive count when balance is above threshold
+        if (state.consecutiveNotificationCount > 0) {
+          log(`Balance recovered (${balance}). Resetting notification count.`, 'INFO', account, { event: 'recovered', balance });
+          // State from before tiers existed has a count but no tier
+          recoveredFromTier = state.currentTier || account.monitor.tiers[0].name;
+          state.consecutiveNotificationCount = 0;
+          state.currentTier = null;
+          state.lowBalanceSince = null;
+          state.lastKnownBalance = balance;
+          await saveState(account, state);
+          emitEvent(account, 'recovered', { balance, tier: recoveredFromTier });
+        } else {
+          // Update last known balance even when above threshold
+          state.lastKnownBalance = balance;
+          await saveState(account, state);
+        }
+
+        if (depletingSoon && !maintenance) {
+          await alertForecastDepletion(account, balance, prediction);
+        }
+      }
+
+      if (topUp && account.monitor.notifyOnTopUp && !maintenance) {
+        await notifyTopUp(account, topUp);
+      }
+      if (recoveredFromTier && account.monitor.notifyOnRecovery && !maintenance) {
+        await notifyBalanceRecovered(account, balance, recoveredFromTier);
+      }
+      if (failureEpisode && !maintenance) {
+        await notifyMonitoringRecovered(account, balance, failureEpisode);
+      }
+    } else {
+      checkFailuresCounter.inc({ ...labels, error_type: 'parse' });
+      log(`Warning: Received no numeric balance (${balance})`, 'WARN', account, { event: 'check-failed' });
+      const error = new Error(`Received no numeric balance (${balance})`);
+      await recordCheckFailure(account, error);
+      emitError(account, error, 'parse');
+    }
+  } catch (error) {
+    // State that could not be saved is not a failed balance check: the check stops (see runCheck)
+    if (error.type === 'state') {
+      throw error;
+    }
+    const errorType = getErrorType(error);
+    checkFailuresCounter.inc({ ...labels, error_type: errorType });
+    log(`SMS Balance check failed: ${error.message}`, 'ERROR', account, {
+      event: 'check-failed',
+      errorType,
+      ...(error.attempts && { attempts: error.attempts })
+    });
+    // Don't exit on error, continue monitoring, but alert if checks keep failing
+    await recordCheckFailure(account, error);
+    emitError(account, error, errorType);
+  }
+}
+
+/**
+ * Run a balance check, then send any quiet hours summary and balance reports
+ * that are due and poll the delivery status of recent alert SMS, under the
+ * account's state lock. Joins the check already in progress for the account (e.g. when an
+ * on-demand check overlaps a scheduled one).
+ */
+function runCheck(account) {
+  if (!account.pendingCheck) {
+    account.pendingCheck = withStateLock(account, async () => {
+      await checkSMSBalance(account);
+      await sendQuietHoursSummary(account);
+      await sendScheduledReports(account);
+      await pollDeliveryStatus(account);
+    })
+      .catch((error) => {
+        // Without readable state a check could re-send alerts, so it is skipped, and
+        // one whose state cannot be saved stops, as another instance may hold the lock
+        log(`Balance check skipped: ${error.message}`, 'ERROR', account, { event: 'check-skipped' });
+        emitError(account, error, 'state');
+      })
+      .finally(() => {
+        account.pendingCheck = null;
+      });
+  }
+  return account.pendingCheck;
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * Build an account's status from its state
+ */
+async function getAccountStatus(account) {
+  const now = getClock(account).now();
+  const state = await loadState(account);
+  const tier = state.lastBalance !== null ? getTier(account, state.lastBalance) : null;
+  const maintenance = getActiveMaintenance(account, state, now);
+
+  return {
+    provider: account.provider.getName(),
+    circuit: account.provider.getCircuitState(),
+    balance: state.lastBalance,
+    threshold: account.monitor.threshold,
+    tier: tier ? tier.name : null,
+    lastCheckTime: state.lastCheckTime,
+    lastSuccessfulCheckTime: state.lastSuccessfulCheckTime,
+    lastNotificationTime: state.lastNotificationTime,
+    consecutiveNotificationCount: state.consecutiveNotificationCount,
+    totalChecks: state.totalChecks,
+    totalNotifications: state.totalNotifications,
+    lastAlertDelivery: state.lastAlertDelivery,
+    lastTopUp: state.lastTopUp,
+    consecutiveCheckFailures: state.consecutiveCheckFailures,
+    lastCheckError: state.lastCheckError,
+    monitoringDegraded: isDegraded(account, state, now),
+    checkInterval: getCheckInterval(account, now),
+    quietHours: isQuietHours(account, now),
+    deferredAlerts: state.deferredAlerts.length,
+    maintenance: maintenance ? describeWindow(maintenance) : null,
+    lowBalanceSince: state.currentTier !== null ? state.lowBalanceSince : null,
+    acknowledged: isAcknowledged(state),
+    acknowledgement: state.acknowledgement,
+    alertMessages: countAlertMessages(state)
+  };
+}
+
+/**
+ * Count the tracked alert SMS of the latest low-balance episode by delivery status
+ */
+function countAlertMessages(state) {
+  const counts = { pending: 0, delivered: 0, failed: 0 };
+  state.alertDeliveries.forEach(alert => alert.messages.forEach(message => {
+    counts[message.status]++;
+  }));
+  return counts;
+}
+
+/**
+ * Report whether an account's last successful check is recent enough
+ */
+async function getAccountHealth(account) {
+  const state = await loadState(account);
+  const { checkInterval, offHoursCheckInterval } = account.monitor;
+  const maxCheckAge = STATUS_API_CONFIG.maxCheckAge || Math.max(checkInterval, offHoursCheckInterval || 0) * 3;
+  const age = state.lastSuccessfulCheckTime ? getClock(account).now() - state.lastSuccessfulCheckTime : null;
+
+  return {
+    ok: age !== null && age <= maxCheckAge,
+    lastSuccessfulCheckAge: age,
+    consecutiveCheckFailures: state.consecutiveCheckFailures,
+    maxCheckAge
+  };
+}
+
+/**
+ * Refresh the metrics that mirror persisted state
+ */
+async function collectStateMetrics(accounts) {
+  await Promise.all(accounts.map(async account => {
+    const state = await loadState(account);
+    const labels = { account: account.name };
+    thresholdGauge.set(labels, account.monitor.threshold);
+    checksCounter.set(labels, state.totalChecks);
+    notificationsCounter.set(labels, state.totalNotifications);
+    checkFailureStreakGauge.set(labels, state.consecutiveCheckFailures);
+    circuitOpenGauge.set(labels, account.provider.getCircuitState().state === 'closed' ? 0 : 1);
+  }));
+}
+
+module.exports = {
+  history,
+  metrics,
+  initializeAccounts,
+  getErrorType,
+  getForecast,
+  describeForecast,
+  getTier,
+  getTierRank,
+  shouldSendNotification,
+  getSkipReason,
+  deliverAlert,
+  getCheckInterval,
+  getMaintenanceWindows,
+  addMaintenanceWindow,
+  removeMaintenanceWindows,
+  acknowledgeAlert,
+  verifyAcknowledgementLink,
+  recordDeliveryReceipt,
+  acknowledgeByReply,
+  getBalanceReport,
+  checkSMSBalance,
+  runCheck,
+  getAccountStatus,
+  getAccountHealth,
+  collectStateMetrics
+};
@@ -0,0 +1,191 @@
+/**
+ * Configuration Reload
+ *
+ * Re-reads the configuration (the environment, the env files and the files
+ * they point to) while the monitor runs, and swaps each account's thresholds,
+ * recipients, channels and provider in place. State is left untouched.
+ * Settings of the process itself (state store, status API, log file, history)
+ * are only read at startup and still need a restart.
+ */
+
+const providerRegistry = require('../providers/provider-registry');
+const { initializeAccounts } = require('./monitor');
+const { log, reconfigureLogger } = require('./logger');
+const { withStateLock } = require('./state');
+const { REDACTED, isSecretKey } = require('./redact');
+
+const CONFIG_PATH = require.resolve('../config');
+
+// The configuration in effect: the one loaded at startup until the first reload
+let activeConfig = require('../config');
+
+// Runtime account fields rebuilt from the configuration; the rest (timer, pending check) is kept
+const SWAPPED_FIELDS = ['provider', 'tierNotifiers', 'topUpNotifiers', 'reportNotifiers', 'monitor', 'alert', 'schedule'];
+
+// Settings only applied at startup
+const STARTUP_SETTINGS = ['FILE_PATHS', 'STATE_STORE_CONFIG', 'HISTORY_CONFIG', 'REPORT_CONFIG', 'STATUS_API_CONFIG', 'ACKNOWLEDGEMENT_CONFIG', 'DELIVERY_STATUS_CONFIG', 'RELOAD_CONFIG'];
+
+// Longest value shown in a change log line
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Load a fresh copy of the configuration module and validate it. Variables
+ * the env files set are dropped first, so edited files take effect with the
+ * same precedence as at startup. Modules holding the startup configuration
+ * keep it.
+ * @returns {Object} The configuration module and its validation warnings
+ * @throws {Error} If the configuration cannot be loaded or is invalid
+ */
+function readConfig() {
+  activeConfig.ENV_FILE_KEYS.forEach(key => {
+    delete process.env[key];
+  });
+
+  const cached = require.cache[CONFIG_PATH];
+  delete require.cache[CONFIG_PATH];
+  try {
+    const config = require(CONFIG_PATH);
+    const { warnings } = config.validateConfig();
+    return { config, warnings };
+  } finally {
+    require.cache[CONFIG_PATH] = cached;
+  }
+}
+
+/**
+ * Put the environment back as it was before a failed reload
+ */
+function restoreEnv(env) {
+  Object.keys(process.env).forEach(key => {
+    if (!(key in env)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, env);
+}
+
+/**
+ * Flatten a value into { 'a.b.c': leaf } entries. Arrays are compared whole.
+ */
+function flatten(value, prefix, leaves = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, leaves));
+  } else {
+    leaves[prefix] = value;
+  }
+  return leaves;
+}
+
+/**
+ * Show a changed value in a log line, hiding secrets
+ */
+function describeValue(key, value) {
+  if (value === undefined) {
+    return '(unset)';
+  }
+  if (key.split('.').some(isSecretKey)) {
+    return REDACTED;
+  }
+  const text = JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : text;
+}
+
+/**
+ * List the settings that differ between two configurations
+ * @returns {Object[]} Changes: path, from and to (as shown in logs)
+ */
+function diffConfig(before, after, prefix = '') {
+  const old = flatten(before, prefix);
+  const current = flatten(after, prefix);
+
+  return [...new Set([...Object.keys(old), ...Object.keys(current)])]
+    .filter(key => JSON.stringify(old[key]) !== JSON.stringify(current[key]))
+    .map(key => ({ path: key, from: describeValue(key, old[key]), to: describeValue(key, current[key]) }));
+}
+
+/**
+ * Reload the configuration and apply it to the running accounts. The new
+ * configuration is validated and every provider and channel is created
+ * before anything is swapped, so a bad edit leaves the monitor as it was.
+ * @param {Object[]} accounts - Runtime accounts; changed ones are updated in place
+ * @param {Object} [options] - Passed to initializeAccounts (e.g. a provider to use)
+ * @returns {Promise<Object>} added and removed runtime accounts (for the caller
+ *   to start and stop) and the number of changes
+ * @throws {Error} If the new configuration is invalid
+ */
+async function reloadConfig(accounts, options = {}) {
+  const env = { ...process.env };
+  let config;
+  let warnings;
+  let fresh;
+  try {
+    ({ config, warnings } = readConfig());
+    providerRegistry.clearCache();
+    fresh = initializeAccounts(config.ACCOUNTS, options);
+  } catch (error) {
+    restoreEnv(env);
+    throw error;
+  }
+
+  reconfigureLogger(config);
+  warnings.forEach(warning => {
+    log(`Config warning: ${warning}`, 'WARN', null, { event: 'config-warning' });
+  });
+  let changes = 0;
+
+  const { level: oldLevel, ...oldLogConfig } = activeConfig.LOG_CONFIG;
+  const { level: newLevel, ...newLogConfig } = config.LOG_CONFIG;
+  if (oldLevel !== newLevel) {
+    log(`Config changed: LOG_CONFIG.level: ${oldLevel} -> ${newLevel}`, 'INFO', null, { event: 'config-changed', path: 'LOG_CONFIG.level' });
+    changes++;
+  }
+  const startupChanges = [
+    ...diffConfig(oldLogConfig, newLogConfig, 'LOG_CONFIG'),
+    ...STARTUP_SETTINGS.flatMap(name => diffConfig(activeConfig[name], config[name], name))
+  ];
+  startupChanges.forEach(change => {
+    log(`Config changed: ${change.path}: ${change.from} -> ${change.to} (applies after a restart)`, 'WARN', null, { event: 'config-restart-required', path: change.path });
+  });
+
+  const added = [];
+  for (const [index, next] of fresh.entries()) {
+    const account = accounts.find(candidate => candidate.name === next.name);
+    if (!account) {
+      added.push(next);
+      log(`Account added: ${next.name}`, 'INFO', null, { event: 'config-changed', path: 'accounts' });
+      changes++;
+      continue;
+    }
+
+    const before = activeConfig.ACCOUNTS.find(candidate => candidate.name === next.name);
+    const accountChanges = diffConfig(before, config.ACCOUNTS[index]);
+    if (accountChanges.length === 0) {
+      continue;
+    }
+
+    // Wait for a check in progress, so it runs with one configuration throughout
+    await withStateLock(account, async () => {
+      SWAPPED_FIELDS.forEach(field => {
+        account[field] = next[field];
+      });
+    });
+    accountChanges.forEach(change => {
+      log(`Config changed: ${change.path}: ${change.from} -> ${change.to}`, 'INFO', account, { event: 'config-changed', path: change.path });
+    });
+    changes += accountChanges.length;
+  }
+
+  const removed = accounts.filter(account => !fresh.some(next => next.name === account.name));
+  removed.forEach(account => {
+    log(`Account removed: ${account.name}`, 'INFO', null, { event: 'config-changed', path: 'accounts' });
+    changes++;
+  });
+
+  activeConfig = config;
+  return { added, removed, changes, restartRequired: startupChanges.length };
+}
+
+module.exports = {
+  reloadConfig,
+  diffConfig
+};
@@ -0,0 +1,199 @@
+/**
+ * Schedules
+ *
+ * Time windows used for quiet hours, business hours and maintenance, checked
+ * in a configurable time zone. A window is either recurring or one-off:
+ *
+ *   "22:00-07:00"                   Every day (a window past midnight ends the next day)
+ *   "mon-fri 08:00-18:00"           Weekdays only
+ *   "sat,sun 00:00-24:00"           All weekend
+ *   "2026-11-02T22:00Z/2026-11-03T02:00Z"  One-off, between two ISO 8601 times
+ *
+ * Several windows are separated by semicolons. In an accounts file, windows can
+ * also be given as an array of these strings or of { start, end, reason } objects.
+ *
+ * Scheduled reports go out at a time of day, optionally on some days only:
+ * "08:00" (every day) or "mon 08:00" (every Monday).
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTE = 60 * 1000;
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2]) : NaN;
+  if (!match || parseInt(match[2]) > 59 || minutes > MINUTES_PER_DAY) {
+    throw new Error(`Invalid time of day '${text}' (expected HH:MM)`);
+  }
+  return minutes;
+}
+
+/**
+ * Parse a day list such as "mon-fri" or "sat,sun" into day indexes (0 = Sunday)
+ */
+function parseDays(text) {
+  const days = new Set();
+  text.toLowerCase().split(',').forEach(part => {
+    const [from, to = from] = part.split('-').map(day => DAYS.indexOf(day.trim().slice(0, 3)));
+    if (from === -1 || to === -1) {
+      throw new Error(`Invalid days '${text}' (expected e.g. mon-fri or sat,sun)`);
+    }
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  });
+  return days;
+}
+
+/**
+ * Parse a one-off window between two ISO 8601 times
+ */
+function parseOneOffWindow(startText, endText, reason = null) {
+  const start = Date.parse(startText);
+  const end = Date.parse(endText);
+  if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+    throw new Error(`Invalid window '${startText}/${endText}' (expected an ISO 8601 start and a later end)`);
+  }
+  return { spec: `${startText}/${endText}`, recurring: false, start, end, reason };
+}
+
+/**
+ * Parse one window
+ * @param {string|Object} spec - Window string, or { start, end, reason } for a one-off window
+ * @returns {Object} Recurring ({ spec, recurring: true, days, start, end } in minutes since midnight)
+ *   or one-off ({ spec, recurring: false, start, end, reason } in ms since epoch)
+ * @throws {Error} If the window cannot be parsed
+ */
+function parseWindow(spec) {
+  if (typeof spec === 'object' && spec !== null) {
+    return parseOneOffWindow(spec.start, spec.end, spec.reason);
+  }
+
+  const text = String(spec).trim();
+  if (text.includes('/')) {
+    const [start, end] = text.split('/');
+    return parseOneOffWindow(start, end);
+  }
+
+  const match = /^(?:([a-z,\- ]+?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/i.exec(text);
+  if (!match) {
+    throw new Error(`Invalid window '${text}' (expected e.g. "22:00-07:00", "mon-fri 08:00-18:00" or "<start>/<end>")`);
+  }
+  return {
+    spec: text,
+    recurring: true,
+    days: match[1] ? parseDays(match[1]) : null,
+    start: parseTimeOfDay(match[2]),
+    end: parseTimeOfDay(match[3])
+  };
+}
+
+/**
+ * Parse a list of windows
+ * @param {string|Array|null} value - Semicolon-separated windows, or an array of windows
+ * @returns {Object[]} Parsed windows
+ * @throws {Error} If any window cannot be parsed
+ */
+function parseWindows(value) {
+  if (!value) {
+    return [];
+  }
+  const specs = Array.isArray(value) ? value : String(value).split(';').filter(part => part.trim());
+  return specs.map(parseWindow);
+}
+
+/**
+ * Parse a time of day, optionally limited to some days
+ * @param {string} spec - e.g. "08:00", "mon 08:00" or "mon-fri 17:30"
+ * @returns {Object} { spec, days (null for every day), minutes since midnight }
+ * @throws {Error} If the time cannot be parsed
+ */
+function parseTimeSlot(spec) {
+  const text = String(spec).trim();
+  const match = /^(?:([a-z,\- ]+?)\s+)?(\d{1,2}:\d{2})$/i.exec(text);
+  if (!match) {
+    throw new Error(`Invalid time '${text}' (expected e.g. "08:00" or "mon 08:00")`);
+  }
+  const minutes = parseTimeOfDay(match[2]);
+  if (minutes === MINUTES_PER_DAY) {
+    throw new Error(`Invalid time '${text}' (use 00:00 rather than 24:00)`);
+  }
+  return { spec: text, days: match[1] ? parseDays(match[1]) : null, minutes };
+}
+
+/**
+ * Get the day of the week and minutes since midnight of a time in a time zone
+ * @param {number} time - ms since epoch
+ * @param {string} [timeZone] - IANA time zone (default: system)
+ */
+function getLocalTime(time, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(time)
+    .forEach(part => { parts[part.type] = part.value; });
+  return {
+    day: DAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+/**
+ * Whether a time falls inside a window
+ */
+function isInWindow(window, time, timeZone) {
+  if (!window.recurring) {
+    return time >= window.start && time < window.end;
+  }
+
+  const { day, minutes } = getLocalTime(time, timeZone);
+  const onDay = candidate => !window.days || window.days.has(candidate);
+
+  if (window.start <= window.end) {
+    return onDay(day) && minutes >= window.start && minutes < window.end;
+  }
+  // Past midnight: the evening part belongs to the listed day, the morning part to the day after
+  return (onDay(day) && minutes >= window.start) || (onDay((day + 6) % 7) && minutes < window.end);
+}
+
+/**
+ * Find the first window a time falls inside
+ * @param {Object[]} windows - Parsed windows
+ * @param {number} time - ms since epoch
+ * @param {string} [timeZone] - IANA time zone for recurring windows
+ * @returns {Object|null} The matching window, or null
+ */
+function findActiveWindow(windows, time, timeZone) {
+  return windows.find(window => isInWindow(window, time, timeZone)) || null;
+}
+
+/**
+ * Find the last time a time slot came round, at or before a given time
+ * @param {Object} slot - Parsed time slot (see parseTimeSlot)
+ * @param {number} time - ms since epoch
+ * @param {string} [timeZone] - IANA time zone (default: system)
+ * @returns {number} ms since epoch
+ */
+function getLastOccurrence(slot, time, timeZone) {
+  let candidate = time - (time % MINUTE);
+  const { minutes } = getLocalTime(candidate, timeZone);
+  candidate -= ((minutes - slot.minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY) * MINUTE;
+  for (let day = 0; day < 7 && slot.days && !slot.days.has(getLocalTime(candidate, timeZone).day); day++) {
+    candidate -= MINUTES_PER_DAY * MINUTE;
+  }
+  return candidate;
+}
+
+module.exports = {
+  parseWindow,
+  parseWindows,
+  getLocalTime,
+  isInWindow,
+  findActiveWindow,
+  parseTimeSlot,
+  getLastOccurrence
+};
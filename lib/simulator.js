@@ -0,0 +1,119 @@
+/**
+ * Simulator
+ *
+ * Runs an account's alert rules against a scripted balance on a simulated
+ * clock: a MockProvider reads the balance, state and history stay in memory,
+ * and every alert goes to the mock as SMS instead of the account's channels.
+ * Days of checks, cooldowns and retries take a moment, so thresholds and
+ * notification settings can be tried out, or asserted in a test:
+ *
+ *   const { simulate } = require('./lib/simulator');
+ *   const { messages } = await simulate({
+ *     account: { monitor: { threshold: 700, notificationCooldown: '30m' } },
+ *     provider: { balances: [900, 500, 480, 450, 900] }
+ *   });
+ *
+ * Log lines still go to the logger; configureLogger({ console: null, file: false })
+ * keeps them out of the console and the log file.
+ */
+
+const BalanceMonitor = require('./balance-monitor');
+const { SimulatedClock } = require('./clock');
+const { getAccountStatus } = require('./monitor');
+const MockProvider = require('../providers/mock');
+const MemoryStateStore = require('../state/memory-state-store');
+const MemoryHistory = require('../history/memory-history');
+
+// Simulated time run without a balance script
+const DEFAULT_DURATION = 24 * 60 * 60 * 1000;
+
+const RECORDED_EVENTS = ['check', 'low-balance', 'alert-sent', 'alert-skipped', 'alert-failed', 'recovered', 'report'];
+
+/**
+ * Route every alert of an account definition to the mock provider as SMS
+ */
+function toSimulatedAccount(account, providerConfig) {
+  const monitor = { ...account.monitor };
+  if (monitor.tiers) {
+    monitor.tiers = monitor.tiers.map(({ channels, ...tier }) => tier);
+  }
+  return {
+    ...account,
+    provider: 'mock',
+    providerConfig,
+    monitor,
+    alert: { ...account.alert, channels: [{ type: 'sms' }], fallbackChannels: [], topUpChannels: null, reportChannels: null }
+  };
+}
+
+/**
+ * Run a simulation
+ * @param {Object} options
+ * @param {Object} [options.account] - Account definition, as in an accounts file (default:
+ *   the settings from the environment). Its channels are replaced by SMS through the mock.
+ * @param {Object} options.provider - MockProvider configuration: balances, or startBalance
+ *   and consumptionRate (see providers/mock.js)
+ * @param {number} [options.duration] - Simulated time to run (default: until each scripted
+ *   balance has been read once, or one day)
+ * @param {number} [options.start] - Simulated start time (ms since epoch, default: now)
+ * @returns {Promise<Object>} account, start, end, checks (balance reads), events ({ time,
+ *   event, ...data } in order), messages (sent SMS, see MockProvider) and status (the
+ *   account's final status, see getAccountStatus)
+ * @throws {Error} If the account or the provider configuration is invalid
+ */
+async function simulate({ account = {}, provider, duration = null, start = Date.now() }) {
+  const clock = new SimulatedClock(start);
+  const mock = new MockProvider(provider, { clock });
+  const monitor = new BalanceMonitor({
+    accounts: [toSimulatedAccount(account, provider)],
+    provider: mock,
+    stateStore: new MemoryStateStore(),
+    history: new MemoryHistory(),
+    clock
+  });
+  const [runtimeAccount] = monitor.accounts;
+
+  const events = [];
+  RECORDED_EVENTS.forEach(event => {
+    monitor.on(event, data => events.push({ time: clock.now(), event, ...data }));
+  });
+  monitor.on('error', (error, { account: name, errorType }) => {
+    events.push({ time: clock.now(), event: 'error', account: name, errorType, error: error.message });
+  });
+
+  const runFor = duration !== null
+    ? duration
+    : mock.script.length > 0
+      ? (mock.script.length - 1) * runtimeAccount.monitor.checkInterval
+      : DEFAULT_DURATION;
+
+  const started = monitor.start();
+  await clock.advance(runFor);
+  const end = clock.now();
+  const status = await getAccountStatus(runtimeAccount);
+
+  // A check stopped mid-way may still be waiting on the clock, e.g. to retry an alert
+  let stopped = false;
+  const stopping = monitor.stop().then(() => {
+    stopped = true;
+  });
+  while (!stopped && clock.hasTimers()) {
+    await clock.advance(runtimeAccount.monitor.checkInterval);
+  }
+  await stopping;
+  await started;
+
+  return {
+    account: runtimeAccount.name,
+    start,
+    end,
+    checks: mock.balanceChecks,
+    events,
+    messages: mock.sentMessages,
+    status
+  };
+}
+
+module.exports = {
+  simulate
+};
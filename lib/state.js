@@ -0,0 +1,147 @@
+const { ACCOUNTS, STATE_STORE_CONFIG } = require('../config');
+const { createStateStore } = require('../state');
+const { log } = require('./logger');
+
+// Default state
+const defaultState = {
+  lastNotificationTime: null,
+  consecutiveNotificationCount: 0,
+  lastKnownBalance: null,
+  lastCheckTime: null,
+  lastBalance: null,
+  lastSuccessfulCheckTime: null,
+  totalChecks: 0,
+  totalNotifications: 0,
+  lastAlertDelivery: null,
+  currentTier: null,
+  forecastNotificationCount: 0,
+  lastForecastNotificationTime: null,
+  consecutiveCheckFailures: 0,
+  firstCheckFailureTime: null,
+  lastCheckError: null,
+  degradedNotificationCount: 0,
+  lastDegradedNotificationTime: null,
+  lastRecoveryNotificationTime: null,
+  lastTopUp: null,
+  deferredAlerts: [],
+  maintenanceWindows: [],
+  lowBalanceSince: null,
+  acknowledgement: null,
+  alertDeliveries: [],
+  lastReports: { daily: null, weekly: null }
+};
+
+// The configured store, created and initialized on first use
+let storePromise = null;
+
+// Stores given to a BalanceMonitor instead, by store, initialized on first use
+const givenStores = new WeakMap();
+
+/**
+ * Get the initialized state store of an account: the one it was given
+ * (account.stateStore), or else the configured one
+ * @param {Object} [account] - Runtime account
+ * @returns {Promise<BaseStateStore>}
+ */
+function getStore(account = null) {
+  const given = account && account.stateStore;
+  if (given) {
+    if (!givenStores.has(given)) {
+      const ready = given.init().then(() => given);
+      givenStores.set(given, ready);
+      ready.catch(() => givenStores.delete(given));
+    }
+    return givenStores.get(given);
+  }
+
+  if (!storePromise) {
+    const store = createStateStore(STATE_STORE_CONFIG, { defaultAccount: ACCOUNTS[0].name, log });
+    storePromise = store.init().then(() => store);
+    // Let a later call retry, e.g. once Redis is reachable again
+    storePromise.catch(() => {
+      storePromise = null;
+    });
+  }
+  return storePromise;
+}
+
+/**
+ * Initialize the state store up front, so older state is migrated and a
+ * misconfigured store fails at startup rather than on the first check
+ * @param {Object} [account] - Open the store of this account (default: the configured store)
+ * @returns {Promise<BaseStateStore>}
+ */
+function openState(account = null) {
+  return getStore(account);
+}
+
+/**
+ * Load an account's state.
+ * Unreadable state is an error rather than a silent reset to the defaults,
+ * which would restart notification counting and could re-alert admins.
+ * @throws {Error} If the store cannot be read
+ */
+async function loadState(account) {
+  const store = await getStore(account);
+  const state = await store.load(account.name);
+  // Merge with default state to handle missing properties
+  return { ...defaultState, ...state };
+}
+
+/**
+ * Save an account's state, leaving other accounts untouched.
+ * A failed save is an error rather than a warning: going on with state that
+ * was not persisted (e.g. after the Redis lock was lost to another instance)
+ * could re-alert admins.
+ * @throws {Error} Of type 'state', if the store cannot be written
+ */
+async function saveState(account, state) {
+  const store = await getStore(account);
+  try {
+    await store.save(account.name, state);
+  } catch (error) {
+    error.message = `Error saving state: ${error.message}`;
+    error.type = 'state';
+    throw error;
+  }
+}
+
+/**
+ * Run fn while holding the account's state lock, so concurrent checks (from
+ * this or another instance sharing the store) do not interleave
+ */
+async function withStateLock(account, fn) {
+  const store = await getStore(account);
+  return store.withLock(account.name, fn);
+}
+
+/**
+ * Reset an account's state to the defaults
+ */
+async function resetState(account) {
+  const store = await getStore(account);
+  await store.withLock(account.name, () => store.save(account.name, { ...defaultState }));
+}
+
+/**
+ * Close the state store's connections
+ */
+async function closeState() {
+  if (storePromise) {
+    const store = await storePromise.catch(() => null);
+    storePromise = null;
+    if (store) {
+      await store.close();
+    }
+  }
+}
+
+module.exports = {
+  defaultState,
+  openState,
+  loadState,
+  saveState,
+  withStateLock,
+  resetState,
+  closeState
+};
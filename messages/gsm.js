@@ -0,0 +1,148 @@
+/**
+ * SMS Encoding and Segments
+ *
+ * An SMS is sent as GSM-7 when every character is in the GSM 03.38 alphabet
+ * (160 characters per single message, 153 per part of a multi-part message),
+ * and as UCS-2 otherwise (70, or 67 per part). A single character outside
+ * GSM-7, such as a curly quote or the Twi letters ɛ and ɔ, switches the whole
+ * message to UCS-2, so these helpers count segments and can transliterate
+ * text to GSM-7 to keep alerts short.
+ */
+
+// GSM 03.38 basic character set
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// Extension table characters, each sent as an escape plus the character (2 septets)
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+const GSM_CHARS = new Set([...GSM_BASIC, ...GSM_EXTENDED]);
+
+// Replacements that lose nothing a reader would notice
+const TYPOGRAPHIC_REPLACEMENTS = {
+  '\u00a0': ' ', '\u2007': ' ', '\u2009': ' ', '\u202f': ' ', // Non-breaking and thin spaces
+  '\u2018': "'", '\u2019': "'", '\u201a': "'", '\u2032': "'", // Curly quotes and primes
+  '\u201c': '"', '\u201d': '"', '\u201e': '"', '\u2033': '"', '\u00ab': '"', '\u00bb': '"',
+  '\u2013': '-', '\u2014': '-', '\u2212': '-', // Dashes and minus
+  '\u2026': '...' // Ellipsis
+};
+
+// Letters without a GSM-7 form or a decomposable accent
+const LETTER_REPLACEMENTS = {
+  'ɛ': 'e', 'Ɛ': 'E', 'ɔ': 'o', 'Ɔ': 'O', 'ŋ': 'ng', 'Ŋ': 'Ng',
+  'ç': 'c', 'œ': 'oe', 'Œ': 'OE'
+};
+
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, part: 153 },
+  'UCS-2': { single: 70, part: 67 }
+};
+
+/**
+ * Whether text can be sent with the GSM-7 alphabet
+ */
+function isGsm7(text) {
+  return [...text].every(char => GSM_CHARS.has(char));
+}
+
+/**
+ * Length of a character in its encoding's units (septets or UTF-16 code units)
+ */
+function charLength(char, encoding) {
+  if (encoding === 'GSM-7') {
+    return GSM_EXTENDED.includes(char) ? 2 : 1;
+  }
+  return char.length;
+}
+
+/**
+ * Count how an SMS would be encoded and split
+ * @param {string} text - Message text
+ * @returns {Object} encoding ('GSM-7' or 'UCS-2'), length (in that encoding's units) and segments
+ */
+function countSegments(text) {
+  const encoding = isGsm7(text) ? 'GSM-7' : 'UCS-2';
+  const length = [...text].reduce((total, char) => total + charLength(char, encoding), 0);
+  const limits = SEGMENT_LIMITS[encoding];
+  const segments = length <= limits.single ? 1 : Math.ceil(length / limits.part);
+  return { encoding, length, segments };
+}
+
+/**
+ * Replace typographic characters (curly quotes, dashes, special spaces) with
+ * their GSM-7 equivalents
+ */
+function normalizeTypography(text) {
+  return [...text].map(char => TYPOGRAPHIC_REPLACEMENTS[char] || char).join('');
+}
+
+/**
+ * Transliterate text to the GSM-7 alphabet: accents GSM-7 lacks are dropped
+ * (ê becomes e), letters such as ɛ and ɔ get their closest Latin form, and
+ * anything else becomes '?'
+ */
+function toGsm7(text) {
+  return [...normalizeTypography(text)].map(char => {
+    if (GSM_CHARS.has(char)) return char;
+    if (LETTER_REPLACEMENTS[char]) return LETTER_REPLACEMENTS[char];
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return base && isGsm7(base) ? base : '?';
+  }).join('');
+}
+
+/**
+ * Shorten text to fit in at most maxSegments segments, marking the cut with "..."
+ * @returns {Object} text and whether it was truncated
+ */
+function truncateToSegments(text, maxSegments) {
+  const { encoding, segments } = countSegments(text);
+  if (segments <= maxSegments) {
+    return { text, truncated: false };
+  }
+
+  const limits = SEGMENT_LIMITS[encoding];
+  const capacity = (maxSegments === 1 ? limits.single : limits.part * maxSegments) - 3;
+  let used = 0;
+  let result = '';
+  for (const char of text) {
+    used += charLength(char, encoding);
+    if (used > capacity) break;
+    result += char;
+  }
+  return { text: `${result.trimEnd()}...`, truncated: true };
+}
+
+/**
+ * Prepare alert text for SMS.
+ * 'auto' keeps the text's own characters when it fits in maxSegments and
+ * transliterates it to GSM-7 when it does not; 'gsm7' always transliterates;
+ * 'unicode' never does. Text that still does not fit
+ * is truncated.
+ * @param {string} text - Message text
+ * @param {Object} options
+ * @param {string} [options.encoding] - auto, gsm7 or unicode
+ * @param {number} [options.maxSegments] - Most segments to send
+ * @returns {Object} text, encoding, segments and whether it was transliterated or truncated
+ */
+function prepareSms(text, { encoding = 'auto', maxSegments = 2 } = {}) {
+  let prepared = encoding === 'unicode' ? text : normalizeTypography(text);
+  let transliterated = false;
+
+  if (encoding === 'gsm7' || (encoding === 'auto' && countSegments(prepared).segments > maxSegments)) {
+    const converted = toGsm7(prepared);
+    transliterated = converted !== prepared;
+    prepared = converted;
+  }
+
+  const { text: fitted, truncated } = truncateToSegments(prepared, maxSegments);
+  const { encoding: finalEncoding, segments } = countSegments(fitted);
+  return { text: fitted, encoding: finalEncoding, segments, transliterated, truncated };
+}
+
+module.exports = {
+  isGsm7,
+  countSegments,
+  toGsm7,
+  truncateToSegments,
+  prepareSms
+};
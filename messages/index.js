@@ -0,0 +1,230 @@
+/**
+ * Alert Messages
+ *
+ * Renders alerts from templates, per channel and locale. Every alert type
+ * has a subject plus a short `sms` template and a `full` template used by
+ * email, chat and webhook channels; a template named after a channel type
+ * (e.g. `slack`) takes precedence for that channel. SMS text is fitted to
+ * GSM-7 and a segment limit (see gsm.js).
+ *
+ * Placeholders: {{account}}, {{provider}}, {{tier}}, {{tierUpper}}, {{balance}},
+ * {{threshold}}, {{notificationNumber}}, {{timestamp}}, {{forecast}}, {{rate}},
+ * {{timeToThreshold}}, {{timeToZero}}, for check failure alerts
+ * {{failures}}, {{error}}, {{lastReading}} and {{downtime}}, for top-ups
+ * {{amount}} and {{previousBalance}}, for quiet hours summaries {{count}}
+ * and {{alerts}} (one line per held-back alert), and for low-balance alerts
+ * {{acknowledge}} (how to acknowledge: the reply keyword in SMS and the link,
+ * each on its own line, or empty when acknowledgement is off). Balance reports
+ * have {{period}}, {{start}}, {{end}}, {{openingBalance}}, {{closingBalance}},
+ * {{consumed}}, {{topUps}} (count), {{topUpAmount}}, {{averageDailyUsage}},
+ * {{daysRemaining}}, {{alertsSent}} and {{checks}}.
+ */
+
+const { formatDuration } = require('../history');
+const gsm = require('./gsm');
+
+const LOCALES = {
+  en: require('./locales/en'),
+  fr: require('./locales/fr'),
+  tw: require('./locales/tw')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Channel types sent the short template; every other channel gets the full one
+const SHORT_CHANNELS = ['sms'];
+
+/**
+ * Fill {{placeholders}} in a template. Unknown placeholders are left as-is
+ * so a typo shows up in the message.
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  );
+}
+
+/**
+ * Get the locale codes that have messages, built in or from custom templates
+ * @param {Object} [custom] - Custom templates by locale
+ * @returns {string[]} Locale codes
+ */
+function getAvailableLocales(custom = {}) {
+  return [...new Set([...Object.keys(LOCALES), ...Object.keys(custom)])];
+}
+
+/**
+ * Locale definitions to search, most specific first: custom then built-in
+ * messages for the locale, then the same for the default locale
+ */
+function getSources(locale, custom = {}) {
+  return [custom[locale], LOCALES[locale], custom[DEFAULT_LOCALE], LOCALES[DEFAULT_LOCALE]].filter(Boolean);
+}
+
+/**
+ * Find the first template for an alert type under any of the given keys
+ */
+function findTemplate(sources, type, keys) {
+  for (const source of sources) {
+    const templates = source.templates && source.templates[type];
+    const key = templates && keys.find(candidate => templates[candidate]);
+    if (key) {
+      return templates[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a phrase (e.g. the forecast summary) for a locale
+ */
+function findPhrase(sources, name) {
+  const source = sources.find(candidate => candidate.phrases && candidate.phrases[name]);
+  return source ? source.phrases[name] : '';
+}
+
+/**
+ * Describe how to acknowledge an alert: replying with the keyword (only a
+ * reply to an SMS reaches the provider) and the link
+ */
+function describeAcknowledge(acknowledge, sources, format) {
+  if (!acknowledge) {
+    return '';
+  }
+  const lines = [];
+  if (acknowledge.keyword && format === 'sms') {
+    lines.push(renderTemplate(findPhrase(sources, 'acknowledgeReply'), acknowledge));
+  }
+  if (acknowledge.url) {
+    lines.push(renderTemplate(findPhrase(sources, 'acknowledgeLink'), acknowledge));
+  }
+  return lines.map(line => `\n${line}`).join('');
+}
+
+/**
+ * Build the placeholder values of a balance report. Figures that are not
+ * known, e.g. usage without two readings, show as "n/a".
+ */
+function describeReport(report, sources, { formatNumber, dateFormat }) {
+  const figure = value => (value === null ? findPhrase(sources, 'notAvailable') : formatNumber(value));
+  return {
+    period: findPhrase(sources, `${report.period}Report`),
+    start: dateFormat.format(report.start),
+    end: dateFormat.format(report.end),
+    openingBalance: figure(report.openingBalance),
+    closingBalance: figure(report.closingBalance),
+    consumed: figure(report.consumed),
+    topUps: report.topUps,
+    topUpAmount: figure(report.topUpAmount),
+    averageDailyUsage: figure(report.averageDailyUsage),
+    daysRemaining: figure(report.daysRemaining),
+    alertsSent: figure(report.alertsSent),
+    checks: figure(report.checks)
+  };
+}
+
+/**
+ * Build the placeholder values for an alert, formatted for the locale
+ */
+function buildValues(alert, sources, options) {
+  const { provider, timeZone, format } = options;
+  const intl = (sources.find(source => source.intl) || {}).intl;
+  const numberFormat = new Intl.NumberFormat(intl, { maximumFractionDigits: 2 });
+  const dateFormat = new Intl.DateTimeFormat(intl, {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short', timeZone
+  });
+  const itemDateFormat = new Intl.DateTimeFormat(intl, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone });
+  const formatNumber = value => (typeof value === 'number' ? numberFormat.format(value) : value);
+  const prediction = alert.forecast;
+  const details = alert.details || {};
+
+  const values = {
+    account: alert.account,
+    provider,
+    tier: alert.tier,
+    tierUpper: alert.tier ? alert.tier.toUpperCase() : alert.tier,
+    balance: formatNumber(alert.balance),
+    threshold: formatNumber(alert.threshold),
+    notificationNumber: alert.notificationNumber,
+    timestamp: dateFormat.format(alert.timestamp),
+    rate: prediction && prediction.rate !== null ? numberFormat.format(prediction.rate) : null,
+    timeToThreshold: prediction ? formatDuration(prediction.timeToThreshold) : null,
+    timeToZero: prediction ? formatDuration(prediction.timeToZero) : null,
+    failures: details.failures,
+    error: details.error,
+    downtime: details.downtime !== undefined ? formatDuration(details.downtime) : null,
+    amount: formatNumber(details.amount),
+    previousBalance: formatNumber(details.previousBalance),
+    count: details.alerts ? details.alerts.length : null,
+    // Each held-back alert is listed by its subject
+    alerts: details.alerts
+      ? details.alerts.map(item => {
+        const subject = findTemplate(sources, item.type, ['subject']);
+        return `- ${itemDateFormat.format(item.timestamp)} ${subject ? renderTemplate(subject, buildValues(item, sources, options)) : item.type}`;
+      }).join('\n')
+      : null,
+    lastReading: details.lastReadingTime
+      ? renderTemplate(findPhrase(sources, 'lastReading'), { time: dateFormat.format(details.lastReadingTime), balance: formatNumber(details.lastBalance) })
+      : findPhrase(sources, 'never'),
+    acknowledge: describeAcknowledge(alert.acknowledge, sources, format)
+  };
+  values.forecast = values.rate !== null
+    ? renderTemplate(findPhrase(sources, 'forecast'), values)
+    : findPhrase(sources, 'noForecast');
+  if (details.report) {
+    Object.assign(values, describeReport(details.report, sources, { formatNumber, dateFormat }));
+  }
+
+  return values;
+}
+
+/**
+ * Render an alert for one channel
+ * @param {Object} alert - Alert as raised by the monitor (see BaseNotifier#send). An
+ *   optional `template` (a string, or templates keyed like a locale's: sms, full, <channel>)
+ *   replaces the locale's body template, e.g. a tier's custom message.
+ * @param {Object} options
+ * @param {string} options.channel - Channel type (sms, email, slack, ...)
+ * @param {string} [options.locale] - Locale code (default: en)
+ * @param {Object} [options.templates] - Custom templates by locale, shaped like the built-in locales
+ * @param {string} [options.provider] - Provider name for {{provider}}
+ * @param {string} [options.timeZone] - IANA time zone for {{timestamp}} (default: system)
+ * @param {Object} [options.sms] - encoding (auto, gsm7, unicode) and maxSegments for SMS channels
+ * @returns {Object} The alert with subject, message and locale set; SMS alerts also
+ *   carry `sms` (encoding, segments, transliterated, truncated)
+ */
+function formatAlert(alert, { channel, locale = DEFAULT_LOCALE, templates, provider, timeZone, sms = {} }) {
+  const { template: override, ...rendered } = alert;
+  const sources = getSources(locale, templates);
+  const format = SHORT_CHANNELS.includes(channel) ? 'sms' : 'full';
+  const keys = [channel, format, 'full'];
+
+  const subject = findTemplate(sources, alert.type, ['subject']);
+  const body = (typeof override === 'string' && override) ||
+    (override && keys.map(key => override[key]).find(Boolean)) ||
+    findTemplate(sources, alert.type, keys);
+
+  if (subject || body) {
+    const values = buildValues(alert, sources, { provider, timeZone, format });
+    rendered.subject = subject ? renderTemplate(subject, values) : alert.subject;
+    rendered.message = body ? renderTemplate(body, values) : alert.message;
+  }
+  rendered.locale = (LOCALES[locale] || (templates && templates[locale])) ? locale : DEFAULT_LOCALE;
+
+  if (format === 'sms' && rendered.message) {
+    const { text, ...info } = gsm.prepareSms(rendered.message, sms);
+    rendered.message = text;
+    rendered.sms = info;
+  }
+
+  return rendered;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  renderTemplate,
+  getAvailableLocales,
+  formatAlert,
+  ...gsm
+};
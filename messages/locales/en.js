@@ -0,0 +1,70 @@
+/**
+ * English alert messages
+ *
+ * Each alert type has a subject, a short `sms` text and a `full` text for
+ * email, chat and webhook channels. See messages/index.js for placeholders.
+ */
+module.exports = {
+  name: 'English',
+  intl: 'en-GB',
+
+  templates: {
+    'low-balance': {
+      subject: '[{{tierUpper}}] SMS balance low for {{account}}: {{balance}}',
+      sms: 'Hello Admin, SMS balance is low. Please recharge immediately!\nAccount: {{account}}\nCurrent Balance: {{balance}}\nNotification #{{notificationNumber}}{{acknowledge}}',
+      full: 'Hello Admin, SMS balance is low. Please recharge immediately!\n\nAccount: {{account}}\nProvider: {{provider}}\nCurrent Balance: {{balance}}\nThreshold: {{threshold}} (tier {{tier}})\nForecast: {{forecast}}\nChecked: {{timestamp}}\nNotification #{{notificationNumber}}{{acknowledge}}'
+    },
+    forecast: {
+      subject: 'SMS balance for {{account}} projected to run out in {{timeToZero}}',
+      sms: 'Hello Admin, SMS balance will run out soon. Please recharge!\nAccount: {{account}}\nCurrent Balance: {{balance}}\nEmpty in: {{timeToZero}}',
+      full: 'Hello Admin, SMS balance will run out soon. Please recharge!\n\nAccount: {{account}}\nProvider: {{provider}}\nCurrent Balance: {{balance}}\nUsage: {{rate}}/hour\nBelow threshold ({{threshold}}) in: {{timeToThreshold}}\nEmpty in: {{timeToZero}}\nChecked: {{timestamp}}'
+    },
+    'monitoring-degraded': {
+      subject: 'SMS balance monitoring degraded for {{account}}: {{failures}} failed checks',
+      sms: 'SMS balance monitoring degraded: checks keep failing.\nAccount: {{account}}\nFailed checks: {{failures}}\nLast error: {{error}}',
+      full: 'Hello Admin, SMS balance monitoring is degraded: balance checks keep failing, so a low balance would go unnoticed.\n\nAccount: {{account}}\nProvider: {{provider}}\nFailed checks: {{failures}}\nLast successful reading: {{lastReading}}\nLast error: {{error}}\nTime: {{timestamp}}'
+    },
+    'monitoring-recovered': {
+      subject: 'SMS balance monitoring recovered for {{account}}',
+      sms: 'SMS balance monitoring recovered.\nAccount: {{account}}\nCurrent Balance: {{balance}}',
+      full: 'Hello Admin, SMS balance monitoring has recovered: balance checks are succeeding again.\n\nAccount: {{account}}\nProvider: {{provider}}\nCurrent Balance: {{balance}}\nFailed checks: {{failures}} over {{downtime}}\nTime: {{timestamp}}'
+    },
+    'balance-recovered': {
+      subject: '[RECOVERED] SMS balance for {{account}} is back above the threshold: {{balance}}',
+      sms: 'Hello Admin, SMS balance has recovered. No further action is needed.\nAccount: {{account}}\nCurrent Balance: {{balance}}\nThreshold: {{threshold}}',
+      full: 'Hello Admin, SMS balance has recovered and is back above the threshold. No further action is needed.\n\nAccount: {{account}}\nProvider: {{provider}}\nCurrent Balance: {{balance}}\nThreshold: {{threshold}} (was tier {{tier}})\nChecked: {{timestamp}}'
+    },
+    'top-up': {
+      subject: 'SMS balance top-up of {{amount}} received for {{account}}',
+      sms: 'SMS balance top-up received.\nAccount: {{account}}\nAmount: +{{amount}}\nBalance: {{previousBalance}} -> {{balance}}',
+      full: 'Hello, an SMS balance top-up has landed.\n\nAccount: {{account}}\nProvider: {{provider}}\nAmount: +{{amount}}\nPrevious Balance: {{previousBalance}}\nCurrent Balance: {{balance}}\nDetected: {{timestamp}}'
+    },
+    'quiet-hours-summary': {
+      subject: 'SMS balance monitor: {{count}} alert(s) for {{account}} during quiet hours',
+      sms: 'SMS balance alerts held during quiet hours ({{count}}):\n{{alerts}}\nCurrent Balance: {{balance}}',
+      full: 'Hello Admin, these SMS balance alerts were held back during quiet hours:\n\n{{alerts}}\n\nAccount: {{account}}\nProvider: {{provider}}\nCurrent Balance: {{balance}}\nThreshold: {{threshold}}\nTime: {{timestamp}}'
+    },
+    report: {
+      subject: '{{period}} SMS balance report for {{account}}: {{closingBalance}}',
+      sms: '{{period}} SMS balance report\nAccount: {{account}}\nBalance: {{openingBalance}} -> {{closingBalance}}\nUsed: {{consumed}} ({{averageDailyUsage}}/day)\nTop-ups: {{topUpAmount}}\nDays left: {{daysRemaining}}\nAlerts: {{alertsSent}}',
+      full: '{{period}} SMS balance report\n\nAccount: {{account}}\nProvider: {{provider}}\nPeriod: {{start}} to {{end}}\nOpening Balance: {{openingBalance}}\nClosing Balance: {{closingBalance}}\nConsumed: {{consumed}}\nAverage Daily Usage: {{averageDailyUsage}}\nTop-ups: {{topUps}} (total {{topUpAmount}})\nForecast Days Remaining: {{daysRemaining}}\nAlerts Sent: {{alertsSent}}\nBalance Checks: {{checks}}\nThreshold: {{threshold}}'
+    },
+    test: {
+      subject: '[TEST] SMS balance monitor alert test for {{account}}',
+      sms: 'TEST: SMS balance monitor alert test for {{account}} (tier {{tier}}). No action is needed.',
+      full: 'TEST: SMS balance monitor alert test for {{account}} (tier {{tier}}). No action is needed.\n\nProvider: {{provider}}\nTime: {{timestamp}}'
+    }
+  },
+
+  phrases: {
+    forecast: '{{rate}}/h, threshold in {{timeToThreshold}}, zero in {{timeToZero}}',
+    noForecast: 'not enough history',
+    lastReading: '{{time}} (balance {{balance}})',
+    never: 'never',
+    acknowledgeReply: 'Reply {{keyword}} to stop further alerts until the balance recovers.',
+    acknowledgeLink: 'Acknowledge: {{url}}',
+    dailyReport: 'Daily',
+    weeklyReport: 'Weekly',
+    notAvailable: 'n/a'
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * French alert messages (messages d'alerte en français)
+ *
+ * SMS templates keep to the GSM-7 alphabet (é, è and à are in it; ê, ô and °
+ * are not), so they fit 160-character segments.
+ */
+module.exports = {
+  name: 'Français',
+  intl: 'fr-FR',
+
+  templates: {
+    'low-balance': {
+      subject: '[{{tierUpper}}] Solde SMS bas pour {{account}} : {{balance}}',
+      sms: 'Bonjour Admin, le solde SMS est bas. Veuillez recharger immédiatement !\nCompte : {{account}}\nSolde actuel : {{balance}}\nNotification #{{notificationNumber}}{{acknowledge}}',
+      full: 'Bonjour Admin, le solde SMS est bas. Veuillez recharger immédiatement !\n\nCompte : {{account}}\nFournisseur : {{provider}}\nSolde actuel : {{balance}}\nSeuil : {{threshold}} (niveau {{tier}})\nPrévision : {{forecast}}\nVérifié le : {{timestamp}}\nNotification #{{notificationNumber}}{{acknowledge}}'
+    },
+    forecast: {
+      subject: 'Le solde SMS de {{account}} devrait être épuisé dans {{timeToZero}}',
+      sms: 'Bonjour Admin, le solde SMS sera épuisé prochainement. Veuillez recharger !\nCompte : {{account}}\nSolde actuel : {{balance}}\nÉpuisé dans : {{timeToZero}}',
+      full: 'Bonjour Admin, le solde SMS sera épuisé prochainement. Veuillez recharger !\n\nCompte : {{account}}\nFournisseur : {{provider}}\nSolde actuel : {{balance}}\nConsommation : {{rate}}/heure\nSous le seuil ({{threshold}}) dans : {{timeToThreshold}}\nÉpuisé dans : {{timeToZero}}\nVérifié le : {{timestamp}}'
+    },
+    'monitoring-degraded': {
+      subject: 'Surveillance du solde SMS dégradée pour {{account}} : {{failures}} vérifications échouées',
+      sms: 'Surveillance du solde SMS dégradée : les vérifications échouent.\nCompte : {{account}}\nÉchecs : {{failures}}\nDernière erreur : {{error}}',
+      full: 'Bonjour Admin, la surveillance du solde SMS est dégradée : les vérifications du solde échouent, un solde bas passerait donc inaperçu.\n\nCompte : {{account}}\nFournisseur : {{provider}}\nVérifications échouées : {{failures}}\nDernière lecture réussie : {{lastReading}}\nDernière erreur : {{error}}\nHeure : {{timestamp}}'
+    },
+    'monitoring-recovered': {
+      subject: 'Surveillance du solde SMS rétablie pour {{account}}',
+      sms: 'Surveillance du solde SMS rétablie.\nCompte : {{account}}\nSolde actuel : {{balance}}',
+      full: 'Bonjour Admin, la surveillance du solde SMS est rétablie : les vérifications du solde réussissent à nouveau.\n\nCompte : {{account}}\nFournisseur : {{provider}}\nSolde actuel : {{balance}}\nVérifications échouées : {{failures}} sur {{downtime}}\nHeure : {{timestamp}}'
+    },
+    'balance-recovered': {
+      subject: '[RÉTABLI] Le solde SMS de {{account}} est repassé au-dessus du seuil : {{balance}}',
+      sms: "Bonjour Admin, le solde SMS est rétabli. Aucune autre action n'est requise.\nCompte : {{account}}\nSolde actuel : {{balance}}\nSeuil : {{threshold}}",
+      full: "Bonjour Admin, le solde SMS est rétabli et repassé au-dessus du seuil. Aucune autre action n'est requise.\n\nCompte : {{account}}\nFournisseur : {{provider}}\nSolde actuel : {{balance}}\nSeuil : {{threshold}} (niveau précédent {{tier}})\nVérifié le : {{timestamp}}"
+    },
+    'top-up': {
+      subject: 'Recharge SMS de {{amount}} reçue pour {{account}}',
+      sms: 'Recharge du solde SMS effectuée.\nCompte : {{account}}\nMontant : +{{amount}}\nSolde : {{previousBalance}} -> {{balance}}',
+      full: 'Bonjour, une recharge du solde SMS a été reçue.\n\nCompte : {{account}}\nFournisseur : {{provider}}\nMontant : +{{amount}}\nSolde précédent : {{previousBalance}}\nSolde actuel : {{balance}}\nDétectée le : {{timestamp}}'
+    },
+    'quiet-hours-summary': {
+      subject: 'Moniteur de solde SMS : {{count}} alerte(s) pour {{account}} pendant les heures calmes',
+      sms: 'Alertes de solde SMS retenues pendant les heures calmes ({{count}}) :\n{{alerts}}\nSolde actuel : {{balance}}',
+      full: 'Bonjour Admin, ces alertes de solde SMS ont été retenues pendant les heures calmes :\n\n{{alerts}}\n\nCompte : {{account}}\nFournisseur : {{provider}}\nSolde actuel : {{balance}}\nSeuil : {{threshold}}\nHeure : {{timestamp}}'
+    },
+    report: {
+      subject: 'Rapport {{period}} du solde SMS pour {{account}} : {{closingBalance}}',
+      sms: 'Rapport {{period}} du solde SMS\nCompte : {{account}}\nSolde : {{openingBalance}} -> {{closingBalance}}\nConsommé : {{consumed}} ({{averageDailyUsage}}/jour)\nRecharges : {{topUpAmount}}\nJours restants : {{daysRemaining}}\nAlertes : {{alertsSent}}',
+      full: 'Rapport {{period}} du solde SMS\n\nCompte : {{account}}\nFournisseur : {{provider}}\nPériode : du {{start}} au {{end}}\nSolde initial : {{openingBalance}}\nSolde final : {{closingBalance}}\nConsommé : {{consumed}}\nConsommation moyenne par jour : {{averageDailyUsage}}\nRecharges : {{topUps}} (total {{topUpAmount}})\nJours restants (prévision) : {{daysRemaining}}\nAlertes envoyées : {{alertsSent}}\nVérifications du solde : {{checks}}\nSeuil : {{threshold}}'
+    },
+    test: {
+      subject: "[TEST] Test d'alerte du moniteur de solde SMS pour {{account}}",
+      sms: "TEST : test d'alerte du moniteur de solde SMS pour {{account}} (niveau {{tier}}). Aucune action n'est requise.",
+      full: "TEST : test d'alerte du moniteur de solde SMS pour {{account}} (niveau {{tier}}). Aucune action n'est requise.\n\nFournisseur : {{provider}}\nHeure : {{timestamp}}"
+    }
+  },
+
+  phrases: {
+    forecast: '{{rate}}/h, seuil dans {{timeToThreshold}}, épuisé dans {{timeToZero}}',
+    noForecast: 'historique insuffisant',
+    lastReading: '{{time}} (solde {{balance}})',
+    never: 'jamais',
+    acknowledgeReply: 'Répondez {{keyword}} pour arrêter les alertes jusqu\'à ce que le solde remonte.',
+    acknowledgeLink: 'Acquitter : {{url}}',
+    dailyReport: 'quotidien',
+    weeklyReport: 'hebdomadaire',
+    notAvailable: 'n.d.'
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Twi (Akan) alert messages
+ *
+ * Twi letters ɛ and ɔ are outside the GSM-7 alphabet, so SMS alerts in Twi
+ * are sent as UCS-2 or transliterated (see messages/gsm.js).
+ */
+module.exports = {
+  name: 'Twi',
+  intl: 'ak-GH',
+
+  templates: {
+    'low-balance': {
+      subject: '[{{tierUpper}}] {{account}} SMS balance so atew: {{balance}}',
+      sms: 'Admin, SMS balance no so atew. Yɛsrɛ wo, fa sika foforɔ gu mu ntɛm!\nAkawnt: {{account}}\nBalance seesei: {{balance}}\nNkaebɔ #{{notificationNumber}}{{acknowledge}}',
+      full: 'Admin, SMS balance no so atew. Yɛsrɛ wo, fa sika foforɔ gu mu ntɛm!\n\nAkawnt: {{account}}\nProvider: {{provider}}\nBalance seesei: {{balance}}\nAnohyeto: {{threshold}} ({{tier}})\nNsusuiɛ: {{forecast}}\nBere: {{timestamp}}\nNkaebɔ #{{notificationNumber}}{{acknowledge}}'
+    },
+    forecast: {
+      subject: '{{account}} SMS balance bɛsa wɔ {{timeToZero}} mu',
+      sms: 'Admin, ɛrenkyɛ na SMS balance no asa. Yɛsrɛ wo, fa sika foforɔ gu mu!\nAkawnt: {{account}}\nBalance seesei: {{balance}}\nƐbɛsa wɔ: {{timeToZero}}',
+      full: 'Admin, ɛrenkyɛ na SMS balance no asa. Yɛsrɛ wo, fa sika foforɔ gu mu!\n\nAkawnt: {{account}}\nProvider: {{provider}}\nBalance seesei: {{balance}}\nDwumadie: {{rate}}/dɔnhwere\nƐbɛba anohyeto ({{threshold}}) ase wɔ: {{timeToThreshold}}\nƐbɛsa wɔ: {{timeToZero}}\nBere: {{timestamp}}'
+    },
+    'monitoring-degraded': {
+      subject: '{{account}} SMS balance nhwehwɛmu nyɛ adwuma yie: {{failures}} asɛe',
+      sms: 'SMS balance nhwehwɛmu nyɛ adwuma yie.\nAkawnt: {{account}}\nNhwehwɛmu a asɛe: {{failures}}\nMfomsoɔ: {{error}}',
+      full: 'Admin, SMS balance nhwehwɛmu no nyɛ adwuma yie: balance nhwehwɛmu no sɛe bere biara, enti sɛ balance no so tew a, yɛrenhu.\n\nAkawnt: {{account}}\nProvider: {{provider}}\nNhwehwɛmu a asɛe: {{failures}}\nBalance a yɛhuu no awieeɛ: {{lastReading}}\nMfomsoɔ a ɛtwa toɔ: {{error}}\nBere: {{timestamp}}'
+    },
+    'monitoring-recovered': {
+      subject: '{{account}} SMS balance nhwehwɛmu asan reyɛ adwuma',
+      sms: 'SMS balance nhwehwɛmu asan reyɛ adwuma.\nAkawnt: {{account}}\nBalance seesei: {{balance}}',
+      full: 'Admin, SMS balance nhwehwɛmu no asan reyɛ adwuma yie.\n\nAkawnt: {{account}}\nProvider: {{provider}}\nBalance seesei: {{balance}}\nNhwehwɛmu a asɛe: {{failures}} wɔ {{downtime}} mu\nBere: {{timestamp}}'
+    },
+    'balance-recovered': {
+      subject: '[ƐASAN ABA] {{account}} SMS balance asan akɔ anohyeto no so: {{balance}}',
+      sms: 'Admin, SMS balance no asan aba. Ɛho nhia sɛ woyɛ biribi bio.\nAkawnt: {{account}}\nBalance seesei: {{balance}}\nAnohyeto: {{threshold}}',
+      full: 'Admin, SMS balance no asan aba na akɔ anohyeto no so. Ɛho nhia sɛ woyɛ biribi bio.\n\nAkawnt: {{account}}\nProvider: {{provider}}\nBalance seesei: {{balance}}\nAnohyeto: {{threshold}} ({{tier}})\nBere: {{timestamp}}'
+    },
+    'top-up': {
+      subject: 'Wɔde {{amount}} agu {{account}} SMS balance mu',
+      sms: 'Wɔde sika foforɔ agu SMS balance no mu.\nAkawnt: {{account}}\nDodoɔ: +{{amount}}\nBalance: {{previousBalance}} -> {{balance}}',
+      full: 'Wɔde sika foforɔ agu SMS balance no mu.\n\nAkawnt: {{account}}\nProvider: {{provider}}\nDodoɔ: +{{amount}}\nBalance a atwam: {{previousBalance}}\nBalance seesei: {{balance}}\nBere: {{timestamp}}'
+    },
+    'quiet-hours-summary': {
+      subject: 'SMS balance monitor: nkaebɔ {{count}} ma {{account}} wɔ ahomegye bere mu',
+      sms: 'SMS balance nkaebɔ a yɛkoraa wɔ ahomegye bere mu ({{count}}):\n{{alerts}}\nBalance seesei: {{balance}}',
+      full: 'Admin, yɛkoraa SMS balance nkaebɔ yi wɔ ahomegye bere mu:\n\n{{alerts}}\n\nAkawnt: {{account}}\nProvider: {{provider}}\nBalance seesei: {{balance}}\nAnohyeto: {{threshold}}\nBere: {{timestamp}}'
+    },
+    report: {
+      subject: 'SMS balance amanneɛbɔ ({{period}}) ma {{account}}: {{closingBalance}}',
+      sms: 'SMS balance amanneɛbɔ ({{period}})\nAkawnt: {{account}}\nBalance: {{openingBalance}} -> {{closingBalance}}\nDwumadie: {{consumed}} ({{averageDailyUsage}}/da)\nSika foforɔ: {{topUpAmount}}\nNna a aka: {{daysRemaining}}\nNkaebɔ: {{alertsSent}}',
+      full: 'SMS balance amanneɛbɔ ({{period}})\n\nAkawnt: {{account}}\nProvider: {{provider}}\nBere: {{start}} kosi {{end}}\nBalance a ɛdi kan: {{openingBalance}}\nBalance a ɛtwa toɔ: {{closingBalance}}\nDwumadie: {{consumed}}\nDwumadie da koro biara: {{averageDailyUsage}}\nSika foforɔ a wɔde guu mu: {{topUps}} (nyinaa {{topUpAmount}})\nNna a aka (nsusuiɛ): {{daysRemaining}}\nNkaebɔ a yɛde kɔeɛ: {{alertsSent}}\nBalance nhwehwɛmu: {{checks}}\nAnohyeto: {{threshold}}'
+    },
+    test: {
+      subject: '[SƆHWƐ] SMS balance monitor nkaebɔ sɔhwɛ ma {{account}}',
+      sms: 'SƆHWƐ: SMS balance monitor nkaebɔ sɔhwɛ ma {{account}} ({{tier}}). Ɛho nhia sɛ woyɛ biribi.',
+      full: 'SƆHWƐ: SMS balance monitor nkaebɔ sɔhwɛ ma {{account}} ({{tier}}). Ɛho nhia sɛ woyɛ biribi.\n\nProvider: {{provider}}\nBere: {{timestamp}}'
+    }
+  },
+
+  phrases: {
+    forecast: '{{rate}}/dɔnhwere, anohyeto wɔ {{timeToThreshold}} mu, ɛbɛsa wɔ {{timeToZero}} mu',
+    noForecast: 'abakɔsɛm nnɔɔso',
+    lastReading: '{{time}} (balance {{balance}})',
+    never: 'yɛnhuu bi da',
+    acknowledgeReply: 'San twerɛ {{keyword}} na nkaebɔ no bɛgyina kosi sɛ balance no bɛsan aba.',
+    acknowledgeLink: 'Gye tom: {{url}}',
+    dailyReport: 'da biara',
+    weeklyReport: 'nnawɔtwe biara',
+    notAvailable: 'ɛnni hɔ'
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Base Notifier Class
+ * 
+ * This is an abstract base class that defines the interface for alert
+ * notification channels (SMS, email, chat webhooks, etc.). All notifier
+ * implementations should extend this class and implement the required methods.
+ */
+class BaseNotifier {
+  constructor(config) {
+    if (this.constructor === BaseNotifier) {
+      throw new Error('BaseNotifier is abstract and cannot be instantiated directly');
+    }
+    this.config = config;
+  }
+
+  /**
+   * Deliver an alert through this channel
+   * @param {Object} alert - The alert to deliver
+   * @param {string} alert.account - Name of the account the alert is about
+   * @param {string} alert.type - Alert type (e.g. "low-balance")
+   * @param {string} alert.subject - Short one-line summary
+   * @param {string} alert.message - Alert text, rendered for this channel's type and locale
+   * @param {string} alert.locale - Locale the subject and message are in
+   * @param {number} [alert.balance] - Balance that triggered the alert
+   * @param {number} [alert.threshold] - Configured threshold
+   * @param {number} alert.timestamp - When the alert was raised (ms since epoch)
+   * @param {Object} [options]
+   * @param {string[]} [options.recipients] - On a retry, the recipients a previous attempt
+   *   failed for (its error's `failedRecipients`); the others already have the alert
+   * @returns {Promise<Object>} The channel's response
+   * @throws {Error} If delivery fails. An error with `sent` and `failedRecipients` reached
+   *   some recipients: `sent` is the response for them.
+   */
+  async send(alert, options = {}) {
+    throw new Error('send() must be implemented by the notifier');
+  }
+
+  /**
+   * List the provider messages a send() response stands for, so their
+   * delivery can be tracked. Only SMS has them.
+   * @param {*} response - What send() returned
+   * @returns {Object[]} { id, to } per message
+   */
+  getMessageIds(response) {
+    return [];
+  }
+
+  /**
+   * Validate notifier configuration
+   * @throws {Error} If configuration is invalid
+   */
+  validateConfig() {
+    throw new Error('validateConfig() must be implemented by the notifier');
+  }
+
+  /**
+   * Get notifier name
+   * @returns {string} The name of the notification channel
+   */
+  getName() {
+    return this.constructor.name;
+  }
+}
+
+module.exports = BaseNotifier;
@@ -0,0 +1,85 @@
+const BaseNotifier = require('./base-notifier');
+
+/**
+ * Email Notifier
+ *
+ * Sends alerts over SMTP. Requires the `nodemailer` package, which is only
+ * loaded when an email channel is configured; a missing install is a
+ * configuration error.
+ *
+ * Configuration:
+ * {
+ *   host: "smtp.example.com",
+ *   port: 587,
+ *   secure: false, // true for port 465
+ *   user: "alerts@example.com", // Optional, omit for unauthenticated relays
+ *   pass: "your_password",
+ *   from: "SMS Monitor <alerts@example.com>",
+ *   to: ["admin@example.com"]
+ * }
+ */
+class EmailNotifier extends BaseNotifier {
+  constructor(config) {
+    super(config);
+    this.validateConfig();
+    this.transport = null;
+  }
+
+  /**
+   * Validate notifier configuration
+   */
+  validateConfig() {
+    const required = ['host', 'from'];
+    const missing = required.filter(key => !this.config[key]);
+    if (!this.config.to || this.config.to.length === 0) missing.push('to');
+
+    if (missing.length > 0) {
+      throw new Error(`Email notifier missing required config: ${missing.join(', ')}`);
+    }
+
+    // Fail at startup rather than on the first alert
+    try {
+      require.resolve('nodemailer');
+    } catch (error) {
+      throw new Error('Email notifier requires the nodemailer package (npm install nodemailer)');
+    }
+  }
+
+  /**
+   * Create the SMTP transport on first use
+   * @private
+   */
+  getTransport() {
+    if (!this.transport) {
+      const nodemailer = require('nodemailer');
+      this.transport = nodemailer.createTransport({
+        host: this.config.host,
+        port: this.config.port || 587,
+        secure: Boolean(this.config.secure),
+        auth: this.config.user ? { user: this.config.user, pass: this.config.pass } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Email the alert to every recipient
+   */
+  async send(alert) {
+    return this.getTransport().sendMail({
+      from: this.config.from,
+      to: this.config.to.join(', '),
+      subject: alert.subject,
+      text: alert.message
+    });
+  }
+
+  /**
+   * Get notifier name
+   */
+  getName() {
+    return 'Email';
+  }
+}
+
+module.exports = EmailNotifier;
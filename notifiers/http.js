@@ -0,0 +1,28 @@
+const axios = require('axios');
+
+/**
+ * POST a JSON payload with error handling shared by the webhook-style notifiers
+ * @param {string} url - Target URL
+ * @param {Object} payload - JSON body
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Object>} The response body
+ */
+async function postJson(url, payload, headers = {}) {
+  try {
+    const response = await axios.post(url, payload, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: 30000 // 30 second timeout
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`Request failed: ${error.response.status} - ${error.response.statusText}`);
+    } else if (error.request) {
+      throw new Error('Request failed: No response received');
+    } else {
+      throw new Error(`Request failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { postJson };
@@ -0,0 +1,27 @@
+/**
+ * Notifier Index
+ * 
+ * This file exports all available alert notifiers and the notifier registry.
+ * To add a new notification channel:
+ * 1. Create a new notifier class in this directory extending BaseNotifier
+ * 2. Import and register it in notifier-registry.js
+ * 3. Add it to ALERT_CONFIG.channels in config.js (or an account's alert.channels)
+ */
+
+const BaseNotifier = require('./base-notifier');
+const SmsNotifier = require('./sms');
+const EmailNotifier = require('./email');
+const SlackNotifier = require('./slack');
+const WebhookNotifier = require('./webhook');
+const TelegramNotifier = require('./telegram');
+const notifierRegistry = require('./notifier-registry');
+
+module.exports = {
+  BaseNotifier,
+  SmsNotifier,
+  EmailNotifier,
+  SlackNotifier,
+  WebhookNotifier,
+  TelegramNotifier,
+  notifierRegistry
+};
@@ -0,0 +1,80 @@
+/**
+ * Notifier Registry
+ * 
+ * This class handles creation of alert notification channels from their
+ * configuration. It acts as a factory and registry for notifiers, allowing
+ * the monitor to deliver alerts without knowing each channel's implementation.
+ */
+
+const providerRegistry = require('../providers/provider-registry');
+const SmsNotifier = require('./sms');
+const EmailNotifier = require('./email');
+const SlackNotifier = require('./slack');
+const WebhookNotifier = require('./webhook');
+const TelegramNotifier = require('./telegram');
+
+class NotifierRegistry {
+  constructor() {
+    this.registeredNotifiers = {
+      sms: SmsNotifier,
+      email: EmailNotifier,
+      slack: SlackNotifier,
+      teams: SlackNotifier,
+      webhook: WebhookNotifier,
+      telegram: TelegramNotifier
+    };
+  }
+
+  /**
+   * Register a new notifier type
+   * @param {string} type - Channel type identifier used in config
+   * @param {class} NotifierClass - Notifier class that extends BaseNotifier
+   */
+  register(type, NotifierClass) {
+    this.registeredNotifiers[type] = NotifierClass;
+  }
+
+  /**
+   * Create a notifier from a channel configuration
+   * @param {Object} channel - Channel config, e.g. { type: 'slack', webhookUrl: '...' }.
+   *   SMS channels may name another registered `provider` (with its `providerConfig`)
+   *   to send through instead of the account's own provider.
+   * @param {Object} context - Account context
+   * @param {BaseSMSProvider} context.provider - The account's SMS provider
+   * @param {string[]} context.recipients - The account's alert recipients
+   * @returns {BaseNotifier} Notifier instance
+   */
+  createNotifier(channel, context) {
+    const NotifierClass = this.registeredNotifiers[channel.type];
+    if (!NotifierClass) {
+      throw new Error(`Notifier '${channel.type}' is not registered. Available notifiers: ${this.getAvailableNotifiers().join(', ')}`);
+    }
+
+    try {
+      if (NotifierClass === SmsNotifier) {
+        // SMS channels default to the account's own provider and recipients
+        const provider = channel.provider
+          ? providerRegistry.getProvider(channel.provider, channel.providerConfig)
+          : context.provider;
+        return new SmsNotifier(
+          { ...channel, recipients: channel.recipients || context.recipients },
+          provider
+        );
+      }
+      return new NotifierClass(channel);
+    } catch (error) {
+      throw new Error(`Failed to initialize notifier '${channel.type}': ${error.message}`);
+    }
+  }
+
+  /**
+   * Get list of available notifier types
+   * @returns {string[]} Array of notifier types
+   */
+  getAvailableNotifiers() {
+    return Object.keys(this.registeredNotifiers);
+  }
+}
+
+// Export singleton instance
+module.exports = new NotifierRegistry();
@@ -0,0 +1,46 @@
+const BaseNotifier = require('./base-notifier');
+const { postJson } = require('./http');
+
+/**
+ * Slack / Microsoft Teams Notifier
+ *
+ * Posts alerts to a Slack or Teams incoming webhook. Both accept a plain
+ * `{ text }` payload.
+ *
+ * Configuration:
+ * {
+ *   type: "slack", // or "teams", only affects the channel name in logs
+ *   webhookUrl: "https://hooks.slack.com/services/..."
+ * }
+ */
+class SlackNotifier extends BaseNotifier {
+  constructor(config) {
+    super(config);
+    this.validateConfig();
+  }
+
+  /**
+   * Validate notifier configuration
+   */
+  validateConfig() {
+    if (!this.config.webhookUrl) {
+      throw new Error(`${this.getName()} notifier missing required config: webhookUrl`);
+    }
+  }
+
+  /**
+   * Post the alert to the incoming webhook
+   */
+  async send(alert) {
+    return postJson(this.config.webhookUrl, { text: `*${alert.subject}*\n${alert.message}` });
+  }
+
+  /**
+   * Get notifier name
+   */
+  getName() {
+    return this.config.type === 'teams' ? 'Teams' : 'Slack';
+  }
+}
+
+module.exports = SlackNotifier;
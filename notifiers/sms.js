@@ -0,0 +1,61 @@
+const BaseNotifier = require('./base-notifier');
+
+/**
+ * SMS Notifier
+ *
+ * Delivers alerts as SMS through one of the configured SMS providers
+ * (normally the account's own provider).
+ *
+ * Configuration:
+ * {
+ *   recipients: ["0240000000", "0500001100"],
+ *   source: "ZIPPY" // Optional sender ID override
+ * }
+ */
+class SmsNotifier extends BaseNotifier {
+  /**
+   * @param {Object} config - Notifier configuration
+   * @param {BaseSMSProvider} provider - SMS provider used for delivery
+   */
+  constructor(config, provider) {
+    super(config);
+    this.provider = provider;
+    this.validateConfig();
+  }
+
+  /**
+   * Validate notifier configuration
+   */
+  validateConfig() {
+    if (!this.provider) {
+      throw new Error('SMS notifier requires an SMS provider');
+    }
+    if (!this.config.recipients || this.config.recipients.length === 0) {
+      throw new Error('SMS notifier missing required config: recipients');
+    }
+  }
+
+  /**
+   * Send the alert message as SMS to every recipient, or to the given ones
+   * when retrying a send that reached only some of them
+   */
+  async send(alert, { recipients = null } = {}) {
+    return this.provider.sendSMS(recipients || this.config.recipients, alert.message, this.config.source || null);
+  }
+
+  /**
+   * List the messages the provider accepted (see BaseSMSProvider#getMessageIds)
+   */
+  getMessageIds(response) {
+    return this.provider.getMessageIds(response);
+  }
+
+  /**
+   * Get notifier name, including the provider used
+   */
+  getName() {
+    return `SMS (${this.provider.getName()})`;
+  }
+}
+
+module.exports = SmsNotifier;
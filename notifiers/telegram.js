@@ -0,0 +1,63 @@
+const BaseNotifier = require('./base-notifier');
+const { postJson } = require('./http');
+
+/**
+ * Telegram Notifier
+ *
+ * Sends alerts through a Telegram bot to one or more chats.
+ *
+ * Configuration:
+ * {
+ *   botToken: "123456:ABC-DEF...",
+ *   chatIds: ["-1001234567890"],
+ *   apiUrl: "https://api.telegram.org" // Optional
+ * }
+ */
+class TelegramNotifier extends BaseNotifier {
+  constructor(config) {
+    super(config);
+    this.validateConfig();
+  }
+
+  /**
+   * Validate notifier configuration
+   */
+  validateConfig() {
+    const missing = [];
+    if (!this.config.botToken) missing.push('botToken');
+    if (!this.config.chatIds || this.config.chatIds.length === 0) missing.push('chatIds');
+
+    if (missing.length > 0) {
+      throw new Error(`Telegram notifier missing required config: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Send the alert to every configured chat
+   */
+  async send(alert) {
+    const apiUrl = (this.config.apiUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+    const url = `${apiUrl}/bot${this.config.botToken}/sendMessage`;
+    const results = [];
+
+    for (const chatId of this.config.chatIds) {
+      try {
+        results.push(await postJson(url, { chat_id: chatId, text: `${alert.subject}\n\n${alert.message}` }));
+      } catch (error) {
+        // Keep the bot token out of error messages
+        throw new Error(`Telegram chat ${chatId}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get notifier name
+   */
+  getName() {
+    return 'Telegram';
+  }
+}
+
+module.exports = TelegramNotifier;
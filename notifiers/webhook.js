@@ -0,0 +1,46 @@
+const BaseNotifier = require('./base-notifier');
+const { postJson } = require('./http');
+
+/**
+ * Generic Webhook Notifier
+ *
+ * POSTs the full alert object as JSON, for integration with incident
+ * tooling or custom endpoints.
+ *
+ * Configuration:
+ * {
+ *   url: "https://example.com/hooks/sms-balance",
+ *   headers: { "Authorization": "Bearer ..." } // Optional
+ * }
+ */
+class WebhookNotifier extends BaseNotifier {
+  constructor(config) {
+    super(config);
+    this.validateConfig();
+  }
+
+  /**
+   * Validate notifier configuration
+   */
+  validateConfig() {
+    if (!this.config.url) {
+      throw new Error('Webhook notifier missing required config: url');
+    }
+  }
+
+  /**
+   * POST the alert as JSON
+   */
+  async send(alert) {
+    return postJson(this.config.url, alert, this.config.headers);
+  }
+
+  /**
+   * Get notifier name
+   */
+  getName() {
+    return 'Webhook';
+  }
+}
+
+module.exports = WebhookNotifier;
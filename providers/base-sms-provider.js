@@ -1,16 +1,125 @@
+const { HttpClient, ProviderError } = require('./http-client');
+
+// Provider delivery states meaning the message reached the handset, or never will
+const DELIVERED_STATUSES = ['delivered', 'delivrd', 'read'];
+const FAILED_STATUSES = ['failed', 'undelivered', 'undeliv', 'rejected', 'rejectd', 'expired', 'deleted'];
+
 /**
  * Base SMS Provider Class
  * 
  * This is an abstract base class that defines the interface for SMS providers.
  * All SMS provider implementations should extend this class and implement
  * the required methods.
+ *
+ * Providers make their API calls through request(), which applies the
+ * timeout, retry, circuit breaker and proxy settings from config.http.
+ *
+ * Each provider describes its configuration in a static configSchema (see
+ * lib/config-schema.js), which config validation checks every account against.
+ *
+ * Delivery receipts and SMS replies are optional: a provider that reports
+ * message IDs (getMessageIds) gets its alert SMS tracked, through
+ * checkDeliveryStatus() and the receipts its webhooks deliver.
  */
 class BaseSMSProvider {
+  /**
+   * Configuration schema: the HTTP client settings every provider shares.
+   * Providers add their own fields to it.
+   * @returns {Object} Fields by config key
+   */
+  static get configSchema() {
+    return {
+      'http.timeout': { type: 'duration', min: 1, env: 'SMS_HTTP_TIMEOUT' },
+      'http.retries': { type: 'integer', min: 0, env: 'SMS_HTTP_RETRIES' },
+      'http.retryDelay': { type: 'duration', min: 0, env: 'SMS_HTTP_RETRY_DELAY' },
+      'http.maxRetryDelay': { type: 'duration', min: 0, env: 'SMS_HTTP_MAX_RETRY_DELAY' },
+      'http.circuitBreaker.failureThreshold': { type: 'integer', min: 0, env: 'SMS_HTTP_CIRCUIT_THRESHOLD' },
+      'http.circuitBreaker.resetTimeout': { type: 'duration', min: 1, env: 'SMS_HTTP_CIRCUIT_RESET' },
+      'http.proxy': { type: 'url', env: 'SMS_HTTP_PROXY' }
+    };
+  }
+
   constructor(config) {
     if (this.constructor === BaseSMSProvider) {
       throw new Error('BaseSMSProvider is abstract and cannot be instantiated directly');
     }
     this.config = config;
+    this.http = new HttpClient((config && config.http) || {});
+  }
+
+  /**
+   * Make an HTTP request through the shared client
+   * @param {Object} config - axios request config
+   * @param {Object} [options] - retry (defaults to idempotent methods only) and describeError
+   * @returns {Promise<*>} The response body
+   * @throws {ProviderError} Categorized by type (auth, rate_limited, network, timeout, http, circuit_open)
+   */
+  async request(config, options) {
+    const response = await this.http.request(config, options);
+    return response.data;
+  }
+
+  /**
+   * Create an error for a response the provider could not make sense of
+   * @param {string} message - Error message
+   * @returns {ProviderError} Error of type 'parse'
+   */
+  parseError(message) {
+    return new ProviderError(message, 'parse');
+  }
+
+  /**
+   * Read the balance field of a response. Only a number or a numeric string
+   * passes, so a changed response format fails the check instead of being
+   * misread (e.g. "12 credits" as 12).
+   * @param {*} value - The field's value
+   * @param {string} [field] - Field name, for the error message
+   * @returns {number} The balance
+   * @throws {ProviderError} Of type 'parse' if the field is missing or not a number
+   */
+  parseBalance(value, field = 'balance') {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      throw this.parseError(`Balance check failed: Invalid response format: ${field} not found`);
+    }
+
+    const balance = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+    if (!Number.isFinite(balance)) {
+      throw this.parseError(`Balance check failed: Invalid response format: ${field} ${JSON.stringify(value)} is not a number`);
+    }
+    return balance;
+  }
+
+  /**
+   * Send to each recipient with a request of its own. A failing recipient
+   * does not stop the others, so a retry can be limited to those that failed.
+   * @param {string[]} recipients - Phone numbers
+   * @param {Function} sendOne - async (recipient) => the response for that recipient
+   * @returns {Promise<Object[]>} The responses, one per recipient
+   * @throws {ProviderError} If any recipient failed: of the first failure's type, with the
+   *   responses of the others as `sent` and the failed numbers as `failedRecipients`
+   */
+  async sendToEach(recipients, sendOne) {
+    const sent = [];
+    const failures = [];
+
+    for (const to of recipients) {
+      try {
+        sent.push(await sendOne(to));
+      } catch (error) {
+        failures.push({ to, error });
+      }
+    }
+
+    if (failures.length === 0) {
+      return sent;
+    }
+    const [{ error }] = failures;
+    const failedRecipients = failures.map(failure => failure.to);
+    throw new ProviderError(`SMS to ${failedRecipients.join(', ')} failed: ${error.message}`, error.type || 'other', {
+      status: error.status || null,
+      sent,
+      failedRecipients
+    });
   }
 
   /**
@@ -34,6 +143,67 @@ class BaseSMSProvider {
     throw new Error('sendSMS() must be implemented by the SMS provider');
   }
 
+  /**
+   * List the messages a sendSMS() response accepted, for delivery tracking
+   * @param {*} response - What sendSMS() returned
+   * @returns {Object[]} { id, to } per message (to may be null); empty when the
+   *   provider reports no message IDs
+   */
+  getMessageIds(response) {
+    return [];
+  }
+
+  /**
+   * Look up the delivery status of a sent message
+   * @param {string} messageId - ID from getMessageIds()
+   * @returns {Promise<Object|null>} { status: pending, delivered or failed, error }, or
+   *   null when the provider cannot be asked (receipts then only come by webhook)
+   */
+  async checkDeliveryStatus(messageId) {
+    return null;
+  }
+
+  /**
+   * Read a delivery receipt posted to the receipt webhook. The default reads
+   * `messageId` (or `id`) and `status` fields.
+   * @param {Object} params - Query and body parameters of the request
+   * @returns {Object|null} { messageId, status, error }, or null if not a receipt of this provider
+   */
+  parseDeliveryReceipt(params) {
+    const messageId = params.messageId || params.id;
+    if (!messageId || !params.status) {
+      return null;
+    }
+    return { messageId: String(messageId), status: this.normalizeDeliveryStatus(params.status), error: params.error || null };
+  }
+
+  /**
+   * Read an SMS reply posted to the inbound webhook. The default reads
+   * `from` and `text` (or `message`) fields.
+   * @param {Object} params - Query and body parameters of the request
+   * @returns {Object|null} { from, text }, or null if not a message of this provider
+   */
+  parseInboundMessage(params) {
+    const text = params.text !== undefined ? params.text : params.message;
+    if (!params.from || text === undefined) {
+      return null;
+    }
+    return { from: String(params.from), text: String(text) };
+  }
+
+  /**
+   * Map a provider's delivery state to pending, delivered or failed
+   * @param {string} status - e.g. "DELIVRD", "undelivered", "queued"
+   * @returns {string}
+   */
+  normalizeDeliveryStatus(status) {
+    const value = String(status).toLowerCase();
+    if (DELIVERED_STATUSES.includes(value)) {
+      return 'delivered';
+    }
+    return FAILED_STATUSES.includes(value) ? 'failed' : 'pending';
+  }
+
   /**
    * Validate provider configuration
    * @returns {boolean} True if configuration is valid
@@ -43,6 +213,14 @@ class BaseSMSProvider {
     throw new Error('validateConfig() must be implemented by the SMS provider');
   }
 
+  /**
+   * Circuit breaker state of the provider's API, for status reporting
+   * @returns {Object} state (closed, open or half-open) and consecutive failures
+   */
+  getCircuitState() {
+    return this.http.getCircuitState();
+  }
+
   /**
    * Get provider name
    * @returns {string} The name of the SMS provider
@@ -1,4 +1,3 @@
-const axios = require('axios');
 const BaseSMSProvider = require('./base-sms-provider');
 
 /**
@@ -10,12 +9,26 @@ const BaseSMSProvider = require('./base-sms-provider');
  * {
  *   balanceUrl: "https://api.deywuro.com/bulksms/credit_bal.php",
  *   sendUrl: "https://deywuro.com/api/sms",
+ *   balanceMethod: "get", // Optional, "post" sends credentials in the body instead of the URL
  *   username: "your_username",
  *   password: "your_password",
- *   source: "ZIPPY" // Optional, defaults to "ZIPPY"
+ *   source: "ZIPPY", // Optional, defaults to "ZIPPY"
+ *   http: { timeout: 30000, retries: 2, proxy: "http://proxy:3128" } // Optional, see http-client.js
  * }
  */
 class DeywuroProvider extends BaseSMSProvider {
+  static get configSchema() {
+    return {
+      ...super.configSchema,
+      balanceUrl: { type: 'url', required: true, env: 'SMS_URL or SMS_BALANCE_URL' },
+      sendUrl: { type: 'url', required: true, env: 'SMS_SEND_URL' },
+      balanceMethod: { type: 'enum', values: ['get', 'post'], env: 'SMS_BALANCE_METHOD' },
+      username: { type: 'string', required: true, env: 'SMS_USERNAME' },
+      password: { type: 'string', required: true, env: 'SMS_PASSWORD' },
+      source: { type: 'string', env: 'SMS_SOURCE' }
+    };
+  }
+
   constructor(config) {
     super(config);
     this.validateConfig();
@@ -31,39 +44,28 @@ class DeywuroProvider extends BaseSMSProvider {
     if (missing.length > 0) {
       throw new Error(`Deywuro provider missing required config: ${missing.join(', ')}`);
     }
+
+    if (this.config.balanceMethod && !['get', 'post'].includes(this.config.balanceMethod)) {
+      throw new Error(`Deywuro provider balanceMethod must be 'get' or 'post', got '${this.config.balanceMethod}'`);
+    }
   }
 
   /**
-   * Make HTTP API request with error handling
+   * Make HTTP API request through the shared client
    * @private
    */
-  async makeApiRequest(url, method = 'get', data = null) {
-    try {
-      const config = { 
-        method, 
-        url, 
-        timeout: 30000 // 30 second timeout
-      };
-      
-      if (data) {
-        if (method.toLowerCase() === 'get') {
-          config.params = data;
-        } else {
-          config.data = data;
-        }
-      }
-      
-      const response = await axios(config);
-      return response.data;
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`API request failed: ${error.response.status} - ${error.response.statusText}`);
-      } else if (error.request) {
-        throw new Error('API request failed: No response received');
+  async makeApiRequest(url, method = 'get', data = null, options = {}) {
+    const config = { method, url };
+
+    if (data) {
+      if (method.toLowerCase() === 'get') {
+        config.params = data;
       } else {
-        throw new Error(`API request failed: ${error.message}`);
+        config.data = data;
       }
     }
+
+    return this.request(config, options);
   }
 
   /**
@@ -71,32 +73,22 @@ class DeywuroProvider extends BaseSMSProvider {
    * @returns {Promise<number>} The current SMS balance
    */
   async checkBalance() {
-    const payload = `${this.config.balanceUrl}?username=${this.config.username}&password=${this.config.password}`;
-    
-    try {
-      const requestConfig = {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 second timeout
-      };
+    // Credentials are passed as encoded parameters, never concatenated into the URL
+    const credentials = {
+      username: this.config.username,
+      password: this.config.password
+    };
 
-      const response = await axios.get(payload, requestConfig);
-      
-      if (response.data && typeof response.data.balance !== 'undefined') {
-        return Number(response.data.balance);
-      }
-      
-      throw new Error('Invalid response format: balance not found');
+    let data;
+    try {
+      // A balance lookup is safe to repeat even when it is sent as a POST
+      data = await this.makeApiRequest(this.config.balanceUrl, this.config.balanceMethod || 'get', credentials, { retry: true });
     } catch (error) {
-      if (error.response) {
-        throw new Error(`Balance check failed: ${error.response.status} - ${error.response.statusText}`);
-      } else if (error.request) {
-        throw new Error('Balance check failed: No response received');
-      } else {
-        throw new Error(`Balance check failed: ${error.message}`);
-      }
+      error.message = error.message.replace('API request failed', 'Balance check failed');
+      throw error;
     }
+
+    return this.parseBalance(data && data.balance);
   }
 
   /**
@@ -0,0 +1,286 @@
+const BaseSMSProvider = require('./base-sms-provider');
+const { ProviderError } = require('./http-client');
+
+const AUTH_TYPES = ['none', 'basic', 'bearer', 'header', 'query'];
+const BODY_FORMATS = ['json', 'form'];
+
+/**
+ * Generic HTTP SMS Provider
+ *
+ * Config-driven provider for simple HTTP gateways, so a new gateway can be
+ * onboarded without writing a provider class. Request templates may use
+ * {{placeholders}}: any key of `variables`, plus {{destination}}, {{message}}
+ * and {{source}} when sending.
+ *
+ * Configuration:
+ * {
+ *   name: "AcmeGateway", // Optional, used in logs
+ *   variables: { username: "your_username", password: "your_password" },
+ *   auth: {
+ *     type: "none" | "basic" | "bearer" | "header" | "query",
+ *     username: "{{username}}", password: "{{password}}", // basic
+ *     token: "your_token",                                // bearer
+ *     name: "X-Api-Key", value: "your_key"                // header / query
+ *   },
+ *   balance: {
+ *     url: "https://gateway.example.com/api/balance",
+ *     method: "get",
+ *     headers: {},
+ *     params: { user: "{{username}}" }, // Query string
+ *     body: null,                        // Object or string template
+ *     bodyFormat: "json" | "form",
+ *     balancePath: "data.accounts[0].credit" // Where the balance is in the JSON response
+ *   },
+ *   send: {
+ *     url: "https://gateway.example.com/api/send",
+ *     method: "post",
+ *     body: { to: "{{destination}}", text: "{{message}}", from: "{{source}}" },
+ *     bodyFormat: "json",
+ *     perRecipient: false,  // Send one request per destination
+ *     separator: ",",       // Joins destinations when perRecipient is false
+ *     successPath: "status", successValue: "ok", // Optional response check
+ *     messageIdPath: "data.messageId" // Optional, where the message ID is, for delivery tracking
+ *   },
+ *   receipt: {                    // Optional, fields of receipts posted to the receipt webhook
+ *     messageIdPath: "messageId", statusPath: "status", errorPath: "error"
+ *   },
+ *   source: "ZIPPY", // Optional default {{source}}
+ *   http: { timeout: 30000, retries: 2, proxy: "http://proxy:3128" } // Optional, see http-client.js
+ * }
+ */
+class GenericHttpProvider extends BaseSMSProvider {
+  static get configSchema() {
+    // URLs may be templates such as "{{baseUrl}}/balance", so they are only required
+    return {
+      ...super.configSchema,
+      'balance.url': { type: 'string', required: true },
+      'balance.balancePath': { type: 'string', required: true },
+      'balance.bodyFormat': { type: 'enum', values: BODY_FORMATS },
+      'send.url': { type: 'string', required: true },
+      'send.bodyFormat': { type: 'enum', values: BODY_FORMATS },
+      'send.messageIdPath': { type: 'string' },
+      'auth.type': { type: 'enum', values: AUTH_TYPES }
+    };
+  }
+
+  constructor(config) {
+    super(config);
+    this.validateConfig();
+  }
+
+  /**
+   * Validate provider configuration
+   */
+  validateConfig() {
+    const missing = [];
+    const { balance, send, auth } = this.config;
+
+    if (!balance || !balance.url) missing.push('balance.url');
+    if (!balance || !balance.balancePath) missing.push('balance.balancePath');
+    if (!send || !send.url) missing.push('send.url');
+
+    if (missing.length > 0) {
+      throw new Error(`Generic HTTP provider missing required config: ${missing.join(', ')}`);
+    }
+
+    if (auth && auth.type && !AUTH_TYPES.includes(auth.type)) {
+      throw new Error(`Generic HTTP provider has unknown auth type '${auth.type}'. Supported: ${AUTH_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get provider name
+   */
+  getName() {
+    return this.config.name || super.getName();
+  }
+
+  /**
+   * Replace {{placeholders}} in strings, recursing into arrays and objects
+   * @private
+   */
+  render(template, variables) {
+    if (typeof template === 'string') {
+      return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) =>
+        variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : ''
+      );
+    }
+    if (Array.isArray(template)) {
+      return template.map(item => this.render(item, variables));
+    }
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(
+        Object.entries(template).map(([key, value]) => [key, this.render(value, variables)])
+      );
+    }
+    return template;
+  }
+
+  /**
+   * Resolve a dot/bracket path such as "data.accounts[0].credit"
+   * @private
+   */
+  getByPath(object, path) {
+    return path
+      .replace(/\[(\w+)\]/g, '.$1')
+      .split('.')
+      .filter(Boolean)
+      .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+  }
+
+  /**
+   * Build an axios request from a request template and apply the auth scheme
+   * @private
+   */
+  buildRequest(template, variables) {
+    const request = this.render(template, variables);
+    const config = {
+      method: request.method || 'get',
+      url: request.url,
+      headers: { ...request.headers },
+      params: { ...request.params }
+    };
+    if (request.timeout) {
+      config.timeout = request.timeout;
+    }
+
+    if (request.body !== undefined && request.body !== null) {
+      if (request.bodyFormat === 'form' && typeof request.body === 'object') {
+        config.data = new URLSearchParams(request.body).toString();
+        config.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      } else {
+        config.data = request.body;
+      }
+    }
+
+    const auth = this.render(this.config.auth || { type: 'none' }, variables);
+    switch (auth.type) {
+      case 'basic':
+        config.auth = { username: auth.username, password: auth.password };
+        break;
+      case 'bearer':
+        config.headers.Authorization = `Bearer ${auth.token}`;
+        break;
+      case 'header':
+        config.headers[auth.name] = auth.value;
+        break;
+      case 'query':
+        config.params[auth.name] = auth.value;
+        break;
+      default:
+        break;
+    }
+
+    return config;
+  }
+
+  /**
+   * Make HTTP API request through the shared client
+   * @private
+   */
+  async makeApiRequest(template, variables, options = {}) {
+    return this.request(this.buildRequest(template, variables), options);
+  }
+
+  /**
+   * Check SMS balance using the configured balance request
+   * @returns {Promise<number>} The current SMS balance
+   */
+  async checkBalance() {
+    let data;
+    try {
+      // A balance lookup is safe to repeat whatever method the gateway wants
+      data = await this.makeApiRequest(this.config.balance, { ...this.config.variables }, { retry: true });
+    } catch (error) {
+      error.message = error.message.replace('API request failed', 'Balance check failed');
+      throw error;
+    }
+
+    const value = this.getByPath(data, this.config.balance.balancePath);
+    if (value === undefined || value === null || value === '' || Number.isNaN(Number(value))) {
+      throw this.parseError(`Balance check failed: Invalid response format: no numeric value at '${this.config.balance.balancePath}'`);
+    }
+
+    return Number(value);
+  }
+
+  /**
+   * Send SMS using the configured send request
+   * @param {string|string[]} destinations - Phone number(s) to send SMS to
+   * @param {string} message - The SMS message content
+   * @param {string} [source] - Optional source identifier (defaults to config.source)
+   * @returns {Promise<Object|Object[]>} The API response (one per destination when perRecipient is set)
+   * @throws {ProviderError} With perRecipient, if any destination failed, carrying the responses
+   *   for the others (see BaseSMSProvider#sendToEach)
+   */
+  async sendSMS(destinations, message, source = null) {
+    const send = this.config.send;
+    const recipients = Array.isArray(destinations) ? destinations : [destinations];
+
+    if (send.perRecipient) {
+      return this.sendToEach(recipients, to => this.sendRequest(to, message, source));
+    }
+
+    const destination = recipients.join(send.separator || ',');
+    try {
+      return await this.sendRequest(destination, message, source);
+    } catch (error) {
+      error.message = `SMS to ${destination} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Make one send request and check it against send.successPath
+   * @private
+   */
+  async sendRequest(destination, message, source) {
+    const send = this.config.send;
+    const data = await this.makeApiRequest(
+      { method: 'post', ...send },
+      { ...this.config.variables, destination, message, source: source || this.config.source }
+    );
+
+    if (send.successPath) {
+      const value = this.getByPath(data, send.successPath);
+      if (String(value) !== String(send.successValue)) {
+        throw new ProviderError(`${send.successPath} was '${value}', expected '${send.successValue}'`, 'http');
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Read the message IDs at send.messageIdPath of a sendSMS() response
+   * @param {Object|Object[]} response - What sendSMS() returned
+   * @returns {Object[]} { id, to } per message (to is not known)
+   */
+  getMessageIds(response) {
+    const path = this.config.send.messageIdPath;
+    if (!path) {
+      return [];
+    }
+    return [].concat(response)
+      .map(data => this.getByPath(data, path))
+      .filter(id => id !== undefined && id !== null && id !== '')
+      .map(id => ({ id: String(id), to: null }));
+  }
+
+  /**
+   * Read a delivery receipt using the paths in config.receipt (default:
+   * messageId, status and error fields)
+   */
+  parseDeliveryReceipt(params) {
+    const { messageIdPath = 'messageId', statusPath = 'status', errorPath = 'error' } = this.config.receipt || {};
+    const messageId = this.getByPath(params, messageIdPath);
+    const status = this.getByPath(params, statusPath);
+    if (messageId === undefined || messageId === null || status === undefined || status === null) {
+      return null;
+    }
+    const error = this.getByPath(params, errorPath);
+    return { messageId: String(messageId), status: this.normalizeDeliveryStatus(status), error: error ? String(error) : null };
+  }
+}
+
+module.exports = GenericHttpProvider;
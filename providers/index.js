@@ -3,17 +3,33 @@
  * 
  * This file exports all available SMS providers and the provider registry.
  * To add a new provider:
- * 1. Create a new provider class in this directory extending BaseSMSProvider
+ * 1. Create a new provider class in this directory extending BaseSMSProvider,
+ *    with a static configSchema describing its settings
  * 2. Import and register it in provider-registry.js
- * 3. Add its configuration to config.js getProviderConfig() function
+ * 3. Optionally add its configuration to config.js getProviderConfig();
+ *    otherwise it is read from the env vars its configSchema names
+ *
+ * Providers kept in another repository are loaded as plugins instead (see
+ * plugin-loader.js).
  */
 
 const DeywuroProvider = require('./deywuro');
+const TwilioProvider = require('./twilio');
+const VonageProvider = require('./vonage');
+const GenericHttpProvider = require('./generic-http');
+const MockProvider = require('./mock');
 const BaseSMSProvider = require('./base-sms-provider');
+const { HttpClient, ProviderError } = require('./http-client');
 const providerRegistry = require('./provider-registry');
 
 module.exports = {
   BaseSMSProvider,
+  HttpClient,
+  ProviderError,
   DeywuroProvider,
+  TwilioProvider,
+  VonageProvider,
+  GenericHttpProvider,
+  MockProvider,
   providerRegistry
 };
@@ -0,0 +1,195 @@
+const BaseSMSProvider = require('./base-sms-provider');
+const { ProviderError } = require('./http-client');
+const { systemClock } = require('../lib/clock');
+
+// Entries of a balance script that make the check fail with that error type
+const ERROR_ENTRIES = ['auth', 'rate_limited', 'network', 'timeout', 'http', 'parse', 'error'];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Mock SMS Provider
+ *
+ * Provider without a network, for trying out thresholds, tiers and the
+ * notification rules locally and in tests. The balance follows a script or
+ * a consumption curve, and sent messages are captured instead of delivered.
+ *
+ * Configuration:
+ * {
+ *   balances: [900, 500, "timeout", 480, null],  // One per check; the last entry repeats.
+ *                                                // An error type (auth, rate_limited, network,
+ *                                                // timeout, http, parse or "error") fails that
+ *                                                // check with it, null returns no balance.
+ *   startBalance: 5000,    // Without balances: the first balance read...
+ *   consumptionRate: 120,  // ...falling by this much per hour of clock time (default: 0)
+ *   sendFailures: 0,       // Fail this many sends before delivering again (default: 0)
+ *   deliveryStatus: "delivered"  // Status checkDeliveryStatus() reports: pending, delivered
+ *                                // or failed (default: delivered)
+ * }
+ *
+ * Tests read `sentMessages` and `balanceChecks`, and can change the script
+ * as they go with queueBalances(), failSends() and setDeliveryStatus().
+ */
+class MockProvider extends BaseSMSProvider {
+  static get configSchema() {
+    return {
+      ...super.configSchema,
+      balances: { env: 'MOCK_BALANCES' },
+      startBalance: { type: 'number', min: 0, requiredWithout: 'balances', env: 'MOCK_START_BALANCE' },
+      consumptionRate: { type: 'number', min: 0, env: 'MOCK_CONSUMPTION_RATE' },
+      sendFailures: { type: 'integer', min: 0, env: 'MOCK_SEND_FAILURES' },
+      deliveryStatus: { type: 'enum', values: DELIVERY_STATUSES, env: 'MOCK_DELIVERY_STATUS' }
+    };
+  }
+
+  /**
+   * @param {Object} config - See above
+   * @param {Object} [options]
+   * @param {Object} [options.clock] - Clock the consumption curve and message times follow
+   *   (see lib/clock.js; default: the system clock)
+   */
+  constructor(config, { clock = systemClock } = {}) {
+    super(config);
+    this.clock = clock;
+    this.validateConfig();
+
+    this.script = this.parseBalances(config.balances);
+    this.sendFailures = config.sendFailures || 0;
+    this.curveStart = null;
+    this.balanceChecks = 0;
+    this.sentMessages = [];
+    this.deliveryStatuses = new Map();
+  }
+
+  /**
+   * Validate provider configuration
+   */
+  validateConfig() {
+    const { balances, startBalance } = this.config;
+    if (!balances && (startBalance === undefined || startBalance === null)) {
+      throw new Error('Mock provider needs balances or a startBalance');
+    }
+  }
+
+  /**
+   * Convert a balance script, given as an array or a comma-separated string,
+   * to numbers, error types and nulls
+   * @private
+   */
+  parseBalances(balances) {
+    if (!balances) {
+      return [];
+    }
+    const entries = Array.isArray(balances) ? balances : String(balances).split(',');
+    return entries.map(entry => {
+      const text = typeof entry === 'string' ? entry.trim() : entry;
+      if (text === null || text === 'null') {
+        return null;
+      }
+      if (ERROR_ENTRIES.includes(text)) {
+        return text;
+      }
+      const balance = Number(text);
+      if (text === '' || Number.isNaN(balance)) {
+        throw new Error(`Mock provider: invalid balance '${entry}' (expected a number, null or one of: ${ERROR_ENTRIES.join(', ')})`);
+      }
+      return balance;
+    });
+  }
+
+  /**
+   * Add entries to the end of the balance script
+   * @param {...(number|string|null)} entries - Balances, error types or null
+   */
+  queueBalances(...entries) {
+    this.script.push(...this.parseBalances(entries));
+  }
+
+  /**
+   * Make the next sends fail
+   * @param {number} count - Number of sends to fail
+   */
+  failSends(count) {
+    this.sendFailures = count;
+  }
+
+  /**
+   * Set the delivery status reported for a sent message
+   * @param {number|string} id - ID of a sent message
+   * @param {string} status - pending, delivered or failed
+   */
+  setDeliveryStatus(id, status) {
+    this.deliveryStatuses.set(String(id), status);
+  }
+
+  /**
+   * Read the next balance of the script or the curve
+   * @returns {Promise<number|null>} The balance
+   * @throws {ProviderError} For an error entry of the script
+   */
+  async checkBalance() {
+    this.balanceChecks++;
+
+    if (this.script.length === 0) {
+      const now = this.clock.now();
+      if (this.curveStart === null) {
+        this.curveStart = now;
+      }
+      const hours = (now - this.curveStart) / (60 * 60 * 1000);
+      const balance = this.config.startBalance - (this.config.consumptionRate || 0) * hours;
+      return Math.max(0, Math.round(balance * 100) / 100);
+    }
+
+    // The last entry stays in place and repeats
+    const entry = this.script.length > 1 ? this.script.shift() : this.script[0];
+    if (typeof entry === 'string') {
+      const type = entry === 'error' ? 'http' : entry;
+      throw new ProviderError(`Mock balance check failed (${type})`, type, { status: type === 'http' ? 500 : null });
+    }
+    return entry;
+  }
+
+  /**
+   * Capture a message instead of sending it
+   * @param {string|string[]} destinations - Phone number(s) to send SMS to
+   * @param {string} message - The SMS message content
+   * @param {string} [source] - Optional source identifier
+   * @returns {Promise<Object>} { success, id, destinations }
+   * @throws {ProviderError} While sends are set to fail
+   */
+  async sendSMS(destinations, message, source = null) {
+    if (this.sendFailures > 0) {
+      this.sendFailures--;
+      throw new ProviderError('Mock send failed', 'http', { status: 500 });
+    }
+
+    const sent = {
+      id: this.sentMessages.length + 1,
+      destinations: Array.isArray(destinations) ? destinations : [destinations],
+      message,
+      source,
+      time: this.clock.now()
+    };
+    this.sentMessages.push(sent);
+    return { success: true, id: sent.id, destinations: sent.destinations };
+  }
+
+  /**
+   * List the captured message of a sendSMS() response
+   */
+  getMessageIds(response) {
+    return response && response.id ? [{ id: String(response.id), to: response.destinations.join(', ') }] : [];
+  }
+
+  /**
+   * Report the status set for a message, or the configured one
+   * @param {string} messageId - ID of a sent message
+   * @returns {Promise<Object>} { status, error }
+   */
+  async checkDeliveryStatus(messageId) {
+    const status = this.deliveryStatuses.get(messageId) || this.config.deliveryStatus || 'delivered';
+    return { status, error: status === 'failed' ? 'Mock delivery failure' : null };
+  }
+}
+
+module.exports = MockProvider;
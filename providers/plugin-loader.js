@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const BaseSMSProvider = require('./base-sms-provider');
+const { HttpClient, ProviderError } = require('./http-client');
+const providerRegistry = require('./provider-registry');
+
+/**
+ * Provider Plugin Loader
+ *
+ * Loads SMS providers kept outside this repository, so an in-house gateway
+ * integration can be selected with SMS_PROVIDER without forking the monitor.
+ * A plugin is a module (a file or directory in providers.d/, or an npm
+ * package) exporting a function that registers its providers:
+ *
+ *   module.exports = ({ BaseSMSProvider, register }) => {
+ *     class AcmeProvider extends BaseSMSProvider {
+ *       static get configSchema() {
+ *         return {
+ *           ...super.configSchema,
+ *           apiKey: { type: 'string', required: true, env: 'ACME_API_KEY' }
+ *         };
+ *       }
+ *       async checkBalance() { ... }
+ *       async sendSMS(destinations, message, source) { ... }
+ *     }
+ *     register('acme', AcmeProvider);
+ *   };
+ *
+ * The provider's settings are read from the env vars its configSchema names
+ * (ACME_API_KEY as providerConfig.apiKey above), or from those given as
+ * register('acme', AcmeProvider, { env: { apiKey: 'ACME_KEY' } }).
+ */
+
+// Installed packages with this prefix (optionally scoped) are loaded without being listed
+const PACKAGE_PREFIX = 'sms-balance-monitor-provider-';
+
+/**
+ * List the plugin modules in a directory: .js files and subdirectories
+ * (packages or folders with an index.js). Dotfiles are skipped.
+ */
+function listDirectory(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && (entry.isDirectory() || entry.name.endsWith('.js')))
+    .map(entry => path.join(directory, entry.name))
+    .sort();
+}
+
+/**
+ * List the installed plugin packages, e.g. sms-balance-monitor-provider-acme
+ * or @acme/sms-balance-monitor-provider-gateway
+ */
+function listPackages(baseDir) {
+  const nodeModules = path.join(baseDir, 'node_modules');
+  const names = fs.existsSync(nodeModules) ? fs.readdirSync(nodeModules) : [];
+
+  return names.flatMap(name => {
+    if (name.startsWith('@')) {
+      return fs.readdirSync(path.join(nodeModules, name))
+        .filter(scoped => scoped.startsWith(PACKAGE_PREFIX))
+        .map(scoped => `${name}/${scoped}`);
+    }
+    return name.startsWith(PACKAGE_PREFIX) ? [name] : [];
+  }).sort();
+}
+
+/**
+ * Name a plugin file in messages: relative to baseDir when inside it
+ */
+function describeFile(file, baseDir) {
+  const relative = path.relative(baseDir, file);
+  return relative.startsWith('..') ? file : relative;
+}
+
+/**
+ * Resolve a listed plugin: a path (relative to baseDir) or a package name
+ */
+function resolvePlugin(entry, baseDir) {
+  const isPath = entry.startsWith('.') || path.isAbsolute(entry);
+  return require.resolve(isPath ? path.resolve(baseDir, entry) : entry, { paths: [baseDir] });
+}
+
+/**
+ * Load one plugin and let it register its providers
+ * @returns {string[]} Names of the providers it registered
+ */
+function loadPlugin(file, source) {
+  const plugin = require(file);
+  if (typeof plugin !== 'function') {
+    throw new Error('a provider plugin must export a function that registers its providers');
+  }
+
+  const providers = [];
+  plugin({
+    BaseSMSProvider,
+    HttpClient,
+    ProviderError,
+    register: (name, ProviderClass, options = {}) => {
+      providerRegistry.register(name, ProviderClass, { ...options, source });
+      providers.push(name);
+    }
+  });
+  return providers;
+}
+
+/**
+ * Load provider plugins into the provider registry. Loading again (e.g. on
+ * a configuration reload) registers the same providers again, and loads
+ * plugins added since.
+ * @param {Object} options
+ * @param {string} [options.directory] - Directory whose modules are all plugins
+ * @param {string[]} [options.modules] - Package names, or paths relative to baseDir
+ * @param {string} options.baseDir - Directory paths and node_modules are resolved from
+ * @returns {Object} plugins ({ source, providers } for each loaded plugin) and errors
+ *   (a message for each plugin that could not be loaded)
+ */
+function loadProviderPlugins({ directory = null, modules = [], baseDir }) {
+  const candidates = [
+    ...(directory ? listDirectory(directory) : []).map(file => ({ source: describeFile(file, baseDir), resolve: () => require.resolve(file) })),
+    ...listPackages(baseDir).map(name => ({ source: name, resolve: () => resolvePlugin(name, baseDir) })),
+    ...modules.map(entry => ({ source: entry, resolve: () => resolvePlugin(entry, baseDir) }))
+  ];
+
+  const plugins = [];
+  const errors = [];
+  const loaded = new Set();
+  candidates.forEach(({ source, resolve }) => {
+    try {
+      const file = resolve();
+      // A package both installed and listed is loaded once
+      if (loaded.has(file)) {
+        return;
+      }
+      loaded.add(file);
+      plugins.push({ source, providers: loadPlugin(file, source) });
+    } catch (error) {
+      errors.push(`Provider plugin ${source}: ${error.message}`);
+    }
+  });
+
+  return { plugins, errors };
+}
+
+module.exports = {
+  loadProviderPlugins
+};
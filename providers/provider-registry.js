@@ -4,25 +4,55 @@
  * This class handles provider selection, initialization, and management.
  * It acts as a factory and registry for SMS providers, allowing the monitor
  * to use providers without knowing their specific implementation.
+ * Providers kept outside this repository are added by plugins (see
+ * plugin-loader.js).
  */
 
+const BaseSMSProvider = require('./base-sms-provider');
 const DeywuroProvider = require('./deywuro');
+const TwilioProvider = require('./twilio');
+const VonageProvider = require('./vonage');
+const GenericHttpProvider = require('./generic-http');
+const MockProvider = require('./mock');
 
 class ProviderRegistry {
   constructor() {
     this.providers = new Map();
     this.registeredProviders = {
-      deywuro: DeywuroProvider
+      deywuro: DeywuroProvider,
+      twilio: TwilioProvider,
+      vonage: VonageProvider,
+      nexmo: VonageProvider,
+      'generic-http': GenericHttpProvider,
+      mock: MockProvider
     };
+    // Env mapping and plugin of providers registered through register()
+    this.registrations = {};
   }
 
   /**
    * Register a new SMS provider
    * @param {string} name - Provider name/identifier
    * @param {class} ProviderClass - Provider class that extends BaseSMSProvider
+   * @param {Object} [options]
+   * @param {Object} [options.env] - Env var each config key is read from, e.g.
+   *   { apiKey: 'ACME_API_KEY' } (default: the `env` of each configSchema field)
+   * @param {string} [options.source] - Plugin registering the provider (see
+   *   plugin-loader.js). A plugin cannot replace a provider registered elsewhere.
+   * @throws {Error} If the class does not extend BaseSMSProvider or a plugin's name is taken
    */
-  register(name, ProviderClass) {
+  register(name, ProviderClass, { env = null, source = null } = {}) {
+    if (typeof ProviderClass !== 'function' || !(ProviderClass.prototype instanceof BaseSMSProvider)) {
+      throw new Error(`SMS provider '${name}' must be a class extending BaseSMSProvider`);
+    }
+    if (source && this.registeredProviders[name] && this.getProviderSource(name) !== source) {
+      throw new Error(`SMS provider '${name}' is already registered by ${this.getProviderSource(name)}`);
+    }
+
     this.registeredProviders[name] = ProviderClass;
+    this.registrations[name] = { env, source };
+    // Instances of a provider being replaced are not reused
+    this.clearCache();
   }
 
   /**
@@ -58,6 +88,46 @@ class ProviderRegistry {
     return providerInstance;
   }
 
+  /**
+   * Get a registered provider class, e.g. to read its configSchema
+   * @param {string} providerName - Name of the provider
+   * @returns {class|null} The provider class, or null if not registered
+   */
+  getProviderClass(providerName) {
+    return this.registeredProviders[providerName] || null;
+  }
+
+  /**
+   * Get the env var each config key of a provider is read from, for
+   * providers config.js has no settings of its own for. The shared http
+   * settings are left out; every provider gets those.
+   * @param {string} providerName - Name of the provider
+   * @returns {Object|null} Env var names by config key, or null if not registered
+   */
+  getEnvMapping(providerName) {
+    const ProviderClass = this.getProviderClass(providerName);
+    if (!ProviderClass) {
+      return null;
+    }
+    const registration = this.registrations[providerName];
+    if (registration && registration.env) {
+      return registration.env;
+    }
+    return Object.fromEntries(Object.entries(ProviderClass.configSchema)
+      .filter(([key, field]) => field.env && !key.startsWith('http.'))
+      .map(([key, field]) => [key, field.env]));
+  }
+
+  /**
+   * Tell where a provider comes from
+   * @param {string} providerName - Name of the provider
+   * @returns {string} The plugin that registered it, or 'built-in'
+   */
+  getProviderSource(providerName) {
+    const registration = this.registrations[providerName];
+    return (registration && registration.source) || 'built-in';
+  }
+
   /**
    * Get list of available provider names
    * @returns {string[]} Array of provider names
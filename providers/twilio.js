@@ -0,0 +1,183 @@
+const BaseSMSProvider = require('./base-sms-provider');
+
+/**
+ * Twilio SMS Provider
+ *
+ * Implementation of SMS provider for Twilio, using the account Balance
+ * endpoint for balance checks and the Messages API for sending.
+ *
+ * Configuration:
+ * {
+ *   accountSid: "ACxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx",
+ *   authToken: "your_auth_token",
+ *   from: "+15005550006", // Sender number (or use messagingServiceSid)
+ *   messagingServiceSid: "MGxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx", // Optional
+ *   baseUrl: "https://api.twilio.com", // Optional, defaults to Twilio's API
+ *   statusCallback: "https://monitor.example.com/webhooks/delivery-receipt?key=...", // Optional
+ *   http: { timeout: 30000, retries: 2 } // Optional, see http-client.js
+ * }
+ */
+class TwilioProvider extends BaseSMSProvider {
+  static get configSchema() {
+    return {
+      ...super.configSchema,
+      accountSid: { type: 'string', required: true, env: 'TWILIO_ACCOUNT_SID' },
+      authToken: { type: 'string', required: true, env: 'TWILIO_AUTH_TOKEN' },
+      from: { type: 'string', requiredWithout: 'messagingServiceSid', env: 'TWILIO_FROM_NUMBER' },
+      messagingServiceSid: { type: 'string', env: 'TWILIO_MESSAGING_SERVICE_SID' },
+      baseUrl: { type: 'url', env: 'TWILIO_BASE_URL' },
+      statusCallback: { type: 'url', env: 'TWILIO_STATUS_CALLBACK_URL' }
+    };
+  }
+
+  constructor(config) {
+    super(config);
+    this.validateConfig();
+  }
+
+  /**
+   * Validate provider configuration
+   */
+  validateConfig() {
+    const required = ['accountSid', 'authToken'];
+    const missing = required.filter(key => !this.config[key]);
+
+    if (!this.config.from && !this.config.messagingServiceSid) {
+      missing.push('from or messagingServiceSid');
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`Twilio provider missing required config: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Build a URL under this account's REST resource
+   * @private
+   */
+  accountUrl(resource) {
+    const baseUrl = (this.config.baseUrl || 'https://api.twilio.com').replace(/\/+$/, '');
+    return `${baseUrl}/2010-04-01/Accounts/${encodeURIComponent(this.config.accountSid)}/${resource}`;
+  }
+
+  /**
+   * Make authenticated HTTP API request through the shared client
+   * @private
+   */
+  async makeApiRequest(url, method = 'get', data = null) {
+    const config = {
+      method,
+      url,
+      auth: {
+        username: this.config.accountSid,
+        password: this.config.authToken
+      }
+    };
+
+    if (data) {
+      // Twilio expects form-encoded request bodies
+      config.data = new URLSearchParams(data).toString();
+      config.headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    }
+
+    return this.request(config, {
+      describeError: response => (response.data && response.data.message ? ` (${response.data.message})` : '')
+    });
+  }
+
+  /**
+   * Check account balance from the Twilio Balance endpoint
+   * @returns {Promise<number>} The current account balance (in the account currency)
+   */
+  async checkBalance() {
+    let data;
+    try {
+      data = await this.makeApiRequest(this.accountUrl('Balance.json'));
+    } catch (error) {
+      error.message = error.message.replace('API request failed', 'Balance check failed');
+      throw error;
+    }
+
+    return this.parseBalance(data && data.balance);
+  }
+
+  /**
+   * Send SMS via the Twilio Messages API.
+   * The API takes one recipient per request, so one message is created per destination.
+   * @param {string|string[]} destinations - Phone number(s) to send SMS to
+   * @param {string} message - The SMS message content
+   * @param {string} [source] - Optional sender number (defaults to config.from)
+   * @returns {Promise<Object[]>} The created message resources
+   * @throws {ProviderError} If any destination failed, carrying the messages created for the
+   *   others (see BaseSMSProvider#sendToEach)
+   */
+  async sendSMS(destinations, message, source = null) {
+    const url = this.accountUrl('Messages.json');
+    const recipients = Array.isArray(destinations) ? destinations : [destinations];
+
+    return this.sendToEach(recipients, to => {
+      const data = { To: to, Body: message };
+
+      if (source || this.config.from) {
+        data.From = source || this.config.from;
+      } else {
+        data.MessagingServiceSid = this.config.messagingServiceSid;
+      }
+      if (this.config.statusCallback) {
+        data.StatusCallback = this.config.statusCallback;
+      }
+
+      return this.makeApiRequest(url, 'post', data);
+    });
+  }
+
+  /**
+   * List the message SIDs of a sendSMS() response
+   * @param {Object[]} response - The created message resources
+   * @returns {Object[]} { id, to } per message
+   */
+  getMessageIds(response) {
+    return (Array.isArray(response) ? response : [])
+      .filter(resource => resource && resource.sid)
+      .map(resource => ({ id: resource.sid, to: resource.to || null }));
+  }
+
+  /**
+   * Read a message's status from the Messages API
+   * @param {string} messageId - Message SID
+   * @returns {Promise<Object>} { status, error }
+   */
+  async checkDeliveryStatus(messageId) {
+    const data = await this.makeApiRequest(this.accountUrl(`Messages/${encodeURIComponent(messageId)}.json`));
+    return {
+      status: this.normalizeDeliveryStatus(data.status),
+      error: data.error_code ? `${data.error_code}${data.error_message ? ` ${data.error_message}` : ''}` : null
+    };
+  }
+
+  /**
+   * Read a Twilio status callback (MessageSid, MessageStatus, ErrorCode)
+   */
+  parseDeliveryReceipt(params) {
+    if (!params.MessageSid || !params.MessageStatus) {
+      return null;
+    }
+    return {
+      messageId: params.MessageSid,
+      status: this.normalizeDeliveryStatus(params.MessageStatus),
+      error: params.ErrorCode ? String(params.ErrorCode) : null
+    };
+  }
+
+  /**
+   * Read an incoming message webhook (From, Body)
+   */
+  parseInboundMessage(params) {
+    if (!params.From || params.Body === undefined || params.MessageStatus) {
+      return null;
+    }
+    return { from: params.From, text: params.Body };
+  }
+}
+
+module.exports = TwilioProvider;
@@ -0,0 +1,162 @@
+const BaseSMSProvider = require('./base-sms-provider');
+const { ProviderError } = require('./http-client');
+
+// Error types of the per-message status codes that are not generic rejections
+const MESSAGE_STATUS_TYPES = {
+  1: 'rate_limited', // Throttled
+  4: 'auth' // Invalid credentials
+};
+
+/**
+ * Vonage (formerly Nexmo) SMS Provider
+ *
+ * Implementation of SMS provider for the Vonage SMS API, using the account
+ * get-balance endpoint for balance checks.
+ *
+ * Configuration:
+ * {
+ *   apiKey: "your_api_key",
+ *   apiSecret: "your_api_secret",
+ *   from: "ZIPPY", // Sender ID or number
+ *   baseUrl: "https://rest.nexmo.com", // Optional, defaults to Vonage's API
+ *   http: { timeout: 30000, retries: 2 } // Optional, see http-client.js
+ * }
+ */
+class VonageProvider extends BaseSMSProvider {
+  static get configSchema() {
+    return {
+      ...super.configSchema,
+      apiKey: { type: 'string', required: true, env: 'VONAGE_API_KEY' },
+      apiSecret: { type: 'string', required: true, env: 'VONAGE_API_SECRET' },
+      from: { type: 'string', required: true, env: 'VONAGE_FROM' },
+      baseUrl: { type: 'url', env: 'VONAGE_BASE_URL' }
+    };
+  }
+
+  constructor(config) {
+    super(config);
+    this.validateConfig();
+  }
+
+  /**
+   * Validate provider configuration
+   */
+  validateConfig() {
+    const required = ['apiKey', 'apiSecret', 'from'];
+    const missing = required.filter(key => !this.config[key]);
+
+    if (missing.length > 0) {
+      throw new Error(`Vonage provider missing required config: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Make HTTP API request through the shared client.
+   * Credentials never go in the query string, where proxies and access logs
+   * would keep them: GET requests (the Account API) use basic auth, and POST
+   * requests (the SMS API) carry them in the body.
+   * @private
+   */
+  async makeApiRequest(path, method = 'get', data = {}) {
+    const baseUrl = (this.config.baseUrl || 'https://rest.nexmo.com').replace(/\/+$/, '');
+
+    const config = {
+      method,
+      url: `${baseUrl}${path}`
+    };
+
+    if (method.toLowerCase() === 'get') {
+      config.auth = { username: this.config.apiKey, password: this.config.apiSecret };
+      config.params = data;
+    } else {
+      config.data = { api_key: this.config.apiKey, api_secret: this.config.apiSecret, ...data };
+    }
+
+    return this.request(config);
+  }
+
+  /**
+   * Check account balance from the Vonage API
+   * @returns {Promise<number>} The current account balance (in EUR)
+   */
+  async checkBalance() {
+    let data;
+    try {
+      data = await this.makeApiRequest('/account/get-balance');
+    } catch (error) {
+      error.message = error.message.replace('API request failed', 'Balance check failed');
+      throw error;
+    }
+
+    return this.parseBalance(data && data.value, 'value');
+  }
+
+  /**
+   * Send SMS via the Vonage SMS API.
+   * The API takes one recipient per request, so one message is sent per destination.
+   * @param {string|string[]} destinations - Phone number(s) to send SMS to
+   * @param {string} message - The SMS message content
+   * @param {string} [source] - Optional sender ID (defaults to config.from)
+   * @returns {Promise<Object[]>} The API responses
+   * @throws {ProviderError} If any destination failed, carrying the responses for the others
+   *   (see BaseSMSProvider#sendToEach)
+   */
+  async sendSMS(destinations, message, source = null) {
+    const recipients = Array.isArray(destinations) ? destinations : [destinations];
+
+    return this.sendToEach(recipients, async to => {
+      const data = await this.makeApiRequest('/sms/json', 'post', {
+        from: source || this.config.from,
+        to,
+        text: message
+      });
+
+      // Vonage reports per-message failures with HTTP 200 and a non-zero status
+      const failed = (data.messages || []).find(msg => msg.status !== '0');
+      if (failed) {
+        throw new ProviderError(`status ${failed.status} - ${failed['error-text']}`, MESSAGE_STATUS_TYPES[failed.status] || 'http');
+      }
+      return data;
+    });
+  }
+
+  /**
+   * List the message IDs of a sendSMS() response
+   * @param {Object[]} response - The API responses, one per recipient
+   * @returns {Object[]} { id, to } per message part
+   */
+  getMessageIds(response) {
+    return (Array.isArray(response) ? response : [])
+      .flatMap(data => (data && data.messages) || [])
+      .filter(msg => msg['message-id'])
+      .map(msg => ({ id: msg['message-id'], to: msg.to || null }));
+  }
+
+  /**
+   * Read a delivery receipt (messageId, status, err-code). Vonage has no
+   * per-message status lookup, so receipts only arrive this way.
+   */
+  parseDeliveryReceipt(params) {
+    if (!params.messageId || !params.status) {
+      return null;
+    }
+    const errorCode = params['err-code'];
+    return {
+      messageId: params.messageId,
+      status: this.normalizeDeliveryStatus(params.status),
+      error: errorCode && errorCode !== '0' ? `err-code ${errorCode}` : null
+    };
+  }
+
+  /**
+   * Read an inbound SMS webhook (msisdn, text)
+   */
+  parseInboundMessage(params) {
+    if (!params.msisdn || params.text === undefined) {
+      return null;
+    }
+    return { from: params.msisdn, text: params.text };
+  }
+}
+
+module.exports = VonageProvider;
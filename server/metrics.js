@@ -0,0 +1,179 @@
+/**
+ * Prometheus Metrics
+ * 
+ * Minimal metric types rendered in the Prometheus text exposition format,
+ * so the monitor can be scraped without extra dependencies.
+ */
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class for labelled metrics
+ */
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.values = new Map();
+  }
+
+  /**
+   * Get (or create) the series for a label set
+   * @protected
+   */
+  series(labels, create) {
+    const key = JSON.stringify(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, value: create() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Render the metric's HELP, TYPE and sample lines
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.values.forEach(({ labels, value }) => {
+      lines.push(...this.renderSeries(labels, value));
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * @protected
+   */
+  renderSeries(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels = {}, amount = 1) {
+    const series = this.series(labels, () => 0);
+    series.value += amount;
+  }
+
+  /**
+   * Set the counter from an externally tracked total (e.g. persisted state)
+   */
+  set(labels, value) {
+    this.series(labels, () => 0).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+
+  set(labels, value) {
+    this.series(labels, () => 0).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {number[]} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.value.counts[index]++;
+      }
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  renderSeries(labels, { counts, sum, count }) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    return lines;
+  }
+}
+
+/**
+ * Holds metrics and renders them for a scrape
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  counter(name, help) {
+    return this.add(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.add(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.add(new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Register a callback run before every scrape, to refresh values read from state
+   * @param {Function} collector - May be async
+   */
+  onCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    await Promise.all(this.collectors.map(collector => collector()));
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+
+  /**
+   * @private
+   */
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram
+};
@@ -0,0 +1,394 @@
+const http = require('http');
+const crypto = require('crypto');
+const { formatReportCsv } = require('../history');
+
+/**
+ * Status HTTP Server
+ * 
+ * Optional HTTP API for inspecting and driving the monitor:
+ * 
+ *   GET  /health   Liveness plus age of each account's last successful check (no token needed)
+ *   GET  /status   Current balance, threshold and notification counters per account
+ *   GET  /history  Recorded balance readings and top-ups (?account=&since=&limit=)
+ *   GET  /report   Balance usage since the last daily or weekly report (?account=&period=&format=csv)
+ *   POST /check    Run a balance check now (?account= to check a single account)
+ *   GET  /maintenance     Maintenance windows and the one in effect (?account=)
+ *   POST /maintenance     Start a maintenance window (?account=&duration=<ms> or &start=&end=, &reason=)
+ *   DELETE /maintenance   End maintenance windows added through the API (?account=&id=)
+ *   GET  /metrics  Prometheus metrics (when a metrics registry is given)
+ *   POST /ack      Acknowledge low-balance alerts (?account=&by=&note=)
+ *   GET  /ack      Page confirming an acknowledgement link (?account=&sig=, no token needed)
+ *   POST /webhooks/delivery-receipt  SMS delivery receipts from the provider (?key=<webhook secret>)
+ *   POST /webhooks/inbound           SMS replies from the provider (?key=<webhook secret>)
+ * 
+ * Every endpoint except /health requires the API token, sent as
+ * `Authorization: Bearer <token>` or `X-API-Token: <token>`. /metrics can be
+ * opened up for scrapers that cannot send a token. An acknowledgement link
+ * carries its own signature instead, and the webhooks, which providers call,
+ * the webhook secret; they are only served when a secret is set. Parameters
+ * may be sent in the query string or the body (form-encoded or JSON).
+ */
+
+// Largest request body read, e.g. a provider's webhook call
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Report periods and formats served on /report
+const REPORT_PERIODS = ['daily', 'weekly'];
+const REPORT_FORMATS = ['json', 'csv'];
+
+// Content type of routes returning the content of an HTML page
+const HTML = 'text/html; charset=utf-8';
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Send a plain-text response
+ */
+function sendText(res, statusCode, body, contentType = 'text/plain; charset=utf-8') {
+  res.writeHead(statusCode, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+/**
+ * Escape text for an HTML page
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Send a minimal HTML page
+ */
+function sendPage(res, statusCode, title, content) {
+  sendText(res, statusCode, `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escapeHtml(title)}</title></head>
+<body><h1>${escapeHtml(title)}</h1>
+${content}
+</body></html>
+`, HTML);
+}
+
+/**
+ * Compare a provided secret with the expected one in constant time
+ */
+function matchesSecret(provided, secret) {
+  if (!provided || !secret) {
+    return false;
+  }
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(String(provided));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Compare the request's token with the configured one in constant time
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-api-token'];
+  return matchesSecret(provided, token);
+}
+
+/**
+ * Read a request's parameters: the query string, overridden by a
+ * form-encoded or JSON body
+ * @returns {Promise<Object>} Parameter values by name
+ */
+function readParams(req, url) {
+  const params = Object.fromEntries(url.searchParams);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        const error = new Error('Request body too large');
+        error.statusCode = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      if (!body) {
+        resolve(params);
+        return;
+      }
+      try {
+        const fields = (req.headers['content-type'] || '').includes('json')
+          ? JSON.parse(body)
+          : Object.fromEntries(new URLSearchParams(body));
+        resolve({ ...params, ...fields });
+      } catch (error) {
+        const invalid = new Error(`Invalid request body: ${error.message}`);
+        invalid.statusCode = 400;
+        reject(invalid);
+      }
+    });
+  });
+}
+
+/**
+ * Create the status server
+ * @param {Object} options
+ * @param {string} options.token - API token protecting every endpoint but /health
+ * @param {string[]} options.accounts - Names of the monitored accounts (read on every request, so the caller may update the array in place)
+ * @param {Function} options.getHealth - async (accountName) => health object with an `ok` flag
+ * @param {Function} options.getStatus - async (accountName) => status object
+ * @param {Function} options.getHistory - (accountName, since, limit) => { readings, topUps }
+ * @param {Function} options.getReport - async (accountName, period) => balance report
+ * @param {Function} options.check - async (accountName) => status object after the check
+ * @param {Function} options.getMaintenance - async (accountName) => { active, windows }
+ * @param {Function} options.addMaintenance - async (accountName, { start, end, reason }) => added window
+ * @param {Function} options.removeMaintenance - async (accountName, id) => number of windows removed
+ * @param {MetricsRegistry} [options.metrics] - Registry served on /metrics
+ * @param {boolean} [options.publicMetrics] - Serve /metrics without the token
+ * @param {Function} [options.acknowledge] - async (accountName, { by, via, note }) => the
+ *   acknowledgement, or null when no low-balance alert is outstanding; serves /ack
+ * @param {Function} [options.verifyAckLink] - async (accountName, signature) => whether an
+ *   acknowledgement link is valid
+ * @param {string} [options.webhookSecret] - Secret the webhooks and acknowledgement links need
+ * @param {Function} [options.onDeliveryReceipt] - async (params) => applied receipt or null
+ * @param {Function} [options.onInboundMessage] - async (params) => { acknowledged, reason }
+ * @param {Function} [options.log] - (message, level) logger
+ * @returns {http.Server} Server, not yet listening
+ */
+function createStatusServer({ token, accounts, getHealth, getStatus, getHistory, getReport, check, getMaintenance, addMaintenance, removeMaintenance, metrics = null, publicMetrics = false, acknowledge = null, verifyAckLink = null, webhookSecret = null, onDeliveryReceipt = null, onInboundMessage = null, log = () => {} }) {
+  const publicPaths = publicMetrics ? ['/health', '/metrics'] : ['/health'];
+
+  /**
+   * Resolve an account parameter to a list of account names: every account
+   * when it is empty
+   */
+  function resolveAccounts(name) {
+    if (!name) {
+      return accounts;
+    }
+    if (!accounts.includes(name)) {
+      const error = new Error(`Unknown account '${name}'. Available accounts: ${accounts.join(', ')}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return [name];
+  }
+
+  /**
+   * Resolve the ?account= parameter to a list of account names
+   */
+  function selectAccounts(url) {
+    return resolveAccounts(url.searchParams.get('account'));
+  }
+
+  /**
+   * Read a maintenance window from ?start=&end= (ISO 8601, start defaults to now)
+   * or ?duration=<ms>, plus an optional ?reason=
+   */
+  function parseMaintenanceWindow(url) {
+    const params = url.searchParams;
+    const start = params.get('start') ? Date.parse(params.get('start')) : Date.now();
+    const end = params.get('end') ? Date.parse(params.get('end')) : start + parseInt(params.get('duration'));
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+      const error = new Error('Give ?duration=<ms> or ?end=<ISO 8601 time> after ?start= (default: now)');
+      error.statusCode = 400;
+      throw error;
+    }
+    return { start, end, reason: params.get('reason') || null };
+  }
+
+  const routes = {
+    'GET /health': async () => {
+      const checks = await Promise.all(accounts.map(async name => ({ account: name, ...(await getHealth(name)) })));
+      const ok = checks.every(item => item.ok);
+      return [ok ? 200 : 503, { status: ok ? 'ok' : 'degraded', uptime: Math.round(process.uptime()), accounts: checks }];
+    },
+
+    'GET /status': async (url) => {
+      const statuses = await Promise.all(selectAccounts(url).map(async name => ({ account: name, ...(await getStatus(name)) })));
+      return [200, { accounts: statuses }];
+    },
+
+    'GET /history': async (url) => {
+      const since = parseInt(url.searchParams.get('since')) || 0;
+      const limit = parseInt(url.searchParams.get('limit')) || 1000;
+      return [200, {
+        accounts: selectAccounts(url).map(name => ({ account: name, ...getHistory(name, since, limit) }))
+      }];
+    },
+
+    'GET /report': async (url) => {
+      const period = url.searchParams.get('period') || 'daily';
+      const format = url.searchParams.get('format') || 'json';
+      if (!REPORT_PERIODS.includes(period) || !REPORT_FORMATS.includes(format)) {
+        const error = new Error(`Give ?period= as ${REPORT_PERIODS.join(' or ')} and ?format= as ${REPORT_FORMATS.join(' or ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      const reports = await Promise.all(selectAccounts(url).map(name => getReport(name, period)));
+      return format === 'csv'
+        ? [200, formatReportCsv(reports), 'text/csv; charset=utf-8']
+        : [200, { period, accounts: reports }];
+    },
+
+    'POST /check': async (url) => {
+      const names = selectAccounts(url);
+      const results = [];
+      for (const name of names) {
+        results.push({ account: name, ...(await check(name)) });
+      }
+      return [200, { accounts: results }];
+    },
+
+    'GET /maintenance': async (url) => {
+      const windows = await Promise.all(selectAccounts(url).map(async name => ({ account: name, ...(await getMaintenance(name)) })));
+      return [200, { accounts: windows }];
+    },
+
+    'POST /maintenance': async (url) => {
+      const window = parseMaintenanceWindow(url);
+      const added = [];
+      for (const name of selectAccounts(url)) {
+        added.push({ account: name, ...(await addMaintenance(name, window)) });
+      }
+      return [201, { windows: added }];
+    },
+
+    'DELETE /maintenance': async (url) => {
+      const id = url.searchParams.get('id');
+      const removed = [];
+      for (const name of selectAccounts(url)) {
+        removed.push({ account: name, removed: await removeMaintenance(name, id) });
+      }
+      return [200, { accounts: removed }];
+    }
+  };
+
+  if (metrics) {
+    routes['GET /metrics'] = async () => [200, await metrics.render(), 'text/plain; version=0.0.4; charset=utf-8'];
+  }
+
+  /**
+   * Check an acknowledgement link's account and signature
+   */
+  async function checkAckLink(name, signature) {
+    if (!accounts.includes(name) || !webhookSecret || !(await verifyAckLink(name, signature))) {
+      const error = new Error('This acknowledgement link is invalid, or the alert it was sent with is over');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  if (acknowledge) {
+    // The link opens a page whose button acknowledges, so link previews do not
+    publicPaths.push('/ack');
+
+    routes['GET /ack'] = async (url) => {
+      const name = url.searchParams.get('account');
+      const signature = url.searchParams.get('sig');
+      await checkAckLink(name, signature);
+      const action = `ack?account=${encodeURIComponent(name)}&sig=${encodeURIComponent(signature)}`;
+      return [200, `<p>Acknowledge the low-balance alert for <strong>${escapeHtml(name)}</strong>? No more low-balance alerts are sent for it until the balance recovers.</p>
+<form method="post" action="${escapeHtml(action)}">
+<p><label>Your name <input name="by" maxlength="100"></label></p>
+<p><label>Note <input name="note" maxlength="200" placeholder="e.g. top-up ordered"></label></p>
+<p><button type="submit">Acknowledge</button></p>
+</form>`, HTML];
+    };
+
+    routes['POST /ack'] = async (url, req) => {
+      const params = await readParams(req, url);
+      const note = params.note || null;
+
+      // Without the token, only the account of a valid link can be acknowledged
+      if (!isAuthorized(req, token)) {
+        if (!params.sig) {
+          const error = new Error('Unauthorized');
+          error.statusCode = 401;
+          throw error;
+        }
+        await checkAckLink(params.account, params.sig);
+        const acknowledgement = await acknowledge(params.account, { by: params.by || 'link', via: 'link', note });
+        return acknowledgement
+          ? [200, `<p>Acknowledged by ${escapeHtml(acknowledgement.by)}. No more low-balance alerts are sent for <strong>${escapeHtml(params.account)}</strong> until the balance recovers.</p>`, HTML]
+          : [409, `<p>There is no low-balance alert to acknowledge for <strong>${escapeHtml(params.account)}</strong>.</p>`, HTML];
+      }
+
+      const results = [];
+      for (const name of resolveAccounts(params.account)) {
+        const acknowledgement = await acknowledge(name, { by: params.by || 'api', via: 'api', note });
+        results.push({ account: name, acknowledged: Boolean(acknowledgement), acknowledgement });
+      }
+      return [results.some(result => result.acknowledged) ? 200 : 409, { accounts: results }];
+    };
+  }
+
+  if (webhookSecret) {
+    const webhooks = {
+      '/webhooks/delivery-receipt': async params => ({ receipt: onDeliveryReceipt ? await onDeliveryReceipt(params) : null }),
+      '/webhooks/inbound': async params => (onInboundMessage ? onInboundMessage(params) : { acknowledged: [], reason: 'Replies are not handled' })
+    };
+
+    // Providers call webhooks with GET or POST, depending on the provider and its settings
+    Object.entries(webhooks).forEach(([path, handle]) => {
+      publicPaths.push(path);
+      const route = async (url, req) => {
+        const params = await readParams(req, url);
+        if (!matchesSecret(url.searchParams.get('key'), webhookSecret)) {
+          const error = new Error('Unauthorized');
+          error.statusCode = 401;
+          throw error;
+        }
+        delete params.key;
+        return [200, await handle(params)];
+      };
+      routes[`GET ${path}`] = route;
+      routes[`POST ${path}`] = route;
+    });
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${url.pathname}`];
+
+    if (!route) {
+      const known = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+      sendJson(res, known ? 405 : 404, { error: known ? 'Method not allowed' : 'Not found' });
+      return;
+    }
+
+    if (!publicPaths.includes(url.pathname) && !isAuthorized(req, token)) {
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    try {
+      const [statusCode, body, contentType] = await route(url, req);
+      if (typeof body === 'string' && contentType === HTML) {
+        sendPage(res, statusCode, 'SMS Balance Monitor', body);
+      } else if (typeof body === 'string') {
+        sendText(res, statusCode, body, contentType);
+      } else {
+        sendJson(res, statusCode, body);
+      }
+    } catch (error) {
+      if (!error.statusCode) {
+        log(`Status API ${req.method} ${url.pathname} failed: ${error.message}`, 'ERROR');
+      }
+      if (url.pathname === '/ack' && (req.method === 'GET' || !isAuthorized(req, token))) {
+        sendPage(res, error.statusCode || 500, 'SMS Balance Monitor', `<p>${escapeHtml(error.message)}</p>`);
+        return;
+      }
+      sendJson(res, error.statusCode || 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createStatusServer };
@@ -2,297 +2,211 @@ const fs = require('fs');
 const path = require('path');
 
 // Import configuration
-const config = require('./config');
-const { validateConfig, SMS_PROVIDER, getProviderConfig, MONITOR_CONFIG, ALERT_CONFIG, FILE_PATHS } = config;
+const { validateConfig, STATUS_API_CONFIG, ACKNOWLEDGEMENT_CONFIG, RELOAD_CONFIG, PROVIDER_PLUGINS } = require('./config');
 
-// Import provider registry
-const providerRegistry = require('./providers/provider-registry');
-
-// Initialize SMS provider through registry
-let SMSProvider;
-try {
-  const providerConfig = getProviderConfig(SMS_PROVIDER);
-  if (!providerConfig) {
-    throw new Error(`No configuration found for provider '${SMS_PROVIDER}'. Available providers: ${providerRegistry.getAvailableProviders().join(', ')}`);
-  }
-  SMSProvider = providerRegistry.getProvider(SMS_PROVIDER, providerConfig);
-} catch (error) {
-  console.error(`Failed to initialize SMS provider: ${error.message}`);
-  process.exit(1);
-}
-
-// Validate configuration
-try {
-  validateConfig();
-} catch (error) {
-  console.error(`Configuration error: ${error.message}`);
-  process.exit(1);
-}
-
-// Extract configuration values
+// Import the monitor, logging and status API
+const BalanceMonitor = require('./lib/balance-monitor');
 const {
-  threshold: SMS_BAL_THRESHOLD,
-  checkInterval: CHECK_INTERVAL,
-  notificationCooldown: NOTIFICATION_COOLDOWN,
-  maxConsecutiveNotifications: MAX_CONSECUTIVE_NOTIFICATIONS,
-  balanceChangeThreshold: BALANCE_CHANGE_THRESHOLD
-} = MONITOR_CONFIG;
-
-const { recipients: ALERT_RECIPIENTS } = ALERT_CONFIG;
-const { stateFile: STATE_FILE_PATH, logFile: LOG_FILE_PATH } = FILE_PATHS;
-
-// Default state
-const defaultState = {
-  lastNotificationTime: null,
-  consecutiveNotificationCount: 0,
-  lastKnownBalance: null,
-  lastCheckTime: null,
-  totalChecks: 0,
-  totalNotifications: 0
-};
+  history,
+  metrics,
+  getMaintenanceWindows,
+  addMaintenanceWindow,
+  removeMaintenanceWindows,
+  verifyAcknowledgementLink,
+  recordDeliveryReceipt,
+  acknowledgeByReply,
+  getAccountStatus,
+  getAccountHealth,
+  collectStateMetrics
+} = require('./lib/monitor');
+const { log } = require('./lib/logger');
+const { createStatusServer } = require('./server/status-server');
+
+// The monitor of the configured accounts, created on startup
+let monitor = null;
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// MAIN MONITORING LOGIC
 // ============================================================================
 
 /**
- * Logs a message with timestamp to both console and log file
+ * Stop monitoring, the status API and config file watching
  */
-function log(message, level = 'INFO') {
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] [${level}] ${message}`;
-  
-  console.log(logMessage);
-  
-  // Append to log file (async, non-blocking)
-  fs.appendFile(LOG_FILE_PATH, logMessage + '\n', (err) => {
-    if (err) {
-      console.error('Failed to write to log file:', err.message);
-    }
-  });
+async function stopMonitoring() {
+  RELOAD_CONFIG.files.forEach(file => fs.unwatchFile(file));
+  if (statusServer) {
+    statusServer.close();
+  }
+  await monitor.stop();
 }
 
 /**
- * Load state from file
+ * Validate the configuration, then monitor the configured accounts until
+ * the process is told to stop
  */
-function loadState() {
+async function startMonitoring() {
+  // Validate configuration, reporting every problem at once
+  let configReport;
   try {
-    if (fs.existsSync(STATE_FILE_PATH)) {
-      const data = fs.readFileSync(STATE_FILE_PATH, 'utf8');
-      const state = JSON.parse(data);
-      // Merge with default state to handle missing properties
-      return { ...defaultState, ...state };
-    }
+    configReport = validateConfig();
   } catch (error) {
-    log(`Error loading state file: ${error.message}`, 'ERROR');
+    console.error(`Configuration error: ${error.message}`);
+    process.exit(1);
   }
-  return { ...defaultState };
-}
 
-/**
- * Save state to file
- */
-function saveState(state) {
+  // Initialize one SMS provider and its alert channels per account through the registries
   try {
-    fs.writeFileSync(STATE_FILE_PATH, JSON.stringify(state, null, 2));
+    monitor = new BalanceMonitor();
   } catch (error) {
-    log(`Error saving state file: ${error.message}`, 'ERROR');
+    console.error(`Failed to initialize SMS provider: ${error.message}`);
+    process.exit(1);
   }
+
+  log('========================================', 'INFO');
+  log('SMS Balance Monitor Started', 'INFO', null, { event: 'startup' });
+  log(`Accounts: ${monitor.accounts.map(account => account.name).join(', ')}`, 'INFO');
+  log('========================================', 'INFO');
+  PROVIDER_PLUGINS.plugins.forEach(({ source, providers }) => {
+    log(`Provider plugin loaded: ${source} (${providers.join(', ') || 'no providers'})`, 'INFO', null, { event: 'provider-plugin-loaded', source, providers });
+  });
+  configReport.warnings.forEach(warning => {
+    log(`Config warning: ${warning}`, 'WARN', null, { event: 'config-warning' });
+  });
+
+  startStatusServer();
+  watchConfigFiles();
+
+  await monitor.start();
+
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => {
+    log('Received SIGTERM, shutting down gracefully...', 'INFO', null, { event: 'shutdown' });
+    stopMonitoring().finally(() => process.exit(0));
+  });
+
+  process.on('SIGINT', () => {
+    log('Received SIGINT, shutting down gracefully...', 'INFO', null, { event: 'shutdown' });
+    stopMonitoring().finally(() => process.exit(0));
+  });
+
+  // Reload the configuration without restarting
+  process.on('SIGHUP', () => {
+    reload('SIGHUP');
+  });
+
+  // Handle uncaught errors
+  process.on('unhandledRejection', (error) => {
+    log(`Unhandled promise rejection: ${error.message}`, 'ERROR');
+    // Don't exit, continue monitoring
+  });
+
+  process.on('uncaughtException', (error) => {
+    log(`Uncaught exception: ${error.message}`, 'ERROR');
+    // Exit on uncaught exception as it may indicate a serious problem.
+    // Exit right away rather than waiting for the state store to close.
+    stopMonitoring();
+    process.exit(1);
+  });
 }
 
 // ============================================================================
-// NOTIFICATION LOGIC
+// CONFIGURATION RELOAD
 // ============================================================================
 
 /**
- * Determine if notification should be sent based on rate limiting rules
+ * Reload the configuration (see BalanceMonitor#reload) and keep the status
+ * API's account list in step
+ * @param {string} trigger - What asked for the reload, for the log
  */
-function shouldSendNotification(now, balance, state) {
-  // Reset consecutive count if balance is above threshold
-  if (balance > SMS_BAL_THRESHOLD) {
-    if (state.consecutiveNotificationCount > 0) {
-      log(`Balance recovered (${balance}). Resetting notification count.`, 'INFO');
-      state.consecutiveNotificationCount = 0;
-      state.lastKnownBalance = balance;
-      saveState(state);
-    }
-    return false;
-  }
-  
-  // Don't send if we've reached max consecutive notifications
-  if (state.consecutiveNotificationCount >= MAX_CONSECUTIVE_NOTIFICATIONS) {
-    return false;
-  }
-  
-  // If this is the first alert for this low-balance period (no notifications sent yet), always send
-  if (state.consecutiveNotificationCount === 0) {
-    return true;
-  }
-  
-  // Don't send if we've sent one recently (within cooldown period)
-  if (state.lastNotificationTime && (now - state.lastNotificationTime) < NOTIFICATION_COOLDOWN) {
-    return false;
-  }
-  
-  // For subsequent alerts, only send if balance changed significantly
-  if (state.lastKnownBalance !== null && 
-      Math.abs(balance - state.lastKnownBalance) < BALANCE_CHANGE_THRESHOLD) {
-    return false;
-  }
-  
-  return true;
+function reload(trigger) {
+  return monitor.reload(trigger).then(() => {
+    accountNames.splice(0, accountNames.length, ...monitor.accounts.map(account => account.name));
+  });
 }
 
 /**
- * Get reason why notification was skipped
+ * Reload the configuration when one of its files changes. Files are polled,
+ * which also catches editors that replace a file rather than write to it.
  */
-function getSkipReason(now, balance, state) {
-  if (balance > SMS_BAL_THRESHOLD) {
-    return 'Balance above threshold';
+function watchConfigFiles() {
+  if (!RELOAD_CONFIG.watch) {
+    return;
   }
-  if (state.consecutiveNotificationCount >= MAX_CONSECUTIVE_NOTIFICATIONS) {
-    return `Max consecutive notifications reached (${MAX_CONSECUTIVE_NOTIFICATIONS})`;
-  }
-  // First alert should always be sent
-  if (state.consecutiveNotificationCount === 0) {
-    return 'Unknown (should not happen)';
-  }
-  if (state.lastNotificationTime && (now - state.lastNotificationTime) < NOTIFICATION_COOLDOWN) {
-    const minutesRemaining = Math.ceil((NOTIFICATION_COOLDOWN - (now - state.lastNotificationTime)) / 60000);
-    return `Within cooldown period (${minutesRemaining} minutes remaining)`;
-  }
-  // For subsequent alerts, check balance change
-  if (state.lastKnownBalance !== null && 
-      Math.abs(balance - state.lastKnownBalance) < BALANCE_CHANGE_THRESHOLD) {
-    return `Balance change too small (< ${BALANCE_CHANGE_THRESHOLD} units)`;
-  }
-  return 'Unknown';
-}
 
-/**
- * Send low SMS balance alert
- */
-async function alertLowSMSBalance(balance) {
-  const now = Date.now();
-  const state = loadState();
-  
-  // Check if we should send notification based on rate limiting
-  if (shouldSendNotification(now, balance, state)) {
-    try {
-      const notificationNumber = state.consecutiveNotificationCount + 1;
-      const message = `Hello Admin, SMS balance is low. Please recharge immediately!\nCurrent Balance: ${balance}\nNotification #${notificationNumber}`;
-      
-      // Use SMS provider to send alert
-      await SMSProvider.sendSMS(ALERT_RECIPIENTS, message);
-      
-      // Update tracking state
-      state.lastNotificationTime = now;
-      state.consecutiveNotificationCount++;
-      state.lastKnownBalance = balance;
-      state.totalNotifications++;
-      
-      // Save updated state
-      saveState(state);
-      
-      log(`SMS notification sent via ${SMSProvider.getName()}. Count: ${notificationNumber}/${MAX_CONSECUTIVE_NOTIFICATIONS}, Balance: ${balance}`, 'WARN');
-    } catch (error) {
-      log(`Failed to send SMS notification: ${error.message}`, 'ERROR');
-    }
-  } else {
-    const reason = getSkipReason(now, balance, state);
-    log(`SMS notification skipped. Balance: ${balance}, Reason: ${reason}`, 'INFO');
-  }
+  // Wait for a burst of writes to settle before reloading
+  let pending = null;
+  RELOAD_CONFIG.files.forEach(file => {
+    fs.watchFile(file, { interval: RELOAD_CONFIG.watchInterval }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+        return;
+      }
+      clearTimeout(pending);
+      pending = setTimeout(() => reload(`${path.basename(file)} changed`), 500);
+    });
+  });
+  log(`Watching configuration files: ${RELOAD_CONFIG.files.join(', ')}`, 'INFO');
 }
 
 // ============================================================================
-// MAIN MONITORING LOGIC
+// STATUS API
 // ============================================================================
 
+let statusServer = null;
+
+// Names of the monitored accounts, updated in place on reload
+let accountNames = [];
+
 /**
- * Check SMS balance and handle alerts
+ * Find a monitored account by name
  */
-async function checkSMSBalance() {
-  const state = loadState();
-  state.totalChecks++;
-  state.lastCheckTime = Date.now();
-  saveState(state);
-  
-  try {
-    // Use SMS provider to check balance
-    const balance = await SMSProvider.checkBalance();
-    log(`Balance check: ${balance} (Threshold: ${SMS_BAL_THRESHOLD})`, 'INFO');
-    
-    if (balance !== null && balance !== undefined) {
-      if (balance <= SMS_BAL_THRESHOLD) {
-        await alertLowSMSBalance(balance);
-      } else {
-        // Reset consecutive count when balance is above threshold
-        if (state.consecutiveNotificationCount > 0) {
-          log(`Balance recovered (${balance}). Resetting notification count.`, 'INFO');
-          state.consecutiveNotificationCount = 0;
-          state.lastKnownBalance = balance;
-          saveState(state);
-        } else {
-          // Update last known balance even when above threshold
-          state.lastKnownBalance = balance;
-          saveState(state);
-        }
-      }
-    } else {
-      log('Warning: Received null or undefined balance', 'WARN');
-    }
-  } catch (error) {
-    log(`SMS Balance check failed: ${error.message}`, 'ERROR');
-    // Don't exit on error, continue monitoring
-  }
+function getAccount(name) {
+  return monitor.getAccount(name);
 }
 
 /**
- * Main monitoring loop
+ * Start the status API if enabled
  */
-async function startMonitoring() {
-  log('========================================', 'INFO');
-  log('SMS Balance Monitor Started', 'INFO');
-  log(`SMS Provider: ${SMSProvider.getName()}`, 'INFO');
-  log(`Check Interval: ${CHECK_INTERVAL / 1000 / 60} minutes`, 'INFO');
-  log(`Threshold: ${SMS_BAL_THRESHOLD}`, 'INFO');
-  log(`Notification Cooldown: ${NOTIFICATION_COOLDOWN / 1000 / 60} minutes`, 'INFO');
-  log(`Max Consecutive Notifications: ${MAX_CONSECUTIVE_NOTIFICATIONS}`, 'INFO');
-  log(`Balance Change Threshold: ${BALANCE_CHANGE_THRESHOLD}`, 'INFO');
-  log('========================================', 'INFO');
-  
-  // Perform initial check immediately
-  await checkSMSBalance();
-  
-  // Set up interval for subsequent checks
-  const intervalId = setInterval(async () => {
-    await checkSMSBalance();
-  }, CHECK_INTERVAL);
-  
-  // Handle graceful shutdown
-  process.on('SIGTERM', () => {
-    log('Received SIGTERM, shutting down gracefully...', 'INFO');
-    clearInterval(intervalId);
-    process.exit(0);
-  });
-  
-  process.on('SIGINT', () => {
-    log('Received SIGINT, shutting down gracefully...', 'INFO');
-    clearInterval(intervalId);
-    process.exit(0);
+function startStatusServer() {
+  if (!STATUS_API_CONFIG.enabled) {
+    return;
+  }
+
+  metrics.onCollect(() => collectStateMetrics(monitor.accounts));
+
+  accountNames = monitor.accounts.map(account => account.name);
+  statusServer = createStatusServer({
+    token: STATUS_API_CONFIG.token,
+    accounts: accountNames,
+    getHealth: name => getAccountHealth(getAccount(name)),
+    getStatus: name => getAccountStatus(getAccount(name)),
+    getMaintenance: name => getMaintenanceWindows(getAccount(name)),
+    addMaintenance: (name, window) => addMaintenanceWindow(getAccount(name), window),
+    removeMaintenance: (name, id) => removeMaintenanceWindows(getAccount(name), id),
+    getHistory: (name, since, limit) => ({
+      readings: history ? history.getReadings(name, since).slice(-limit) : [],
+      topUps: history ? history.getTopUps(name, since).slice(-limit) : []
+    }),
+    getReport: (name, period) => monitor.getReport(name, period),
+    check: async name => {
+      log('On-demand balance check requested via status API', 'INFO', getAccount(name));
+      await monitor.checkOnce(name);
+      return getAccountStatus(getAccount(name));
+    },
+    metrics: STATUS_API_CONFIG.metricsEnabled ? metrics : null,
+    publicMetrics: STATUS_API_CONFIG.metricsPublic,
+    acknowledge: (name, options) => monitor.acknowledge(name, options),
+    verifyAckLink: (name, signature) => verifyAcknowledgementLink(getAccount(name), signature),
+    webhookSecret: ACKNOWLEDGEMENT_CONFIG.webhookSecret,
+    onDeliveryReceipt: params => recordDeliveryReceipt(monitor.accounts, params),
+    onInboundMessage: params => acknowledgeByReply(monitor.accounts, params),
+    log
   });
-  
-  // Handle uncaught errors
-  process.on('unhandledRejection', (error) => {
-    log(`Unhandled promise rejection: ${error.message}`, 'ERROR');
-    // Don't exit, continue monitoring
+
+  statusServer.on('error', (error) => {
+    log(`Status API error: ${error.message}`, 'ERROR');
   });
-  
-  process.on('uncaughtException', (error) => {
-    log(`Uncaught exception: ${error.message}`, 'ERROR');
-    // Exit on uncaught exception as it may indicate a serious problem
-    clearInterval(intervalId);
-    process.exit(1);
+  statusServer.listen(STATUS_API_CONFIG.port, STATUS_API_CONFIG.host, () => {
+    log(`Status API listening on http://${STATUS_API_CONFIG.host}:${STATUS_API_CONFIG.port}`, 'INFO');
   });
 }
 
@@ -300,8 +214,14 @@ async function startMonitoring() {
 // START APPLICATION
 // ============================================================================
 
-// Start monitoring
-startMonitoring().catch((error) => {
-  log(`Fatal error starting monitor: ${error.message}`, 'ERROR');
-  process.exit(1);
-});
+// Start monitoring when run as a script; requiring this file only loads the library
+if (require.main === module) {
+  startMonitoring().catch((error) => {
+    log(`Fatal error starting monitor: ${error.message}`, 'ERROR');
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  BalanceMonitor
+};
@@ -0,0 +1,90 @@
+/**
+ * Base State Store Class
+ *
+ * This is an abstract base class that defines the interface for where the
+ * monitor keeps per-account notification state. All store implementations
+ * should extend this class and implement the required methods.
+ *
+ * Stores only hold state; defaults are merged in by the caller.
+ */
+class BaseStateStore {
+  /**
+   * @param {Object} config - Store configuration (see config.js STATE_STORE_CONFIG)
+   * @param {Object} [options]
+   * @param {string} [options.defaultAccount] - Account that inherits pre-multi-account state
+   * @param {Function} [options.log] - (message, level) logger
+   */
+  constructor(config, { defaultAccount = 'default', log = () => {} } = {}) {
+    if (this.constructor === BaseStateStore) {
+      throw new Error('BaseStateStore is abstract and cannot be instantiated directly');
+    }
+    this.config = config;
+    this.defaultAccount = defaultAccount;
+    this.log = log;
+    this.locks = new Map();
+  }
+
+  /**
+   * Prepare the store (connect, create tables, migrate older state)
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Load an account's state
+   * @param {string} account - Account name
+   * @returns {Promise<Object|null>} The stored state, or null if there is none
+   * @throws {Error} If the stored state cannot be read
+   */
+  async load(account) {
+    throw new Error('load() must be implemented by the state store');
+  }
+
+  /**
+   * Save an account's state, leaving other accounts untouched
+   * @param {string} account - Account name
+   * @param {Object} state - State to store
+   * @returns {Promise<void>}
+   */
+  async save(account, state) {
+    throw new Error('save() must be implemented by the state store');
+  }
+
+  /**
+   * Run fn while holding an account's lock, so a check and its state updates
+   * are not interleaved with another one. This default only serializes
+   * callers within the current process.
+   * @param {string} account - Account name
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} fn's result
+   */
+  async withLock(account, fn) {
+    const previous = this.locks.get(account) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => fn());
+    this.locks.set(account, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(account) === current) {
+        this.locks.delete(account);
+      }
+    }
+  }
+
+  /**
+   * Release connections and file handles
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Get store name
+   * @returns {string} The name of the store
+   */
+  getName() {
+    return this.constructor.name;
+  }
+}
+
+module.exports = BaseStateStore;
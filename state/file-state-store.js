@@ -0,0 +1,118 @@
+const fs = require('fs');
+const BaseStateStore = require('./base-state-store');
+const { SCHEMA_VERSION, migrateDocument } = require('./migrations');
+
+/**
+ * File State Store
+ *
+ * Keeps every account's state in one JSON file. Writes go to a temporary
+ * file that is flushed and renamed over the original, so a crash mid-write
+ * leaves the previous state intact. The last good file is kept as
+ * `<file>.bak` and is read if the main file is ever unreadable.
+ *
+ * Configuration:
+ * {
+ *   filePath: "/path/to/sms_notification_state.json"
+ * }
+ */
+class FileStateStore extends BaseStateStore {
+  constructor(config, options) {
+    super(config, options);
+    this.filePath = config.filePath;
+    this.backupPath = `${config.filePath}.bak`;
+  }
+
+  /**
+   * Upgrade a state file written by an older version
+   */
+  async init() {
+    const { data, fromVersion } = this.readDocument();
+    if (data && fromVersion < SCHEMA_VERSION) {
+      this.writeDocument(data);
+      this.log(`State file migrated from schema version ${fromVersion} to ${SCHEMA_VERSION} (previous copy kept at ${this.backupPath})`, 'INFO');
+    }
+  }
+
+  async load(account) {
+    const { data } = this.readDocument();
+    return data ? data.accounts[account] || null : null;
+  }
+
+  async save(account, state) {
+    const { data } = this.readDocument();
+    const document = data || { version: SCHEMA_VERSION, accounts: {} };
+    document.accounts[account] = state;
+    this.writeDocument(document);
+  }
+
+  /**
+   * Read and migrate the state file, falling back to the backup copy
+   * @returns {{ data: Object|null, fromVersion: number }} data is null when no state exists yet
+   * @throws {Error} If neither the file nor its backup can be read
+   */
+  readDocument() {
+    if (!fs.existsSync(this.filePath)) {
+      return { data: null, fromVersion: SCHEMA_VERSION };
+    }
+
+    try {
+      return this.parseFile(this.filePath);
+    } catch (error) {
+      if (!fs.existsSync(this.backupPath)) {
+        throw new Error(`State file ${this.filePath} is unreadable (${error.message}) and has no backup`);
+      }
+
+      try {
+        const result = this.parseFile(this.backupPath);
+        this.log(`State file ${this.filePath} is unreadable (${error.message}); using backup ${this.backupPath}`, 'ERROR');
+        return result;
+      } catch (backupError) {
+        throw new Error(`State file ${this.filePath} and its backup are unreadable: ${error.message}; ${backupError.message}`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  parseFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return migrateDocument(data, { defaultAccount: this.defaultAccount });
+  }
+
+  /**
+   * Write the document to a temporary file, flush it to disk and rename it
+   * over the state file
+   * @private
+   */
+  writeDocument(document) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(document, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Only a readable state file may replace the backup
+    if (fs.existsSync(this.filePath) && this.isReadable(this.filePath)) {
+      fs.copyFileSync(this.filePath, this.backupPath);
+    }
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * @private
+   */
+  isReadable(filePath) {
+    try {
+      JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = FileStateStore;
@@ -0,0 +1,44 @@
+/**
+ * State Store Index
+ *
+ * This file exports the state store implementations and a factory that
+ * picks one by type.
+ */
+
+const BaseStateStore = require('./base-state-store');
+const FileStateStore = require('./file-state-store');
+const SqliteStateStore = require('./sqlite-state-store');
+const RedisStateStore = require('./redis-state-store');
+const MemoryStateStore = require('./memory-state-store');
+const migrations = require('./migrations');
+
+const STORE_TYPES = {
+  file: FileStateStore,
+  sqlite: SqliteStateStore,
+  redis: RedisStateStore,
+  memory: MemoryStateStore
+};
+
+/**
+ * Create the state store for a configuration
+ * @param {Object} config - Store configuration with a `type` of file, sqlite or redis
+ * @param {Object} [options] - Passed to the store (defaultAccount, log)
+ * @returns {BaseStateStore} Store instance, not yet initialized
+ */
+function createStateStore(config, options) {
+  const StoreClass = STORE_TYPES[config.type];
+  if (!StoreClass) {
+    throw new Error(`Unknown state store '${config.type}'. Supported: ${Object.keys(STORE_TYPES).join(', ')}`);
+  }
+  return new StoreClass(config, options);
+}
+
+module.exports = {
+  createStateStore,
+  BaseStateStore,
+  FileStateStore,
+  SqliteStateStore,
+  RedisStateStore,
+  MemoryStateStore,
+  ...migrations
+};
@@ -0,0 +1,28 @@
+const BaseStateStore = require('./base-state-store');
+
+/**
+ * Memory State Store
+ *
+ * Keeps state in the process only, so it is gone on exit. For tests and
+ * simulations, where state must start fresh and never touch the real file.
+ * State is copied on the way in and out, as a persistent store would.
+ *
+ * Configuration: none
+ */
+class MemoryStateStore extends BaseStateStore {
+  constructor(config = {}, options) {
+    super(config, options);
+    this.accounts = new Map();
+  }
+
+  async load(account) {
+    const state = this.accounts.get(account);
+    return state ? JSON.parse(state) : null;
+  }
+
+  async save(account, state) {
+    this.accounts.set(account, JSON.stringify(state));
+  }
+}
+
+module.exports = MemoryStateStore;
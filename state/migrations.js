@@ -0,0 +1,58 @@
+/**
+ * State Schema Migrations
+ *
+ * Upgrades state documents written by older versions of the monitor.
+ *
+ * Schema versions:
+ * 0 - A single account's state at the top level (before multiple accounts)
+ * 1 - { accounts: { <name>: state } }
+ * 2 - { version: 2, accounts: { <name>: state } }
+ */
+
+const SCHEMA_VERSION = 2;
+
+// Each migration upgrades a document from its key version to the next
+const MIGRATIONS = {
+  0: (data, { defaultAccount }) => ({ accounts: { [defaultAccount]: data } }),
+  1: data => ({ version: 2, accounts: data.accounts || {} })
+};
+
+/**
+ * Detect the schema version of a state document
+ * @param {Object} data - Parsed state document
+ * @returns {number}
+ */
+function getSchemaVersion(data) {
+  if (typeof data.version === 'number') {
+    return data.version;
+  }
+  return data.accounts ? 1 : 0;
+}
+
+/**
+ * Upgrade a state document to the current schema version
+ * @param {Object} data - Parsed state document
+ * @param {Object} options
+ * @param {string} options.defaultAccount - Account that inherits pre-multi-account state
+ * @returns {{ data: Object, fromVersion: number }} Upgraded document and the version it had
+ * @throws {Error} If the document was written by a newer version of the monitor
+ */
+function migrateDocument(data, { defaultAccount }) {
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`State schema version ${fromVersion} is newer than this monitor supports (${SCHEMA_VERSION})`);
+  }
+
+  let migrated = data;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated, { defaultAccount });
+  }
+
+  return { data: migrated, fromVersion };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateDocument
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const BaseStateStore = require('./base-state-store');
+const FileStateStore = require('./file-state-store');
+const { SCHEMA_VERSION } = require('./migrations');
+
+// Delete a lock only if this instance still owns it
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+// Extend a lock's expiry only if this instance still owns it
+const RENEW_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// Write state only if this instance still owns the account's lock
+const SAVE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  redis.call("set", KEYS[2], ARGV[2])
+  return 1
+end
+return 0
+`;
+
+const LOCK_RETRY_DELAY = 100; // ms between attempts to take a busy lock
+
+/**
+ * Redis State Store
+ *
+ * Keeps each account's state under its own key so several monitor instances
+ * (e.g. two PM2 processes on different hosts) can share one state. Account
+ * locks are Redis keys set with NX and an expiry, so a crashed instance
+ * cannot hold a lock forever. A running holder renews its lock every third
+ * of the expiry, and state is only saved while the lock is still its own,
+ * so a check that outlives its lock cannot overwrite another instance's
+ * state. Requires the `redis` package, which is only
+ * loaded when this store is used. An existing JSON state file is imported
+ * the first time the store is used.
+ *
+ * Configuration:
+ * {
+ *   redisUrl: "redis://127.0.0.1:6379",
+ *   redisPrefix: "sms-balance-monitor:",
+ *   lockTtl: 120000,    // Expiry of a lock, renewed while its holder runs (ms)
+ *   lockTimeout: 30000, // Longest to wait for a busy lock (ms)
+ *   filePath: "/path/to/sms_notification_state.json" // Imported once if present
+ * }
+ */
+class RedisStateStore extends BaseStateStore {
+  constructor(config, options) {
+    super(config, options);
+    this.client = null;
+    this.prefix = config.redisPrefix || '';
+    // Token of each account lock this instance holds
+    this.heldLocks = new Map();
+  }
+
+  async init() {
+    let redis;
+    try {
+      redis = require('redis');
+    } catch (error) {
+      throw new Error('Redis state store requires the redis package (npm install redis)');
+    }
+
+    this.client = redis.createClient({ url: this.config.redisUrl });
+    this.client.on('error', error => this.log(`Redis state store error: ${error.message}`, 'ERROR'));
+    await this.client.connect();
+
+    // Only one instance imports the state file
+    await this.withLock('__schema__', async () => {
+      const version = await this.client.get(this.key('schema_version'));
+      if (version !== null && Number(version) > SCHEMA_VERSION) {
+        throw new Error(`State schema version ${version} is newer than this monitor supports (${SCHEMA_VERSION})`);
+      }
+      if (version === null) {
+        await this.importStateFile();
+      }
+    });
+  }
+
+  async load(account) {
+    const value = await this.client.get(this.key(`state:${account}`));
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Save an account's state. Under the account's lock the save only goes
+   * through while the lock is still held.
+   * @throws {Error} If the lock expired and was taken by another instance
+   */
+  async save(account, state) {
+    const token = this.heldLocks.get(account);
+    if (!token) {
+      await this.client.set(this.key(`state:${account}`), JSON.stringify(state));
+      return;
+    }
+
+    const saved = await this.client.eval(SAVE_SCRIPT, {
+      keys: [this.key(`lock:${account}`), this.key(`state:${account}`)],
+      arguments: [token, JSON.stringify(state)]
+    });
+    if (!saved) {
+      throw new Error(`Lost the state lock on '${account}' to another instance; state not saved`);
+    }
+  }
+
+  /**
+   * Run fn while holding the account's lock in Redis, shared by every
+   * instance. The lock is renewed until fn settles.
+   */
+  async withLock(account, fn) {
+    // Serialize within this process first so instances only compete with each other
+    return super.withLock(account, async () => {
+      const lockKey = this.key(`lock:${account}`);
+      const token = crypto.randomBytes(16).toString('hex');
+      const deadline = Date.now() + this.config.lockTimeout;
+
+      while (!(await this.client.set(lockKey, token, { NX: true, PX: this.config.lockTtl }))) {
+        if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for the state lock on '${account}' (held by another instance)`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+      }
+
+      this.heldLocks.set(account, token);
+      const renewal = setInterval(() => this.renewLock(account, lockKey, token), Math.floor(this.config.lockTtl / 3));
+      renewal.unref();
+
+      try {
+        return await fn();
+      } finally {
+        clearInterval(renewal);
+        this.heldLocks.delete(account);
+        await this.client.eval(RELEASE_SCRIPT, { keys: [lockKey], arguments: [token] });
+      }
+    });
+  }
+
+  /**
+   * Extend a held lock's expiry. A lock found gone is logged; the holder's
+   * next save then fails.
+   * @private
+   */
+  async renewLock(account, lockKey, token) {
+    try {
+      const renewed = await this.client.eval(RENEW_SCRIPT, { keys: [lockKey], arguments: [token, String(this.config.lockTtl)] });
+      if (!renewed) {
+        this.log(`State lock on '${account}' expired and was taken by another instance`, 'ERROR');
+      }
+    } catch (error) {
+      this.log(`Could not renew the state lock on '${account}': ${error.message}`, 'WARN');
+    }
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  key(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  /**
+   * Copy accounts from an existing JSON state file into Redis
+   * @private
+   */
+  async importStateFile() {
+    if (this.config.filePath && fs.existsSync(this.config.filePath)) {
+      const fileStore = new FileStateStore({ filePath: this.config.filePath }, { defaultAccount: this.defaultAccount, log: this.log });
+      const { data } = fileStore.readDocument();
+      const accounts = Object.entries(data.accounts);
+      for (const [account, state] of accounts) {
+        await this.save(account, state);
+      }
+      this.log(`Imported state for ${accounts.length} account(s) from ${this.config.filePath} into Redis`, 'INFO');
+    }
+
+    await this.client.set(this.key('schema_version'), String(SCHEMA_VERSION));
+  }
+}
+
+module.exports = RedisStateStore;
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const BaseStateStore = require('./base-state-store');
+const FileStateStore = require('./file-state-store');
+const { SCHEMA_VERSION } = require('./migrations');
+
+/**
+ * SQLite State Store
+ *
+ * Keeps one row per account in a local SQLite database. Requires the
+ * `better-sqlite3` package, which is only loaded when this store is used.
+ * Writes are transactional, and an existing JSON state file is imported the
+ * first time the database is opened.
+ *
+ * Configuration:
+ * {
+ *   sqlitePath: "/path/to/sms_notification_state.db",
+ *   filePath: "/path/to/sms_notification_state.json" // Imported once if present
+ * }
+ */
+class SqliteStateStore extends BaseStateStore {
+  constructor(config, options) {
+    super(config, options);
+    this.db = null;
+  }
+
+  async init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite state store requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.db = new Database(this.config.sqlitePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS account_state (
+        account TEXT PRIMARY KEY,
+        state TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('schema_version');
+    const version = row ? Number(row.value) : null;
+    if (version !== null && version > SCHEMA_VERSION) {
+      throw new Error(`State schema version ${version} is newer than this monitor supports (${SCHEMA_VERSION})`);
+    }
+    if (version === null) {
+      this.db.transaction(() => this.importStateFile())();
+    }
+  }
+
+  async load(account) {
+    const row = this.db.prepare('SELECT state FROM account_state WHERE account = ?').get(account);
+    return row ? JSON.parse(row.state) : null;
+  }
+
+  async save(account, state) {
+    this.db.prepare(`
+      INSERT INTO account_state (account, state, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(account) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+    `).run(account, JSON.stringify(state), Date.now());
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Copy accounts from an existing JSON state file into a new database
+   * @private
+   */
+  importStateFile() {
+    if (this.config.filePath && fs.existsSync(this.config.filePath)) {
+      const fileStore = new FileStateStore({ filePath: this.config.filePath }, { defaultAccount: this.defaultAccount, log: this.log });
+      const { data } = fileStore.readDocument();
+      const accounts = Object.entries(data.accounts);
+      accounts.forEach(([account, state]) => {
+        this.db.prepare('INSERT OR REPLACE INTO account_state (account, state, updated_at) VALUES (?, ?, ?)')
+          .run(account, JSON.stringify(state), Date.now());
+      });
+      this.log(`Imported state for ${accounts.length} account(s) from ${this.config.filePath} into ${this.config.sqlitePath}`, 'INFO');
+    }
+
+    this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('schema_version', String(SCHEMA_VERSION));
+  }
+}
+
+module.exports = SqliteStateStore;
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// The configured account, which reload() re-reads from the environment: checked
+// every 5 minutes in business hours and every 30 minutes outside them
+Object.assign(process.env, {
+  SMS_PROVIDER: 'mock',
+  MOCK_BALANCES: '900',
+  SMS_ALERT_RECIPIENTS: '0240000000',
+  SMS_CHECK_INTERVAL: '5m',
+  SMS_OFF_HOURS_CHECK_INTERVAL: '30m',
+  SMS_BUSINESS_HOURS: 'mon-fri 08:00-18:00',
+  SMS_SCHEDULE_TIMEZONE: 'UTC'
+});
+
+const { configureLogger } = require('../lib/logger');
+const BalanceMonitor = require('../lib/balance-monitor');
+const { SimulatedClock } = require('../lib/clock');
+const MockProvider = require('../providers/mock');
+const MemoryStateStore = require('../state/memory-state-store');
+
+// Simulated checks stay out of the console and the log file
+configureLogger({ console: null, file: false });
+
+test('a reload during a scheduled check leaves one check schedule', async () => {
+  const clock = new SimulatedClock(Date.parse('2026-10-19T17:55:00Z'));
+  const provider = new MockProvider({ balances: [900] }, { clock });
+  const monitor = new BalanceMonitor({ provider, stateStore: new MemoryStateStore(), history: null, clock });
+  const checks = [];
+  monitor.on('check', ({ time }) => checks.push(new Date(time).toISOString().slice(11, 16)));
+
+  await monitor.start();
+
+  // Hold the 18:00 check at the provider, the first one off hours, while the configuration is reloaded
+  const checkBalance = provider.checkBalance.bind(provider);
+  let release;
+  provider.checkBalance = () => new Promise(resolve => {
+    release = () => resolve(checkBalance());
+  });
+  await clock.advance(5 * 60 * 1000);
+
+  // A change that leaves the account as it was, so the reload does not wait for its check
+  process.env.LOG_LEVEL = 'WARN';
+  const reloading = monitor.reload('test');
+  await clock.advance(0);
+  provider.checkBalance = checkBalance;
+  release();
+  await reloading;
+
+  await clock.advance(90 * 60 * 1000);
+  await monitor.stop();
+
+  assert.deepStrictEqual(checks, ['17:55', '18:00', '18:30', '19:00', '19:30']);
+});
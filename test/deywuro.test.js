@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const DeywuroProvider = require('../providers/deywuro');
+
+// Body the mock API answers balance lookups with
+let balanceResponse = null;
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(balanceResponse));
+});
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+after(() => new Promise(resolve => server.close(resolve)));
+
+function createProvider() {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return new DeywuroProvider({
+    balanceUrl: `${baseUrl}/bulksms/credit_bal.php`,
+    sendUrl: `${baseUrl}/api/sms`,
+    username: 'user',
+    password: 'pass',
+    http: { retries: 0, proxy: false }
+  });
+}
+
+test('checkBalance returns the balance as a number', async () => {
+  balanceResponse = { code: 0, balance: '1520.5' };
+  assert.strictEqual(await createProvider().checkBalance(), 1520.5);
+});
+
+test('checkBalance rejects a balance that is not a number', async () => {
+  for (const balance of ['unavailable', '100abc', '12 credits']) {
+    balanceResponse = { code: 0, balance };
+    await assert.rejects(createProvider().checkBalance(), {
+      name: 'ProviderError',
+      type: 'parse',
+      message: `Balance check failed: Invalid response format: balance "${balance}" is not a number`
+    });
+  }
+});
+
+test('checkBalance rejects a response without a balance', async () => {
+  balanceResponse = { code: 401, message: 'Invalid credentials' };
+  await assert.rejects(createProvider().checkBalance(), {
+    name: 'ProviderError',
+    type: 'parse',
+    message: 'Balance check failed: Invalid response format: balance not found'
+  });
+});
@@ -0,0 +1,79 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const GenericHttpProvider = require('../providers/generic-http');
+
+// Requests the mock API received, and how it answers the next ones: (request) => [status, body]
+let requests = [];
+let respond = null;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const request = { method: req.method, url: req.url, body: body ? JSON.parse(body) : null };
+    requests.push(request);
+    const [status, data] = respond(request);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  });
+});
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+after(() => new Promise(resolve => server.close(resolve)));
+beforeEach(() => {
+  requests = [];
+  respond = () => [200, { status: 'ok' }];
+});
+
+function createProvider(send = {}) {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return new GenericHttpProvider({
+    balance: { url: `${baseUrl}/balance`, balancePath: 'credit' },
+    send: {
+      url: `${baseUrl}/send`,
+      body: { to: '{{destination}}', text: '{{message}}' },
+      successPath: 'status',
+      successValue: 'ok',
+      ...send
+    },
+    http: { retries: 0, proxy: false }
+  });
+}
+
+test('sendSMS joins the destinations into one request', async () => {
+  await createProvider().sendSMS(['233240000000', '233500001100'], 'Balance low');
+
+  assert.deepStrictEqual(requests.map(request => request.body.to), ['233240000000,233500001100']);
+});
+
+test('sendSMS reports a response without the success value as a failed send', async () => {
+  respond = () => [200, { status: 'error' }];
+
+  await assert.rejects(createProvider().sendSMS(['233240000000', '233500001100'], 'Balance low'), error => {
+    assert.strictEqual(error.name, 'ProviderError');
+    assert.strictEqual(error.type, 'http');
+    assert.strictEqual(error.message, "SMS to 233240000000,233500001100 failed: status was 'error', expected 'ok'");
+    return true;
+  });
+});
+
+test('sendSMS with perRecipient carries on past a failing recipient and reports who failed', async () => {
+  respond = ({ body }) => [200, { status: body.to === '233000000000' ? 'error' : 'ok', to: body.to }];
+
+  const sending = createProvider({ perRecipient: true }).sendSMS(['233240000000', '233000000000', '233500001100'], 'Balance low');
+
+  await assert.rejects(sending, error => {
+    assert.strictEqual(error.name, 'ProviderError');
+    assert.strictEqual(error.type, 'http');
+    assert.strictEqual(error.retryable, false);
+    assert.strictEqual(error.message, "SMS to 233000000000 failed: status was 'error', expected 'ok'");
+    assert.deepStrictEqual(error.failedRecipients, ['233000000000']);
+    assert.deepStrictEqual(error.sent.map(data => data.to), ['233240000000', '233500001100']);
+    return true;
+  });
+  assert.strictEqual(requests.length, 3);
+});
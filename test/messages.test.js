@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { LOCALES, formatAlert } = require('../messages');
+
+const LOW_BALANCE = {
+  account: 'default',
+  type: 'low-balance',
+  tier: 'low',
+  balance: 450,
+  threshold: 700,
+  notificationNumber: 1,
+  forecast: null,
+  acknowledge: { keyword: 'ACK', url: 'https://monitor.example.com/ack?account=default&sig=abc' },
+  timestamp: Date.parse('2026-10-19T09:00:00Z')
+};
+
+function format(alert, channel, locale) {
+  return formatAlert(alert, { channel, locale, provider: 'MockProvider', timeZone: 'UTC', sms: { encoding: 'unicode', maxSegments: 10 } });
+}
+
+test('the acknowledgement lines of a low-balance alert follow its locale', () => {
+  const english = format(LOW_BALANCE, 'sms', 'en').message.split('\n');
+  assert.deepStrictEqual(english.slice(-2), [
+    'Reply ACK to stop further alerts until the balance recovers.',
+    'Acknowledge: https://monitor.example.com/ack?account=default&sig=abc'
+  ]);
+
+  const twi = format(LOW_BALANCE, 'sms', 'tw').message.split('\n');
+  assert.deepStrictEqual(twi.slice(-2), [
+    'San twerɛ ACK na nkaebɔ no bɛgyina kosi sɛ balance no bɛsan aba.',
+    'Gye tom: https://monitor.example.com/ack?account=default&sig=abc'
+  ]);
+});
+
+test('the reply keyword is only mentioned in SMS', () => {
+  const email = format(LOW_BALANCE, 'email', 'tw').message;
+  assert.doesNotMatch(email, /ACK/);
+  assert.match(email, /\nGye tom: https:\/\/monitor\.example\.com\/ack/);
+});
+
+test('every built-in locale has the templates and phrases of English', () => {
+  const { en, ...others } = LOCALES;
+  Object.entries(others).forEach(([locale, { templates, phrases }]) => {
+    assert.deepStrictEqual(Object.keys(templates).sort(), Object.keys(en.templates).sort(), `${locale} templates`);
+    assert.deepStrictEqual(Object.keys(phrases).sort(), Object.keys(en.phrases).sort(), `${locale} phrases`);
+  });
+});
+
+test('a balance report is rendered in the locale, unknown figures as not available', () => {
+  const report = {
+    account: 'default',
+    type: 'report',
+    balance: 3000,
+    threshold: 700,
+    details: {
+      report: {
+        period: 'weekly',
+        start: Date.parse('2026-10-12T08:00:00Z'),
+        end: Date.parse('2026-10-19T08:00:00Z'),
+        openingBalance: 4680,
+        closingBalance: 3000,
+        consumed: 1680,
+        topUps: 0,
+        topUpAmount: 0,
+        averageDailyUsage: 240,
+        daysRemaining: 12.5,
+        alertsSent: null,
+        checks: null
+      }
+    },
+    timestamp: Date.parse('2026-10-19T08:00:00Z')
+  };
+
+  const twi = format(report, 'sms', 'tw');
+  assert.strictEqual(twi.subject.split(':')[0], 'SMS balance amanneɛbɔ (nnawɔtwe biara) ma default');
+  assert.match(twi.message, /\nNkaebɔ: ɛnni hɔ$/);
+
+  const english = format(report, 'email', 'en');
+  assert.match(english.message, /^Weekly SMS balance report\n/);
+  assert.match(english.message, /\nConsumed: 1,680\n/);
+  assert.match(english.message, /\nBalance Checks: n\/a\n/);
+});
@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { configureLogger } = require('../lib/logger');
+const { simulate } = require('../lib/simulator');
+const { metrics } = require('../lib/monitor');
+const BalanceMonitor = require('../lib/balance-monitor');
+const { SimulatedClock } = require('../lib/clock');
+const MockProvider = require('../providers/mock');
+const MemoryStateStore = require('../state/memory-state-store');
+const RedisStateStore = require('../state/redis-state-store');
+const MemoryHistory = require('../history/memory-history');
+
+// Simulated checks stay out of the console and the log file
+configureLogger({ console: null, file: false });
+
+/**
+ * Read a check failure count from the metrics registry
+ */
+async function countCheckFailures(account, errorType) {
+  const text = await metrics.render();
+  const line = text.split('\n').find(candidate =>
+    candidate.startsWith('sms_balance_check_failures_total{') &&
+    candidate.includes(`account="${account}"`) &&
+    candidate.includes(`error_type="${errorType}"`));
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+test('a check without a balance counts as a parse failure', async () => {
+  const result = await simulate({
+    account: { name: 'no-balance', monitor: { threshold: 700, checkInterval: '5m' }, alert: { recipients: ['0240000000'] } },
+    provider: { balances: [null, null] }
+  });
+
+  assert.deepStrictEqual(result.events.filter(entry => entry.event === 'error').map(entry => entry.errorType), ['parse', 'parse']);
+  assert.strictEqual(await countCheckFailures('no-balance', 'parse'), 2);
+  assert.strictEqual(result.status.consecutiveCheckFailures, 2);
+});
+
+test('a reading that is not a number is a failed check, not a recovery', async () => {
+  const clock = new SimulatedClock(Date.parse('2026-10-19T09:00:00Z'));
+  const providerConfig = { balances: [500] };
+  const provider = new MockProvider(providerConfig, { clock });
+  const history = new MemoryHistory();
+  const monitor = new BalanceMonitor({
+    accounts: [{ name: 'nan-balance', provider: 'mock', providerConfig, monitor: { threshold: 700 }, alert: { recipients: ['0240000000'] } }],
+    provider,
+    stateStore: new MemoryStateStore(),
+    history,
+    clock
+  });
+  const events = [];
+  ['alert-sent', 'recovered'].forEach(event => monitor.on(event, () => events.push(event)));
+  monitor.on('error', (error, { errorType }) => events.push(`error:${errorType}`));
+
+  await monitor.checkOnce();
+  provider.checkBalance = async () => NaN;
+  const [status] = await monitor.checkOnce();
+
+  assert.deepStrictEqual(events, ['alert-sent', 'error:parse']);
+  assert.strictEqual(status.balance, 500);
+  assert.strictEqual(status.consecutiveNotificationCount, 1);
+  assert.strictEqual(status.consecutiveCheckFailures, 1);
+  assert.deepStrictEqual(history.getReadings('nan-balance', 0).map(reading => reading.balance), [500]);
+  assert.strictEqual(await countCheckFailures('nan-balance', 'parse'), 1);
+});
+
+/**
+ * In-memory stand-in for the redis client calls RedisStateStore makes
+ */
+function createFakeRedis() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async set(key, value, { NX } = {}) {
+      if (NX && data.has(key)) {
+        return null;
+      }
+      data.set(key, value);
+      return 'OK';
+    },
+    async eval(script, { keys: [lockKey, stateKey], arguments: [token, value] }) {
+      if (data.get(lockKey) !== token) {
+        return 0;
+      }
+      if (script.includes('"del"')) {
+        data.delete(lockKey);
+      } else if (script.includes('"set"')) {
+        data.set(stateKey, value);
+      }
+      return 1;
+    },
+    async quit() {}
+  };
+}
+
+test('a check stops when its state lock was taken by another instance', async () => {
+  const clock = new SimulatedClock(Date.parse('2026-10-19T09:00:00Z'));
+  const providerConfig = { balances: [500] };
+  const provider = new MockProvider(providerConfig, { clock });
+  const redis = createFakeRedis();
+  const stateStore = new RedisStateStore({ lockTtl: 120000, lockTimeout: 1000 });
+  stateStore.init = async () => {
+    stateStore.client = redis;
+  };
+  const monitor = new BalanceMonitor({
+    accounts: [{ name: 'lost-lock', provider: 'mock', providerConfig, monitor: { threshold: 700 }, alert: { recipients: ['0240000000'] } }],
+    provider,
+    stateStore,
+    history: new MemoryHistory(),
+    clock
+  });
+  const events = [];
+  monitor.on('alert-sent', () => events.push('alert-sent'));
+  monitor.on('error', (error, { errorType }) => events.push(`error:${errorType}`));
+
+  // The lock expires while the provider is slow, and another instance takes it
+  const checkBalance = provider.checkBalance.bind(provider);
+  provider.checkBalance = async () => {
+    redis.data.set('lock:lost-lock', 'other-instance');
+    return checkBalance();
+  };
+  await monitor.checkOnce();
+
+  assert.deepStrictEqual(events, ['error:state']);
+  assert.strictEqual(provider.sentMessages.length, 0);
+  assert.strictEqual(JSON.parse(redis.data.get('state:lost-lock')).lastBalance, null);
+  assert.strictEqual(redis.data.get('lock:lost-lock'), 'other-instance');
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { configureLogger } = require('../lib/logger');
+const { simulate } = require('../lib/simulator');
+
+// Simulated checks stay out of the console and the log file
+configureLogger({ console: null, file: false });
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2026-10-19T09:00:00Z');
+
+/**
+ * Simulate the default account with a threshold of 700, checked every 5 minutes
+ */
+function run(monitor, balances) {
+  return simulate({
+    account: {
+      monitor: { threshold: 700, checkInterval: '5m', ...monitor },
+      alert: { recipients: ['0240000000'] }
+    },
+    provider: { balances },
+    start: START
+  });
+}
+
+/**
+ * Events of one type, each with its minute since the start
+ */
+function eventsOf(result, event) {
+  return result.events
+    .filter(entry => entry.event === event)
+    .map(entry => ({ ...entry, minute: (entry.time - START) / MINUTE }));
+}
+
+test('sends alert #1 when the balance falls below the threshold', async () => {
+  const result = await run({}, [900, 500]);
+
+  const [alert, ...others] = eventsOf(result, 'alert-sent');
+  assert.strictEqual(others.length, 0);
+  assert.strictEqual(alert.minute, 5);
+  assert.strictEqual(alert.balance, 500);
+  assert.strictEqual(alert.notificationNumber, 1);
+  assert.strictEqual(result.messages.length, 1);
+  assert.deepStrictEqual(result.messages[0].destinations, ['0240000000']);
+  assert.match(result.messages[0].message, /500/);
+});
+
+test('holds alerts back during the cooldown', async () => {
+  const result = await run({ notificationCooldown: '30m' }, [900, 500, 400, 300, 200]);
+
+  assert.strictEqual(eventsOf(result, 'alert-sent').length, 1);
+  const skipped = eventsOf(result, 'alert-skipped');
+  assert.deepStrictEqual(skipped.map(entry => entry.minute), [10, 15, 20]);
+  skipped.forEach(entry => assert.match(entry.reason, /cooldown/));
+  assert.strictEqual(result.messages.length, 1);
+});
+
+test('sends alert #2 once the cooldown has passed', async () => {
+  const result = await run({ notificationCooldown: '10m' }, [900, 500, 400, 300]);
+
+  const alerts = eventsOf(result, 'alert-sent');
+  assert.deepStrictEqual(alerts.map(entry => [entry.minute, entry.notificationNumber]), [[5, 1], [15, 2]]);
+  assert.deepStrictEqual(eventsOf(result, 'alert-skipped').map(entry => entry.minute), [10]);
+  assert.strictEqual(result.status.consecutiveNotificationCount, 2);
+});
+
+test('stops alerting at maxConsecutiveNotifications', async () => {
+  const result = await run({ notificationCooldown: '5m', maxConsecutiveNotifications: 3 }, [900, 600, 500, 400, 300, 200]);
+
+  assert.deepStrictEqual(eventsOf(result, 'alert-sent').map(entry => entry.notificationNumber), [1, 2, 3]);
+  const skipped = eventsOf(result, 'alert-skipped');
+  assert.deepStrictEqual(skipped.map(entry => entry.minute), [20, 25]);
+  skipped.forEach(entry => assert.match(entry.reason, /Max consecutive notifications reached/));
+  assert.strictEqual(result.messages.length, 3);
+});
+
+test('re-alerts only once the balance has moved by balanceChangeThreshold', async () => {
+  const result = await run({ notificationCooldown: '5m', balanceChangeThreshold: 100 }, [900, 500, 480, 460, 390]);
+
+  const alerts = eventsOf(result, 'alert-sent');
+  assert.deepStrictEqual(alerts.map(entry => [entry.minute, entry.balance]), [[5, 500], [20, 390]]);
+  const skipped = eventsOf(result, 'alert-skipped');
+  assert.deepStrictEqual(skipped.map(entry => entry.balance), [480, 460]);
+  skipped.forEach(entry => assert.match(entry.reason, /Balance change too small/));
+});
+
+test('starts counting again after the balance recovers', async () => {
+  const result = await run({ notificationCooldown: '1h', maxConsecutiveNotifications: 1 }, [900, 500, 400, 900, 500]);
+
+  assert.deepStrictEqual(eventsOf(result, 'recovered').map(entry => entry.minute), [15]);
+  const alerts = eventsOf(result, 'alert-sent');
+  assert.deepStrictEqual(alerts.map(entry => [entry.minute, entry.notificationNumber]), [[5, 1], [20, 1]]);
+  assert.deepStrictEqual(eventsOf(result, 'alert-skipped').map(entry => entry.minute), [10]);
+  assert.strictEqual(result.status.consecutiveNotificationCount, 1);
+});
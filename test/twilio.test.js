@@ -0,0 +1,151 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const TwilioProvider = require('../providers/twilio');
+const SmsNotifier = require('../notifiers/sms');
+
+const ACCOUNT_SID = 'AC0123456789';
+const AUTH_TOKEN = 'secret-token';
+
+// Requests the mock API received, and how it answers the next ones: (request) => [status, body]
+let requests = [];
+let respond = null;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const request = { method: req.method, url: req.url, headers: req.headers, body };
+    requests.push(request);
+    const [status, data] = respond(request);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  });
+});
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+after(() => new Promise(resolve => server.close(resolve)));
+beforeEach(() => {
+  requests = [];
+  respond = () => [200, {}];
+});
+
+function createProvider(config = {}) {
+  return new TwilioProvider({
+    accountSid: ACCOUNT_SID,
+    authToken: AUTH_TOKEN,
+    from: '+15005550006',
+    baseUrl: `http://127.0.0.1:${server.address().port}/`,
+    http: { retries: 0, proxy: false },
+    ...config
+  });
+}
+
+test('checkBalance reads Balance.json with basic auth', async () => {
+  respond = () => [200, { balance: '12.50', currency: 'USD' }];
+
+  const balance = await createProvider().checkBalance();
+
+  assert.strictEqual(balance, 12.5);
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].method, 'GET');
+  assert.strictEqual(requests[0].url, `/2010-04-01/Accounts/${ACCOUNT_SID}/Balance.json`);
+  const credentials = Buffer.from(`${ACCOUNT_SID}:${AUTH_TOKEN}`).toString('base64');
+  assert.strictEqual(requests[0].headers.authorization, `Basic ${credentials}`);
+});
+
+test('checkBalance rejects a balance that is not a number', async () => {
+  respond = () => [200, { balance: 'n/a' }];
+  await assert.rejects(createProvider().checkBalance(), { name: 'ProviderError', type: 'parse' });
+
+  respond = () => [200, { currency: 'USD' }];
+  await assert.rejects(createProvider().checkBalance(), { name: 'ProviderError', type: 'parse' });
+});
+
+test('checkBalance reports rejected credentials as an auth error', async () => {
+  respond = () => [401, { message: 'Authenticate' }];
+  await assert.rejects(createProvider().checkBalance(), error => {
+    assert.strictEqual(error.type, 'auth');
+    assert.match(error.message, /^Balance check failed: 401/);
+    return true;
+  });
+});
+
+test('sendSMS posts a form-encoded message per recipient to Messages.json', async () => {
+  respond = request => [201, { sid: `SM${requests.length}`, to: new URLSearchParams(request.body).get('To') }];
+
+  const response = await createProvider().sendSMS(['+233240000000', '+233500001100'], 'Balance low');
+
+  assert.strictEqual(requests.length, 2);
+  requests.forEach(request => {
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, `/2010-04-01/Accounts/${ACCOUNT_SID}/Messages.json`);
+    assert.strictEqual(request.headers['content-type'], 'application/x-www-form-urlencoded');
+  });
+  const body = new URLSearchParams(requests[0].body);
+  assert.strictEqual(body.get('To'), '+233240000000');
+  assert.strictEqual(body.get('Body'), 'Balance low');
+  assert.strictEqual(body.get('From'), '+15005550006');
+  assert.strictEqual(body.get('MessagingServiceSid'), null);
+  assert.strictEqual(body.get('StatusCallback'), null);
+  assert.deepStrictEqual(createProvider().getMessageIds(response), [
+    { id: 'SM1', to: '+233240000000' },
+    { id: 'SM2', to: '+233500001100' }
+  ]);
+});
+
+test('sendSMS sends from the source given, else the messaging service', async () => {
+  await createProvider().sendSMS('+233240000000', 'Hi', '+15005550007');
+  assert.strictEqual(new URLSearchParams(requests[0].body).get('From'), '+15005550007');
+
+  await createProvider({ from: undefined, messagingServiceSid: 'MG0123456789' }).sendSMS('+233240000000', 'Hi');
+  const body = new URLSearchParams(requests[1].body);
+  assert.strictEqual(body.get('From'), null);
+  assert.strictEqual(body.get('MessagingServiceSid'), 'MG0123456789');
+});
+
+test('sendSMS asks for delivery receipts when a status callback is set', async () => {
+  const statusCallback = 'https://monitor.example.com/webhooks/delivery-receipt?key=abc';
+  await createProvider({ statusCallback }).sendSMS('+233240000000', 'Hi');
+  assert.strictEqual(new URLSearchParams(requests[0].body).get('StatusCallback'), statusCallback);
+});
+
+test('sendSMS carries on past a failing recipient and reports who failed', async () => {
+  respond = request => {
+    const to = new URLSearchParams(request.body).get('To');
+    return to === '+233000000000'
+      ? [400, { code: 21211, message: "The 'To' number is not a valid phone number." }]
+      : [201, { sid: `SM-${to}`, to }];
+  };
+
+  const sending = createProvider().sendSMS(['+233240000000', '+233000000000', '+233500001100'], 'Balance low');
+
+  await assert.rejects(sending, error => {
+    assert.strictEqual(error.name, 'ProviderError');
+    assert.strictEqual(error.type, 'http');
+    assert.strictEqual(error.retryable, false);
+    assert.match(error.message, /^SMS to \+233000000000 failed: .*not a valid phone number/);
+    assert.deepStrictEqual(error.failedRecipients, ['+233000000000']);
+    assert.deepStrictEqual(error.sent.map(message => message.to), ['+233240000000', '+233500001100']);
+    return true;
+  });
+  assert.strictEqual(requests.length, 3);
+});
+
+test('the SMS notifier retries only the recipients given', async () => {
+  respond = request => [201, { sid: 'SM1', to: new URLSearchParams(request.body).get('To') }];
+  const notifier = new SmsNotifier({ recipients: ['+233240000000', '+233500001100'] }, createProvider());
+
+  await notifier.send({ message: 'Balance low' }, { recipients: ['+233500001100'] });
+
+  assert.deepStrictEqual(requests.map(request => new URLSearchParams(request.body).get('To')), ['+233500001100']);
+});
+
+test('validateConfig requires credentials and a sender', () => {
+  assert.throws(() => createProvider({ accountSid: '' }), /missing required config: accountSid/);
+  assert.throws(() => createProvider({ authToken: undefined }), /missing required config: authToken/);
+  assert.throws(() => createProvider({ from: undefined }), /missing required config: from or messagingServiceSid/);
+});
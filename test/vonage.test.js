@@ -0,0 +1,105 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const VonageProvider = require('../providers/vonage');
+
+// Requests the mock API received, and how it answers the next ones: (request) => [status, body]
+let requests = [];
+let respond = null;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+    requests.push(request);
+    const [status, data] = respond(request);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  });
+});
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+after(() => new Promise(resolve => server.close(resolve)));
+beforeEach(() => {
+  requests = [];
+  respond = () => [200, {}];
+});
+
+function createProvider() {
+  return new VonageProvider({
+    apiKey: 'key',
+    apiSecret: 'secret',
+    from: 'ZIPPY',
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    http: { retries: 0, proxy: false }
+  });
+}
+
+/**
+ * Answer each send with the given status for that recipient (default: '0')
+ */
+function answerWith(statuses) {
+  respond = ({ body }) => {
+    const status = statuses[body.to] || '0';
+    return [200, {
+      'message-count': '1',
+      messages: [status === '0'
+        ? { to: body.to, 'message-id': `id-${body.to}`, status }
+        : { to: body.to, status, 'error-text': 'Rejected' }]
+    }];
+  };
+}
+
+test('checkBalance authenticates with basic auth, not the query string', async () => {
+  respond = () => [200, { value: 10.28, autoReload: false }];
+
+  assert.strictEqual(await createProvider().checkBalance(), 10.28);
+  assert.strictEqual(requests[0].url, '/account/get-balance');
+  assert.strictEqual(requests[0].headers.authorization, `Basic ${Buffer.from('key:secret').toString('base64')}`);
+});
+
+test('checkBalance rejects a value that is not a number', async () => {
+  respond = () => [200, { value: 'n/a', autoReload: false }];
+  await assert.rejects(createProvider().checkBalance(), { name: 'ProviderError', type: 'parse' });
+});
+
+test('sendSMS sends one message per recipient', async () => {
+  answerWith({});
+
+  const response = await createProvider().sendSMS(['233240000000', '233500001100'], 'Balance low');
+
+  assert.deepStrictEqual(requests.map(request => [request.method, request.url, request.body.to]), [
+    ['POST', '/sms/json', '233240000000'],
+    ['POST', '/sms/json', '233500001100']
+  ]);
+  assert.deepStrictEqual(createProvider().getMessageIds(response).map(message => message.id), ['id-233240000000', 'id-233500001100']);
+});
+
+test('sendSMS carries on past a rejected message and reports who failed', async () => {
+  answerWith({ 233240000000: '3' });
+
+  await assert.rejects(createProvider().sendSMS(['233240000000', '233500001100'], 'Balance low'), error => {
+    assert.strictEqual(error.name, 'ProviderError');
+    assert.strictEqual(error.type, 'http');
+    assert.strictEqual(error.retryable, false);
+    assert.strictEqual(error.message, 'SMS to 233240000000 failed: status 3 - Rejected');
+    assert.deepStrictEqual(error.failedRecipients, ['233240000000']);
+    assert.deepStrictEqual(createProvider().getMessageIds(error.sent).map(message => message.to), ['233500001100']);
+    return true;
+  });
+  assert.strictEqual(requests.length, 2);
+});
+
+test('sendSMS classifies throttled messages as rate limited', async () => {
+  answerWith({ 233240000000: '1' });
+
+  await assert.rejects(createProvider().sendSMS('233240000000', 'Balance low'), error => {
+    assert.strictEqual(error.type, 'rate_limited');
+    assert.deepStrictEqual(error.sent, []);
+    return true;
+  });
+});